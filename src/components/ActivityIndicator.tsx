@@ -10,6 +10,7 @@ import {
 } from 'react-native';
 
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import type { InternalTheme } from '../types';
 
 export type Props = React.ComponentPropsWithRef<typeof View> & {
@@ -78,14 +79,12 @@ const ActivityIndicator = ({
     undefined
   );
 
-  const {
-    animation: { scale },
-  } = theme;
+  const fadeDuration = getAnimationDuration(theme, 'short4');
 
   const startRotation = React.useCallback(() => {
     // Show indicator
     Animated.timing(fade, {
-      duration: 200 * scale,
+      duration: fadeDuration,
       toValue: 1,
       isInteraction: false,
       useNativeDriver: true,
@@ -97,7 +96,7 @@ const ActivityIndicator = ({
       // $FlowFixMe
       Animated.loop(rotation.current).start();
     }
-  }, [scale, fade, timer]);
+  }, [fadeDuration, fade, timer]);
 
   const stopRotation = () => {
     if (rotation.current) {
@@ -123,7 +122,7 @@ const ActivityIndicator = ({
     } else if (hidesWhenStopped) {
       // Hide indicator first and then stop rotation
       Animated.timing(fade, {
-        duration: 200 * scale,
+        duration: fadeDuration,
         toValue: 0,
         useNativeDriver: true,
         isInteraction: false,
@@ -131,7 +130,7 @@ const ActivityIndicator = ({
     } else {
       stopRotation();
     }
-  }, [animating, fade, hidesWhenStopped, startRotation, scale, timer]);
+  }, [animating, fade, hidesWhenStopped, startRotation, fadeDuration, timer]);
 
   const color = indicatorColor || theme.colors?.primary;
   const size =
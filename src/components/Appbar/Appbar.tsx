@@ -3,8 +3,10 @@ import { Platform, StyleProp, StyleSheet, View, ViewStyle } from 'react-native';
 
 import color from 'color';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
-import type { InternalTheme, MD3Elevation } from '../../types';
+import { applyDensity, getDensity } from '../../styles/density';
+import type { InternalTheme, MD3Density, MD3Elevation } from '../../types';
 import Surface from '../Surface';
 import AppbarAction from './AppbarAction';
 import AppbarBackAction from './AppbarBackAction';
@@ -57,6 +59,10 @@ export type Props = Partial<React.ComponentPropsWithRef<typeof View>> & {
    */
   theme: InternalTheme;
   style?: StyleProp<ViewStyle>;
+  /**
+   * Density of the appbar, shrinks its height. Overrides `theme.density`.
+   */
+  density?: MD3Density;
 };
 
 /**
@@ -149,17 +155,20 @@ export type Props = Partial<React.ComponentPropsWithRef<typeof View>> & {
  * export default MyComponent;
  * ```
  */
-const Appbar = ({
-  children,
-  dark,
-  style,
-  theme,
-  mode = 'small',
-  elevated,
-  safeAreaInsets,
-  ...rest
-}: Props) => {
+const Appbar = (props: Props) => {
+  const {
+    children,
+    dark,
+    style,
+    theme,
+    mode = 'small',
+    elevated,
+    safeAreaInsets,
+    density: densityProp,
+    ...rest
+  } = applyComponentDefaults('Appbar', props);
   const { isV3 } = theme;
+  const density = getDensity({ theme, density: densityProp });
   const {
     backgroundColor: customBackground,
     elevation = isV3 ? (elevated ? 2 : 0) : 4,
@@ -244,7 +253,10 @@ const Appbar = ({
         { backgroundColor },
         styles.appbar,
         {
-          height: isV3 ? modeAppbarHeight[mode] : DEFAULT_APPBAR_HEIGHT,
+          height: applyDensity(
+            isV3 ? modeAppbarHeight[mode] : DEFAULT_APPBAR_HEIGHT,
+            density
+          ),
         },
         insets,
         restStyle,
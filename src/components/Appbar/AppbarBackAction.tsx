@@ -1,6 +1,7 @@
 import * as React from 'react';
 import type { StyleProp, ViewStyle, View } from 'react-native';
 
+import { useStrings } from '../../core/localization';
 import type { $Omit } from './../../types';
 import AppbarAction from './AppbarAction';
 import AppbarBackIcon from './AppbarBackIcon';
@@ -55,16 +56,25 @@ export type Props = $Omit<
  * export default MyComponent;
  * ```
  */
+// Rendered as an element, so the icon can read the direction from the theme
+const renderBackIcon = (props: { size: number; color: string }) => (
+  <AppbarBackIcon {...props} />
+);
+
 const AppbarBackAction = React.forwardRef<View, Props>(
-  ({ accessibilityLabel = 'Back', ...rest }: Props, ref) => (
-    <AppbarAction
-      accessibilityLabel={accessibilityLabel}
-      {...rest}
-      icon={AppbarBackIcon}
-      isLeading
-      ref={ref}
-    />
-  )
+  ({ accessibilityLabel, ...rest }: Props, ref) => {
+    const getString = useStrings();
+
+    return (
+      <AppbarAction
+        accessibilityLabel={accessibilityLabel ?? getString('appbarBackAction')}
+        {...rest}
+        icon={renderBackIcon}
+        isLeading
+        ref={ref}
+      />
+    );
+  }
 );
 
 AppbarBackAction.displayName = 'Appbar.BackAction';
@@ -133,11 +133,10 @@ const AppbarContent = ({
           style={[
             {
               color: titleTextColor,
-              ...(isV3
-                ? theme.fonts[variant]
-                : Platform.OS === 'ios'
-                ? theme.fonts.regular
-                : theme.fonts.medium),
+              ...(!isV3 &&
+                (Platform.OS === 'ios'
+                  ? theme.fonts.regular
+                  : theme.fonts.medium)),
             },
             !isV3 && styles.title,
             titleStyle,
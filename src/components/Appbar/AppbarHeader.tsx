@@ -9,7 +9,9 @@ import {
 } from 'react-native';
 
 import { APPROX_STATUSBAR_HEIGHT } from '../../constants';
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
 import shadow from '../../styles/shadow';
 import type { InternalTheme } from '../../types';
 import { Appbar } from './Appbar';
@@ -105,19 +107,24 @@ export type Props = React.ComponentProps<typeof Appbar> & {
  * export default MyComponent;
  * ```
  */
-const AppbarHeader = ({
-  // Don't use default props since we check it to know whether we should use SafeAreaView
-  statusBarHeight,
-  style,
-  dark,
-  mode = Platform.OS === 'ios' ? 'center-aligned' : 'small',
-  elevated = false,
-  ...rest
-}: Props) => {
+const AppbarHeader = (props: Props) => {
+  const {
+    // Don't use default props since we check it to know whether we should use SafeAreaView
+    statusBarHeight,
+    style,
+    dark,
+    mode = Platform.OS === 'ios' ? 'center-aligned' : 'small',
+    elevated = false,
+    ...rest
+  } = applyComponentDefaults('AppbarHeader', props);
   const { isV3 } = rest.theme;
+  const density = getDensity(rest);
 
   const {
-    height = isV3 ? modeAppbarHeight[mode] : DEFAULT_APPBAR_HEIGHT,
+    height = applyDensity(
+      isV3 ? modeAppbarHeight[mode] : DEFAULT_APPBAR_HEIGHT,
+      density
+    ),
     elevation = isV3 ? (elevated ? 2 : 0) : 4,
     backgroundColor: customBackground,
     zIndex = isV3 && elevated ? 1 : 0,
@@ -143,7 +150,7 @@ const AppbarHeader = ({
             elevation,
             paddingTop: statusBarHeight ?? APPROX_STATUSBAR_HEIGHT,
           },
-          shadow(elevation),
+          shadow(elevation, isV3, rest.theme),
         ] as StyleProp<ViewStyle>
       }
     >
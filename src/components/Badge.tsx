@@ -8,6 +8,7 @@ import {
 } from 'react-native';
 
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import { black, white } from '../styles/themes/v2/colors';
 import type { InternalTheme } from '../types';
 import getContrastingColor from '../utils/getContrastingColor';
@@ -77,9 +78,7 @@ const Badge = ({
 
   const isFirstRendering = React.useRef<boolean>(true);
 
-  const {
-    animation: { scale },
-  } = theme;
+  const animationDuration = getAnimationDuration(theme, 'short3');
 
   React.useEffect(() => {
     // Do not run animation on very first rendering
@@ -90,10 +89,10 @@ const Badge = ({
 
     Animated.timing(opacity, {
       toValue: visible ? 1 : 0,
-      duration: 150 * scale,
+      duration: animationDuration,
       useNativeDriver: true,
     }).start();
-  }, [visible, opacity, scale]);
+  }, [visible, opacity, animationDuration]);
 
   const {
     backgroundColor = theme.isV3
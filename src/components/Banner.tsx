@@ -2,6 +2,7 @@ import * as React from 'react';
 import { Animated, StyleProp, StyleSheet, View, ViewStyle } from 'react-native';
 
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import type { $RemoveChildren, InternalTheme } from '../types';
 import Button from './Button/Button';
 import Icon, { IconSource } from './Icon';
@@ -148,25 +149,26 @@ const Banner = ({
     measured: false,
   });
 
-  const { scale } = theme.animation;
+  const enterDuration = getAnimationDuration(theme, 'medium1');
+  const exitDuration = getAnimationDuration(theme, 'short4');
 
   React.useEffect(() => {
     if (visible) {
       // show
       Animated.timing(position, {
-        duration: 250 * scale,
+        duration: enterDuration,
         toValue: 1,
         useNativeDriver: false,
       }).start(onShowAnimationFinished);
     } else {
       // hide
       Animated.timing(position, {
-        duration: 200 * scale,
+        duration: exitDuration,
         toValue: 0,
         useNativeDriver: false,
       }).start(onHideAnimationFinished);
     }
-  }, [visible, position, scale]);
+  }, [visible, position, enterDuration, exitDuration]);
 
   const handleLayout = ({ nativeEvent }: NativeEvent) => {
     const { height } = nativeEvent.layout;
@@ -15,13 +15,16 @@ import color from 'color';
 import { getBottomSpace } from 'react-native-iphone-x-helper';
 
 import { withInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
+import { getAnimationDuration } from '../../styles/motion';
 import overlay from '../../styles/overlay';
 import { black, white } from '../../styles/themes/v2/colors';
-import type { InternalTheme } from '../../types';
+import type { InternalTheme, MD3Density } from '../../types';
 import useAnimatedValue from '../../utils/useAnimatedValue';
 import useAnimatedValueArray from '../../utils/useAnimatedValueArray';
 import useIsKeyboardShown from '../../utils/useIsKeyboardShown';
 import useLayout from '../../utils/useLayout';
+import useThemeTransitionColor from '../../utils/useThemeTransitionColor';
 import Badge from '../Badge';
 import Icon, { IconSource } from '../Icon';
 import Surface from '../Surface';
@@ -264,6 +267,10 @@ export type Props = {
    * @optional
    */
   theme: InternalTheme;
+  /**
+   * Density of the tabs, shrinks their vertical padding. Overrides `theme.density`.
+   */
+  density?: MD3Density;
   /**
    * TestID used for testing purposes
    */
@@ -390,11 +397,10 @@ const BottomNavigation = ({
   safeAreaInsets,
   labelMaxFontSizeMultiplier = 1,
   compact = !theme.isV3,
+  density: densityProp,
   testID = 'bottom-navigation',
   getLazy = ({ route }: { route: Route }) => route.lazy,
 }: Props) => {
-  const { scale } = theme.animation;
-
   if (shifting && navigationState.routes.length < 2) {
     shifting = false;
 
@@ -477,20 +483,20 @@ const BottomNavigation = ({
     setKeyboardVisible(true);
     Animated.timing(visibleAnim, {
       toValue: 0,
-      duration: 150 * scale,
+      duration: getAnimationDuration(theme, 'short3'),
       useNativeDriver: true,
     }).start();
-  }, [scale, visibleAnim]);
+  }, [theme, visibleAnim]);
 
   const handleKeyboardHide = React.useCallback(() => {
     Animated.timing(visibleAnim, {
       toValue: 1,
-      duration: 100 * scale,
+      duration: getAnimationDuration(theme, 'short2'),
       useNativeDriver: true,
     }).start(() => {
       setKeyboardVisible(false);
     });
-  }, [scale, visibleAnim]);
+  }, [theme, visibleAnim]);
 
   const animateToIndex = React.useCallback(
     (index: number) => {
@@ -500,13 +506,17 @@ const BottomNavigation = ({
       Animated.parallel([
         Animated.timing(rippleAnim, {
           toValue: 1,
-          duration: theme.isV3 || shifting ? 400 * scale : 0,
+          duration:
+            theme.isV3 || shifting ? getAnimationDuration(theme, 'medium4') : 0,
           useNativeDriver: true,
         }),
         ...navigationState.routes.map((_, i) =>
           Animated.timing(tabsAnims[i], {
             toValue: i === index ? 1 : 0,
-            duration: theme.isV3 || shifting ? 150 * scale : 0,
+            duration:
+              theme.isV3 || shifting
+                ? getAnimationDuration(theme, 'short3')
+                : 0,
             useNativeDriver: true,
             easing: sceneAnimationEasing,
           })
@@ -514,7 +524,10 @@ const BottomNavigation = ({
         ...navigationState.routes.map((_, i) =>
           Animated.timing(tabsPositionAnims[i], {
             toValue: i === index ? 0 : i >= index ? 1 : -1,
-            duration: theme.isV3 || shifting ? 150 * scale : 0,
+            duration:
+              theme.isV3 || shifting
+                ? getAnimationDuration(theme, 'short3')
+                : 0,
             useNativeDriver: true,
             easing: sceneAnimationEasing,
           })
@@ -546,7 +559,6 @@ const BottomNavigation = ({
       navigationState.routes,
       offsetsAnims,
       rippleAnim,
-      scale,
       tabsAnims,
       tabsPositionAnims,
       sceneAnimationEasing,
@@ -642,6 +654,13 @@ const BottomNavigation = ({
     ? v2BackgroundColorInterpolation
     : approxBackgroundColor;
 
+  // Only plain colors can cross-fade on theme changes, shifting colors are already animated
+  const barBackgroundColor =
+    useThemeTransitionColor(
+      typeof backgroundColor === 'string' ? backgroundColor : undefined
+    ) ?? backgroundColor;
+  const contentBackgroundColor = useThemeTransitionColor(colors?.background);
+
   const isDark =
     typeof approxBackgroundColor === 'string'
       ? !color(approxBackgroundColor).isLight()
@@ -676,6 +695,14 @@ const BottomNavigation = ({
 
   const rippleSize = layout.width / 4;
 
+  const density = getDensity({ theme, density: densityProp });
+  const itemStyle = [styles.item, isV3 && styles.v3Item];
+  const v3ContainerStyle = labeled
+    ? styles.v3TouchableContainer
+    : styles.v3NoLabelContainer;
+  const densityPadding = (padding: number) =>
+    applyDensity(padding, density, { step: 2 });
+
   const insets = {
     left: safeAreaInsets?.left ?? 0,
     right: safeAreaInsets?.right ?? 0,
@@ -684,7 +711,9 @@ const BottomNavigation = ({
 
   return (
     <View style={[styles.container, style]} testID={testID}>
-      <View style={[styles.content, { backgroundColor: colors?.background }]}>
+      <Animated.View
+        style={[styles.content, { backgroundColor: contentBackgroundColor }]}
+      >
         {routes.map((route, index) => {
           if (getLazy({ route }) !== false && !loaded.includes(route.key)) {
             // Don't render a screen if we've never navigated to it
@@ -757,7 +786,7 @@ const BottomNavigation = ({
             </BottomNavigationRouteScreen>
           );
         })}
-      </View>
+      </Animated.View>
       <Surface
         {...(theme.isV3 && { elevation: 0 })}
         style={
@@ -793,7 +822,7 @@ const BottomNavigation = ({
         onLayout={onLayout}
       >
         <Animated.View
-          style={[styles.barContent, { backgroundColor }]}
+          style={[styles.barContent, { backgroundColor: barBackgroundColor }]}
           testID={`${testID}-bar-content`}
         >
           <View
@@ -927,15 +956,26 @@ const BottomNavigation = ({
                 accessibilityLabel: getAccessibilityLabel({ route }),
                 accessibilityRole: Platform.OS === 'ios' ? 'button' : 'tab',
                 accessibilityState: { selected: focused },
-                style: [styles.item, isV3 && styles.v3Item],
+                style:
+                  density === 0 || isV3
+                    ? itemStyle
+                    : [...itemStyle, { paddingVertical: densityPadding(6) }],
                 children: (
                   <View
                     pointerEvents="none"
                     style={
                       isV3 &&
-                      (labeled
-                        ? styles.v3TouchableContainer
-                        : styles.v3NoLabelContainer)
+                      (density === 0
+                        ? v3ContainerStyle
+                        : [
+                            v3ContainerStyle,
+                            labeled
+                              ? {
+                                  paddingTop: densityPadding(12),
+                                  paddingBottom: densityPadding(16),
+                                }
+                              : { height: applyDensity(80, density) },
+                          ])
                     }
                   >
                     <Animated.View
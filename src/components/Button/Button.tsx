@@ -11,8 +11,11 @@ import {
 
 import color from 'color';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
-import type { InternalTheme } from '../../types';
+import { applyDensity, getDensity } from '../../styles/density';
+import { getAnimationDuration } from '../../styles/motion';
+import type { InternalTheme, MD3Density } from '../../types';
 import ActivityIndicator from '../ActivityIndicator';
 import Icon, { IconSource } from '../Icon';
 import Surface from '../Surface';
@@ -115,6 +118,10 @@ export type Props = React.ComponentProps<typeof Surface> & {
    * @optional
    */
   theme: InternalTheme;
+  /**
+   * Density of the button, shrinks its vertical padding. Overrides `theme.density`.
+   */
+  density?: MD3Density;
   /**
    * testID to be used on tests.
    */
@@ -161,38 +168,40 @@ export type Props = React.ComponentProps<typeof Surface> & {
  * export default MyComponent;
  * ```
  */
-const Button = ({
-  disabled,
-  compact,
-  mode = 'text',
-  dark,
-  loading,
-  icon,
-  buttonColor: customButtonColor,
-  textColor: customTextColor,
-  children,
-  accessibilityLabel,
-  accessibilityHint,
-  onPress,
-  onPressIn,
-  onPressOut,
-  onLongPress,
-  style,
-  theme,
-  uppercase = !theme.isV3,
-  contentStyle,
-  labelStyle,
-  testID,
-  accessible,
-  ...rest
-}: Props) => {
+const Button = (props: Props) => {
+  const {
+    disabled,
+    compact,
+    mode = 'text',
+    dark,
+    loading,
+    icon,
+    buttonColor: customButtonColor,
+    textColor: customTextColor,
+    children,
+    accessibilityLabel,
+    accessibilityHint,
+    onPress,
+    onPressIn,
+    onPressOut,
+    onLongPress,
+    style,
+    theme,
+    uppercase = !theme.isV3,
+    contentStyle,
+    labelStyle,
+    testID,
+    accessible,
+    density: densityProp,
+    ...rest
+  } = applyComponentDefaults<Props>('Button', props);
   const isMode = React.useCallback(
     (modeToCompare: ButtonMode) => {
       return mode === modeToCompare;
     },
     [mode]
   );
-  const { roundness, isV3, animation } = theme;
+  const { roundness, isV3 } = theme;
 
   const isElevationEntitled =
     !disabled && (isV3 ? isMode('elevated') : isMode('contained'));
@@ -210,10 +219,9 @@ const Button = ({
   const handlePressIn = () => {
     onPressIn?.();
     if (isV3 ? isMode('elevated') : isMode('contained')) {
-      const { scale } = animation;
       Animated.timing(elevation, {
         toValue: activeElevation,
-        duration: 200 * scale,
+        duration: getAnimationDuration(theme, 'short4'),
         useNativeDriver: true,
       }).start();
     }
@@ -222,16 +230,15 @@ const Button = ({
   const handlePressOut = () => {
     onPressOut?.();
     if (isV3 ? isMode('elevated') : isMode('contained')) {
-      const { scale } = animation;
       Animated.timing(elevation, {
         toValue: initialElevation,
-        duration: 150 * scale,
+        duration: getAnimationDuration(theme, 'short3'),
         useNativeDriver: true,
       }).start();
     }
   };
 
-  const borderRadius = (isV3 ? 5 : 1) * roundness;
+  const borderRadius = theme.shapes?.full ?? (isV3 ? 5 : 1) * roundness;
   const iconSize = isV3 ? 18 : 16;
 
   const { backgroundColor, borderColor, textColor, borderWidth } =
@@ -264,9 +271,15 @@ const Button = ({
 
   const font = isV3 ? theme.fonts.labelLarge : theme.fonts.medium;
 
+  const density = getDensity({ theme, density: densityProp });
+  const labelMarginVertical = isV3 && !isMode('text') ? 10 : 9;
+
   const textStyle = {
     color: textColor,
     ...font,
+    ...(density !== 0 && {
+      marginVertical: applyDensity(labelMarginVertical, density, { step: 2 }),
+    }),
   };
 
   const iconStyle =
@@ -8,7 +8,9 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { InternalTheme } from '../../types';
 import Surface from '../Surface';
 import CardActions from './CardActions';
@@ -120,18 +122,21 @@ export type Props = React.ComponentProps<typeof Surface> & {
  * export default MyComponent;
  * ```
  */
-const Card = ({
-  elevation: cardElevation = 1,
-  onLongPress,
-  onPress,
-  mode: cardMode = 'elevated',
-  children,
-  style,
-  theme,
-  testID,
-  accessible,
-  ...rest
-}: (OutlinedCardProps | ElevatedCardProps | ContainedCardProps) & Props) => {
+const Card = (
+  props: (OutlinedCardProps | ElevatedCardProps | ContainedCardProps) & Props
+) => {
+  const {
+    elevation: cardElevation = 1,
+    onLongPress,
+    onPress,
+    mode: cardMode = 'elevated',
+    children,
+    style,
+    theme,
+    testID,
+    accessible,
+    ...rest
+  } = applyComponentDefaults('Card', props);
   const isMode = React.useCallback(
     (modeToCompare: Mode) => {
       return cardMode === modeToCompare;
@@ -148,7 +153,7 @@ const Card = ({
   const { current: elevationDarkAdaptive } = React.useRef<Animated.Value>(
     new Animated.Value(cardElevation)
   );
-  const { animation, dark, mode, roundness, isV3 } = theme;
+  const { dark, mode, roundness, isV3 } = theme;
 
   const prevDarkRef = React.useRef<boolean>(dark);
   React.useEffect(() => {
@@ -157,7 +162,7 @@ const Card = ({
 
   const prevDark = prevDarkRef.current;
   const isAdaptiveMode = mode === 'adaptive';
-  const animationDuration = 150 * animation.scale;
+  const animationDuration = getAnimationDuration(theme, 'short3');
 
   React.useEffect(() => {
     /**
@@ -218,7 +223,7 @@ const Card = ({
     mode: cardMode,
   });
 
-  const borderRadius = (isV3 ? 3 : 1) * roundness;
+  const borderRadius = theme.shapes?.medium ?? (isV3 ? 3 : 1) * roundness;
 
   return (
     <Surface
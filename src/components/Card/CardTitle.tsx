@@ -43,6 +43,10 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
    *  Body: `bodyLarge`, `bodyMedium`, `bodySmall`
    */
   titleVariant?: keyof typeof MD3TypescaleKey;
+  /**
+   * Specifies the largest possible scale a title font can reach.
+   */
+  titleMaxFontSizeMultiplier?: number;
   /**
    * Text for the subtitle. Note that this will only accept a string or `<Text>`-based node.
    */
@@ -72,6 +76,10 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
    *  Body: `bodyLarge`, `bodyMedium`, `bodySmall`
    */
   subtitleVariant?: keyof typeof MD3TypescaleKey;
+  /**
+   * Specifies the largest possible scale a subtitle font can reach.
+   */
+  subtitleMaxFontSizeMultiplier?: number;
   /**
    * Callback which returns a React element to display on the left side.
    */
@@ -104,6 +112,8 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
 };
 
 const LEFT_SIZE = 40;
+// Titles are rendered in a single line by default, so they are capped like `titleLarge`
+const MAX_FONT_SIZE_MULTIPLIER = 1.5;
 
 /**
  * A component to show a title, subtitle and an avatar inside a Card.
@@ -134,10 +144,12 @@ const CardTitle = ({
   titleStyle,
   titleNumberOfLines = 1,
   titleVariant = 'bodyLarge',
+  titleMaxFontSizeMultiplier = MAX_FONT_SIZE_MULTIPLIER,
   subtitle,
   subtitleStyle,
   subtitleNumberOfLines = 1,
   subtitleVariant = 'bodyMedium',
+  subtitleMaxFontSizeMultiplier = MAX_FONT_SIZE_MULTIPLIER,
   left,
   leftStyle,
   right,
@@ -180,6 +192,7 @@ const CardTitle = ({
               titleStyle,
             ]}
             numberOfLines={titleNumberOfLines}
+            maxFontSizeMultiplier={titleMaxFontSizeMultiplier}
             variant={titleVariant}
           >
             {title}
@@ -190,6 +203,7 @@ const CardTitle = ({
             component={subtitleComponent}
             style={[styles.subtitle, subtitleStyle]}
             numberOfLines={subtitleNumberOfLines}
+            maxFontSizeMultiplier={subtitleMaxFontSizeMultiplier}
             variant={subtitleVariant}
           >
             {subtitle}
@@ -14,30 +14,32 @@ export const getCardCoverStyle = ({
   index?: number;
   total?: number;
 }) => {
-  const { isV3, roundness } = theme;
+  const { isV3, roundness, shapes } = theme;
 
   if (isV3) {
     return {
-      borderRadius: 3 * roundness,
+      borderRadius: shapes?.medium ?? 3 * roundness,
     };
   }
 
+  const borderRadius = shapes?.medium ?? roundness;
+
   if (index === 0) {
     if (total === 1) {
       return {
-        borderRadius: roundness,
+        borderRadius,
       };
     }
 
     return {
-      borderTopLeftRadius: roundness,
-      borderTopRightRadius: roundness,
+      borderTopLeftRadius: borderRadius,
+      borderTopRightRadius: borderRadius,
     };
   }
 
   if (typeof total === 'number' && index === total - 1) {
     return {
-      borderBottomLeftRadius: roundness,
+      borderBottomLeftRadius: borderRadius,
     };
   }
 
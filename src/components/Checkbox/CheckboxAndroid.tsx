@@ -2,6 +2,7 @@ import * as React from 'react';
 import { Animated, StyleSheet, View } from 'react-native';
 
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { $RemoveChildren, InternalTheme } from '../../types';
 import MaterialCommunityIcon from '../MaterialCommunityIcon';
 import TouchableRipple from '../TouchableRipple/TouchableRipple';
@@ -38,9 +39,6 @@ export type Props = $RemoveChildren<typeof TouchableRipple> & {
   testID?: string;
 };
 
-// From https://material.io/design/motion/speed.html#duration
-const ANIMATION_DURATION = 100;
-
 /**
  * Checkboxes allow the selection of multiple options from a set.
  * This component follows platform guidelines for Android, but can be used
@@ -70,9 +68,7 @@ const CheckboxAndroid = ({
   );
   const isFirstRendering = React.useRef<boolean>(true);
 
-  const {
-    animation: { scale },
-  } = theme;
+  const animationDuration = getAnimationDuration(theme, 'short2');
 
   React.useEffect(() => {
     // Do not run animation on very first rendering
@@ -86,18 +82,16 @@ const CheckboxAndroid = ({
     Animated.sequence([
       Animated.timing(scaleAnim, {
         toValue: 0.85,
-        duration: checked ? ANIMATION_DURATION * scale : 0,
+        duration: checked ? animationDuration : 0,
         useNativeDriver: false,
       }),
       Animated.timing(scaleAnim, {
         toValue: 1,
-        duration: checked
-          ? ANIMATION_DURATION * scale
-          : ANIMATION_DURATION * scale * 1.75,
+        duration: checked ? animationDuration : animationDuration * 1.75,
         useNativeDriver: false,
       }),
     ]).start();
-  }, [status, scaleAnim, scale]);
+  }, [status, scaleAnim, animationDuration]);
 
   const checked = status === 'checked';
   const indeterminate = status === 'indeterminate';
@@ -11,9 +11,13 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
+import { useStrings } from '../../core/localization';
 import { withInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
+import { getAnimationDuration } from '../../styles/motion';
 import { white } from '../../styles/themes/v2/colors';
-import type { EllipsizeProp, InternalTheme } from '../../types';
+import type { EllipsizeProp, InternalTheme, MD3Density } from '../../types';
 import type { IconSource } from '../Icon';
 import Icon from '../Icon';
 import MaterialCommunityIcon from '../MaterialCommunityIcon';
@@ -68,6 +72,7 @@ export type Props = React.ComponentProps<typeof Surface> & {
   accessibilityLabel?: string;
   /**
    * Accessibility label for the close icon. This is read by the screen reader when the user taps the close icon.
+   * Defaults to the `chipClose` string from the Provider settings.
    */
   closeIconAccessibilityLabel?: string;
   /**
@@ -102,6 +107,10 @@ export type Props = React.ComponentProps<typeof Surface> & {
    * @optional
    */
   theme: InternalTheme;
+  /**
+   * Density of the chip, shrinks its vertical padding. Overrides `theme.density`.
+   */
+  density?: MD3Density;
   /**
    * Pass down testID from chip props to touchable for Detox tests.
    */
@@ -138,31 +147,34 @@ export type Props = React.ComponentProps<typeof Surface> & {
  * export default MyComponent;
  * ```
  */
-const Chip = ({
-  mode = 'flat',
-  children,
-  icon,
-  avatar,
-  selected = false,
-  disabled = false,
-  accessibilityLabel,
-  closeIconAccessibilityLabel = 'Close',
-  onPress,
-  onLongPress,
-  onClose,
-  closeIcon,
-  textStyle,
-  style,
-  theme,
-  testID,
-  selectedColor,
-  showSelectedOverlay = false,
-  ellipsizeMode,
-  compact,
-  elevated = false,
-  ...rest
-}: Props) => {
+const Chip = (props: Props) => {
+  const {
+    mode = 'flat',
+    children,
+    icon,
+    avatar,
+    selected = false,
+    disabled = false,
+    accessibilityLabel,
+    closeIconAccessibilityLabel,
+    onPress,
+    onLongPress,
+    onClose,
+    closeIcon,
+    textStyle,
+    style,
+    theme,
+    testID,
+    selectedColor,
+    showSelectedOverlay = false,
+    ellipsizeMode,
+    compact,
+    elevated = false,
+    density: densityProp,
+    ...rest
+  } = applyComponentDefaults('Chip', props);
   const { isV3 } = theme;
+  const getString = useStrings();
 
   const { current: elevation } = React.useRef<Animated.Value>(
     new Animated.Value(isV3 && elevated ? 1 : 0)
@@ -171,25 +183,23 @@ const Chip = ({
   const isOutlined = mode === 'outlined';
 
   const handlePressIn = () => {
-    const { scale } = theme.animation;
     Animated.timing(elevation, {
       toValue: isV3 ? (elevated ? 2 : 0) : 4,
-      duration: 200 * scale,
+      duration: getAnimationDuration(theme, 'short4'),
       useNativeDriver: true,
     }).start();
   };
 
   const handlePressOut = () => {
-    const { scale } = theme.animation;
     Animated.timing(elevation, {
       toValue: isV3 && elevated ? 1 : 0,
-      duration: 150 * scale,
+      duration: getAnimationDuration(theme, 'short3'),
       useNativeDriver: true,
     }).start();
   };
 
   const opacity = isV3 ? 0.38 : 0.26;
-  const defaultBorderRadius = isV3 ? 8 : 16;
+  const defaultBorderRadius = theme.shapes?.small ?? (isV3 ? 8 : 16);
   const iconSize = isV3 ? 18 : 16;
 
   const {
@@ -227,9 +237,13 @@ const Chip = ({
   const contentSpacings = {
     paddingRight: isV3 ? (onClose ? 34 : 0) : onClose ? 32 : 4,
   };
+  const density = getDensity({ theme, density: densityProp });
   const labelTextStyle = {
     color: textColor,
     ...(isV3 ? theme.fonts.labelLarge : theme.fonts.regular),
+    ...(density !== 0 && {
+      marginVertical: applyDensity(isV3 ? 6 : 4, density, { step: 2 }),
+    }),
   };
   return (
     <Surface
@@ -343,7 +357,9 @@ const Chip = ({
           <TouchableWithoutFeedback
             onPress={onClose}
             accessibilityRole="button"
-            accessibilityLabel={closeIconAccessibilityLabel}
+            accessibilityLabel={
+              closeIconAccessibilityLabel ?? getString('chipClose')
+            }
           >
             <View
               style={[
@@ -2,6 +2,7 @@ import * as React from 'react';
 import { Animated, StyleSheet, View } from 'react-native';
 
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import type { InternalTheme } from '../types';
 import Icon, { IconSource, isEqualIcon, isValidIcon } from './Icon';
 
@@ -33,7 +34,7 @@ const CrossFadeIcon = ({ color, size, source, theme }: Props) => {
   );
   const { current: fade } = React.useRef<Animated.Value>(new Animated.Value(1));
 
-  const { scale } = theme.animation;
+  const fadeDuration = getAnimationDuration(theme, 'short4');
 
   if (currentIcon !== source) {
     setPreviousIcon(() => currentIcon);
@@ -45,12 +46,12 @@ const CrossFadeIcon = ({ color, size, source, theme }: Props) => {
       fade.setValue(1);
 
       Animated.timing(fade, {
-        duration: scale * 200,
+        duration: fadeDuration,
         toValue: 0,
         useNativeDriver: true,
       }).start();
     }
-  }, [currentIcon, previousIcon, fade, scale]);
+  }, [currentIcon, previousIcon, fade, fadeDuration]);
 
   const opacityPrev = fade;
   const opacityNext = previousIcon
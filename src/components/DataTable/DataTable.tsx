@@ -2,6 +2,7 @@ import * as React from 'react';
 import { StyleSheet, StyleProp, View, ViewStyle } from 'react-native';
 
 import DataTableCell from './DataTableCell';
+import DataTableData, { DataProps } from './DataTableData';
 import DataTableHeader, {
   // eslint-disable-next-line @typescript-eslint/no-unused-vars
   DataTableHeader as _DataTableHeader,
@@ -17,13 +18,14 @@ import DataTableTitle, {
   DataTableTitle as _DataTableTitle,
 } from './DataTableTitle';
 
-export type Props = React.ComponentPropsWithRef<typeof View> & {
-  /**
-   * Content of the `DataTable`.
-   */
-  children: React.ReactNode;
-  style?: StyleProp<ViewStyle>;
-};
+export type Props<T = any> = React.ComponentPropsWithRef<typeof View> &
+  DataProps<T> & {
+    /**
+     * Content of the `DataTable`. Rendered after the rows when `columns` and `data` are set.
+     */
+    children?: React.ReactNode;
+    style?: StyleProp<ViewStyle>;
+  };
 
 /**
  * Data tables allow displaying sets of data.
@@ -87,9 +89,103 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
  *
  * export default MyComponent;
  * ```
+ *
+ * ## Data-driven usage
+ * Instead of composing the rows, pass `columns` and `data`. The table renders the header and the rows,
+ * and sorts the rows when the title of a `sortable` column is pressed.
+ * With `selectable`, rows are selected with checkboxes, and `selectedKeys` and `onSelectionChange` control the selection.
+ * For thousands of rows, pass `virtualized` to render only the visible rows in a `FlatList` below the header.
+ * Columns with a `width` or `minWidth` make the table scroll horizontally, `pinned` leading columns stay visible while scrolling.
+ * `renderExpandedRow` adds a button expanding the details of the row, and `editable` columns edit the pressed cell,
+ * the committed value is passed to `onCellEditCommit`.
+ *
+ * ```js
+ * import * as React from 'react';
+ * import { DataTable } from 'react-native-paper';
+ *
+ * const columns = [
+ *   { key: 'name', title: 'Dessert', sortable: true },
+ *   { key: 'calories', title: 'Calories', numeric: true, sortable: true },
+ *   {
+ *     key: 'fat',
+ *     title: 'Fat',
+ *     numeric: true,
+ *     renderCell: ({ value }) => `${value.toFixed(1)} g`,
+ *   },
+ * ];
+ *
+ * const desserts = [
+ *   { id: 1, name: 'Frozen yogurt', calories: 159, fat: 6 },
+ *   { id: 2, name: 'Ice cream sandwich', calories: 237, fat: 9 },
+ *   { id: 3, name: 'Eclair', calories: 262, fat: 16 },
+ * ];
+ *
+ * const MyComponent = () => (
+ *   <DataTable
+ *     columns={columns}
+ *     data={desserts}
+ *     defaultSort={[{ key: 'calories', direction: 'descending' }]}
+ *   />
+ * );
+ *
+ * export default MyComponent;
+ * ```
  */
-const DataTable = ({ children, style, ...rest }: Props) => (
-  <View {...rest} style={[styles.container, style]}>
+const DataTable = <T,>({
+  children,
+  style,
+  columns,
+  data,
+  keyExtractor,
+  sort,
+  defaultSort,
+  onSortChange,
+  multiSort,
+  onRowPress,
+  page,
+  itemsPerPage,
+  selectable,
+  selectedKeys,
+  onSelectionChange,
+  virtualized,
+  listProps,
+  onColumnResize,
+  renderExpandedRow,
+  expandedKeys,
+  onExpandedKeysChange,
+  onCellEditCommit,
+  onCellEditCancel,
+  ...rest
+}: Props<T>) => (
+  <View
+    {...rest}
+    style={[styles.container, virtualized && styles.virtualized, style]}
+  >
+    {columns && data ? (
+      <DataTableData
+        columns={columns}
+        data={data}
+        keyExtractor={keyExtractor}
+        sort={sort}
+        defaultSort={defaultSort}
+        onSortChange={onSortChange}
+        multiSort={multiSort}
+        onRowPress={onRowPress}
+        page={page}
+        itemsPerPage={itemsPerPage}
+        selectable={selectable}
+        selectedKeys={selectedKeys}
+        onSelectionChange={onSelectionChange}
+        virtualized={virtualized}
+        listProps={listProps}
+        onColumnResize={onColumnResize}
+        renderExpandedRow={renderExpandedRow}
+        expandedKeys={expandedKeys}
+        onExpandedKeysChange={onExpandedKeysChange}
+        onCellEditCommit={onCellEditCommit}
+        onCellEditCancel={onCellEditCancel}
+      />
+    ) : null}
     {children}
   </View>
 );
@@ -113,6 +209,9 @@ const styles = StyleSheet.create({
   container: {
     width: '100%',
   },
+  virtualized: {
+    flex: 1,
+  },
 });
 
 export default DataTable;
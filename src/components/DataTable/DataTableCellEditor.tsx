@@ -0,0 +1,174 @@
+import * as React from 'react';
+import {
+  NativeSyntheticEvent,
+  StyleProp,
+  StyleSheet,
+  TextInputKeyPressEventData,
+  View,
+  ViewStyle,
+} from 'react-native';
+
+import { useStrings } from '../../core/localization';
+import HelperText from '../HelperText';
+import IconButton from '../IconButton/IconButton';
+import Menu from '../Menu/Menu';
+import TextInput from '../TextInput/TextInput';
+import DataTableCell from './DataTableCell';
+import type { DataTableColumnOption } from './utils';
+
+type Props = {
+  /**
+   * Value of the cell when editing started.
+   */
+  value: unknown;
+  /**
+   * Text of the value, shown by the anchor of the options `Menu`.
+   */
+  label: string;
+  numeric?: boolean;
+  options?: DataTableColumnOption[];
+  /**
+   * Converts the text to the value. Numeric values are converted with `Number` by default,
+   * and empty or non-numeric text is reported as an error.
+   */
+  parse?: (text: string) => unknown;
+  validate?: (value: unknown) => string | null | undefined;
+  onCommit: (value: unknown) => void;
+  onCancel: () => void;
+  style?: StyleProp<ViewStyle>;
+};
+
+/**
+ * Editor of a `DataTable` cell, a `TextInput` or a `Menu` when the column has `options`.
+ * Invalid values keep the editor open and show the error below it.
+ */
+const DataTableCellEditor = ({
+  value,
+  label,
+  numeric,
+  options,
+  parse,
+  validate,
+  onCommit,
+  onCancel,
+  style,
+}: Props) => {
+  const getString = useStrings();
+  const [text, setText] = React.useState(
+    value === null || value === undefined ? '' : String(value)
+  );
+  const [error, setError] = React.useState<string | null>(null);
+
+  const commit = (nextValue: unknown) => {
+    const message = validate?.(nextValue);
+
+    if (message) {
+      setError(message);
+      return;
+    }
+
+    onCommit(nextValue);
+  };
+
+  const commitText = () => {
+    if (parse || !numeric) {
+      commit(parse ? parse(text) : text);
+      return;
+    }
+
+    const number = Number(text);
+
+    // `Number` reads an empty text as `0`
+    if (!text.trim() || !Number.isFinite(number)) {
+      setError(getString('dataTableEditInvalidNumber'));
+      return;
+    }
+
+    commit(number);
+  };
+
+  const handleKeyPress = (
+    e: NativeSyntheticEvent<TextInputKeyPressEventData>
+  ) => {
+    // Escape is only reported on web
+    if (e.nativeEvent.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      {options ? (
+        <Menu
+          visible
+          onDismiss={onCancel}
+          anchor={<DataTableCell numeric={numeric}>{label}</DataTableCell>}
+        >
+          {options.map((option) => (
+            <Menu.Item
+              key={String(option.value)}
+              title={option.label}
+              onPress={() => commit(option.value)}
+            />
+          ))}
+        </Menu>
+      ) : (
+        <View style={styles.input}>
+          <TextInput
+            dense
+            autoFocus
+            value={text}
+            onChangeText={(text) => {
+              setText(text);
+              setError(null);
+            }}
+            onSubmitEditing={commitText}
+            onKeyPress={handleKeyPress}
+            keyboardType={numeric ? 'numeric' : 'default'}
+            error={!!error}
+            style={styles.textInput}
+          />
+          <IconButton
+            icon="check"
+            size={20}
+            onPress={commitText}
+            accessibilityLabel={getString('dataTableEditCommit')}
+            style={styles.button}
+          />
+          <IconButton
+            icon="close"
+            size={20}
+            onPress={onCancel}
+            accessibilityLabel={getString('dataTableEditCancel')}
+            style={styles.button}
+          />
+        </View>
+      )}
+      {error ? (
+        <HelperText type="error" padding="none">
+          {error}
+        </HelperText>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingVertical: 4,
+  },
+  input: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  textInput: {
+    flex: 1,
+  },
+  button: {
+    margin: 0,
+  },
+});
+
+export default DataTableCellEditor;
@@ -0,0 +1,646 @@
+import * as React from 'react';
+import {
+  Animated,
+  FlatList,
+  FlatListProps,
+  GestureResponderEvent,
+  LayoutChangeEvent,
+  PanResponder,
+  Platform,
+  StyleSheet,
+  View,
+} from 'react-native';
+
+import { getDirection } from '../../core/direction';
+import { useStrings } from '../../core/localization';
+import { useInternalTheme } from '../../core/theming';
+import useAnimatedValue from '../../utils/useAnimatedValue';
+import CheckboxAndroid from '../Checkbox/CheckboxAndroid';
+import DataTableCell from './DataTableCell';
+import DataTableCellEditor from './DataTableCellEditor';
+import DataTableHeader from './DataTableHeader';
+import DataTableRow from './DataTableRow';
+import DataTableTitle from './DataTableTitle';
+import {
+  DataTableColumn,
+  DataTableSortItem,
+  getCellValue,
+  getColumnStyle,
+  getKeyRange,
+  getNextSort,
+  getRowKey,
+  getSelectedRowColor,
+  getSortedIndices,
+} from './utils';
+
+export type DataProps<T> = {
+  /**
+   * Columns of the table, rendered as `DataTable.Title` in the header and `DataTable.Cell` in every row.
+   */
+  columns?: DataTableColumn<T>[];
+  /**
+   * Rows of the table. Rendered with `columns` before the `children`, e.g. `DataTable.Pagination`.
+   */
+  data?: readonly T[];
+  /**
+   * Returns the key of the row. Defaults to `key` or `id` of the item, then to its index.
+   */
+  keyExtractor?: (item: T, index: number) => string;
+  /**
+   * Sorted columns, the first one taking precedence. Sorting is handled by the table when it isn't set.
+   */
+  sort?: DataTableSortItem[];
+  /**
+   * Sorted columns on the first render when `sort` isn't set.
+   */
+  defaultSort?: DataTableSortItem[];
+  /**
+   * Function to execute when the title of a sortable column is pressed, with the new sort.
+   */
+  onSortChange?: (sort: DataTableSortItem[]) => void;
+  /**
+   * Whether pressing a title adds the column to the sorted ones, instead of replacing them.
+   */
+  multiSort?: boolean;
+  /**
+   * Function to execute on press of a row, with the item and its index in `data`.
+   * Selectable rows are toggled on press when it isn't set.
+   */
+  onRowPress?: (item: T, index: number) => void;
+  /**
+   * Index of the rendered page, when `itemsPerPage` is set.
+   */
+  page?: number;
+  /**
+   * Number of rows rendered on a page. All rows are rendered when it isn't set.
+   */
+  itemsPerPage?: number;
+  /**
+   * Whether to render a checkbox selecting the row at the start of every row,
+   * and one selecting all rows in the header. Shift-click selects a range of rows on web.
+   */
+  selectable?: boolean;
+  /**
+   * Keys of the selected rows, see `keyExtractor`.
+   */
+  selectedKeys?: string[];
+  /**
+   * Function to execute when rows are selected or deselected, with the new keys of the selected rows.
+   */
+  onSelectionChange?: (selectedKeys: string[]) => void;
+  /**
+   * Whether to render the rows in a `FlatList` below the header, rendering only the visible ones.
+   * Use it for large data sets, the table needs a height, e.g. from `style` or `flex: 1`.
+   * The list keeps its scroll position when the rows are sorted or `data` changes.
+   */
+  virtualized?: boolean;
+  /**
+   * Props passed to the `FlatList` of a `virtualized` table, e.g. `initialNumToRender` or `onEndReached`.
+   */
+  listProps?: Omit<
+    FlatListProps<Row<T>>,
+    'data' | 'extraData' | 'keyExtractor' | 'renderItem'
+  >;
+  /**
+   * Function to execute when a `resizable` column is resized, with the key of the column and its new width.
+   */
+  onColumnResize?: (key: string, width: number) => void;
+  /**
+   * Renders details of the item below its row. A button expanding the row is rendered at its end.
+   */
+  renderExpandedRow?: (params: { item: T; index: number }) => React.ReactNode;
+  /**
+   * Keys of the expanded rows. Rows are expanded by the table when it isn't set.
+   */
+  expandedKeys?: string[];
+  /**
+   * Function to execute when a row is expanded or collapsed, with the new keys of the expanded rows.
+   */
+  onExpandedKeysChange?: (expandedKeys: string[]) => void;
+  /**
+   * Function to execute when the edit of an `editable` cell is committed with a valid value.
+   * The table doesn't change `data`, update it with the new value.
+   */
+  onCellEditCommit?: (params: CellEditParams<T> & { value: unknown }) => void;
+  /**
+   * Function to execute when the edit of an `editable` cell is cancelled.
+   */
+  onCellEditCancel?: (params: CellEditParams<T>) => void;
+};
+
+type CellEditParams<T> = {
+  item: T;
+  /**
+   * Index of the item in `data`.
+   */
+  index: number;
+  /**
+   * Key of the edited column.
+   */
+  key: string;
+};
+
+type Row<T> = {
+  item: T;
+  /**
+   * Index of the item in `data`.
+   */
+  index: number;
+  key: string;
+};
+
+// Resizing doesn't shrink columns without a `minWidth` below it
+const MIN_COLUMN_WIDTH = 48;
+
+// Stable default, so the rows of a virtualized table aren't re-rendered on every render
+const noSelectedKeys: string[] = [];
+
+const formatValue = <T,>(column: DataTableColumn<T>, value: unknown) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const option = column.options?.find((option) => option.value === value);
+
+  if (option) {
+    return option.label;
+  }
+
+  return value instanceof Date ? value.toLocaleDateString() : String(value);
+};
+
+const DataTableData = <T,>({
+  columns = [],
+  data = [],
+  keyExtractor,
+  sort: sortProp,
+  defaultSort = [],
+  onSortChange,
+  multiSort,
+  onRowPress,
+  page = 0,
+  itemsPerPage,
+  selectable,
+  selectedKeys = noSelectedKeys,
+  onSelectionChange,
+  virtualized,
+  listProps,
+  onColumnResize,
+  renderExpandedRow,
+  expandedKeys: expandedKeysProp,
+  onExpandedKeysChange,
+  onCellEditCommit,
+  onCellEditCancel,
+}: DataProps<T>) => {
+  const theme = useInternalTheme();
+  const getString = useStrings();
+  const [resizedWidths, setResizedWidths] = React.useState<
+    Record<string, number>
+  >({});
+  // Widths on layout, the starting point when resizing columns without a `width`
+  const measuredWidths = React.useRef<Record<string, number>>({});
+  const resizeStartWidth = React.useRef(0);
+  const [uncontrolledExpandedKeys, setUncontrolledExpandedKeys] =
+    React.useState<string[]>([]);
+  const expandedKeys = expandedKeysProp ?? uncontrolledExpandedKeys;
+  const [editingCell, setEditingCell] = React.useState<{
+    rowKey: string;
+    columnKey: string;
+  } | null>(null);
+  const scrollX = useAnimatedValue(0);
+  const [uncontrolledSort, setUncontrolledSort] =
+    React.useState<DataTableSortItem[]>(defaultSort);
+  const sort = sortProp ?? uncontrolledSort;
+  // Key of the last toggled row, the start of a range selected with shift
+  const selectionAnchor = React.useRef<string | null>(null);
+
+  const sortedRows = React.useMemo<Row<T>[]>(
+    () =>
+      getSortedIndices(data, columns, sort).map((index) => ({
+        item: data[index],
+        index,
+        key: getRowKey(data[index], index, keyExtractor),
+      })),
+    [data, columns, sort, keyExtractor]
+  );
+
+  const rows = React.useMemo(
+    () =>
+      itemsPerPage === undefined
+        ? sortedRows
+        : sortedRows.slice(page * itemsPerPage, (page + 1) * itemsPerPage),
+    [sortedRows, page, itemsPerPage]
+  );
+
+  const columnWidths = React.useMemo(
+    () =>
+      columns.reduce<Record<string, number>>((widths, column) => {
+        const width = resizedWidths[column.key] ?? column.width;
+
+        return width === undefined
+          ? widths
+          : { ...widths, [column.key]: width };
+      }, {}),
+    [columns, resizedWidths]
+  );
+
+  const extraData = React.useMemo(
+    () => ({ selectedKeys, columnWidths, expandedKeys, editingCell }),
+    [selectedKeys, columnWidths, expandedKeys, editingCell]
+  );
+
+  const isScrollable = columns.some(
+    (column) =>
+      column.width !== undefined ||
+      column.minWidth !== undefined ||
+      (Platform.OS === 'web' && column.resizable)
+  );
+  const hasPinnedColumns =
+    isScrollable && columns.some((column) => column.pinned);
+
+  // Overscroll on iOS shouldn't move the pinned columns to the right
+  const pinnedOffset = React.useMemo(
+    () =>
+      scrollX.interpolate({
+        inputRange: [0, 1],
+        outputRange: [0, 1],
+        extrapolateLeft: 'clamp',
+      }),
+    [scrollX]
+  );
+
+  const handleScroll = React.useMemo(
+    () =>
+      Animated.event([{ nativeEvent: { contentOffset: { x: scrollX } } }], {
+        useNativeDriver: true,
+      }),
+    [scrollX]
+  );
+
+  const handleSort = (key: string) => {
+    const nextSort = getNextSort(sort, key, multiSort);
+
+    if (sortProp === undefined) {
+      setUncontrolledSort(nextSort);
+    }
+
+    onSortChange?.(nextSort);
+  };
+
+  const selectedCount = sortedRows.filter(({ key }) =>
+    selectedKeys.includes(key)
+  ).length;
+
+  const handleSelectAll = () => {
+    onSelectionChange?.(
+      selectedCount === sortedRows.length
+        ? []
+        : sortedRows.map(({ key }) => key)
+    );
+  };
+
+  const handleSelect = (key: string, event?: GestureResponderEvent) => {
+    const anchor = selectionAnchor.current;
+
+    selectionAnchor.current = key;
+
+    // Shift-click on web selects all rows between the last toggled one and this one
+    if (
+      Platform.OS === 'web' &&
+      anchor !== null &&
+      (event?.nativeEvent as { shiftKey?: boolean } | undefined)?.shiftKey
+    ) {
+      const range = getKeyRange(
+        sortedRows.map(({ key }) => key),
+        anchor,
+        key
+      );
+
+      onSelectionChange?.([
+        ...selectedKeys,
+        ...range.filter((key) => !selectedKeys.includes(key)),
+      ]);
+      return;
+    }
+
+    onSelectionChange?.(
+      selectedKeys.includes(key)
+        ? selectedKeys.filter((selectedKey) => selectedKey !== key)
+        : [...selectedKeys, key]
+    );
+  };
+
+  const handleExpandedChange = (key: string, expanded: boolean) => {
+    const nextKeys = expanded
+      ? [...expandedKeys, key]
+      : expandedKeys.filter((expandedKey) => expandedKey !== key);
+
+    if (expandedKeysProp === undefined) {
+      setUncontrolledExpandedKeys(nextKeys);
+    }
+
+    onExpandedKeysChange?.(nextKeys);
+  };
+
+  const isEditable = (column: DataTableColumn<T>, item: T) =>
+    typeof column.editable === 'function'
+      ? column.editable(item)
+      : !!column.editable;
+
+  const getPinnedStyle = (backgroundColor: string) =>
+    hasPinnedColumns
+      ? {
+          transform: [{ translateX: pinnedOffset }],
+          zIndex: 1,
+          backgroundColor,
+        }
+      : null;
+
+  const handleResizeStart = (key: string) => {
+    resizeStartWidth.current =
+      columnWidths[key] ?? measuredWidths.current[key] ?? 0;
+  };
+
+  const handleResize = (column: DataTableColumn<T>, dx: number) => {
+    const width = Math.max(
+      column.minWidth ?? MIN_COLUMN_WIDTH,
+      resizeStartWidth.current + (getDirection(theme) === 'rtl' ? -dx : dx)
+    );
+
+    setResizedWidths((widths) => ({ ...widths, [column.key]: width }));
+    onColumnResize?.(column.key, width);
+  };
+
+  const renderTitle = (column: DataTableColumn<T>) => {
+    const columnStyle = getColumnStyle(column, columnWidths[column.key]);
+    const isPinned = hasPinnedColumns && column.pinned;
+    const isResizable = Platform.OS === 'web' && column.resizable;
+    const title = (
+      <DataTableTitle
+        key={column.key}
+        numeric={column.numeric}
+        sortDirection={sort.find((item) => item.key === column.key)?.direction}
+        onPress={column.sortable ? () => handleSort(column.key) : undefined}
+        style={[!isPinned && !isResizable && columnStyle, column.titleStyle]}
+      >
+        {column.title}
+      </DataTableTitle>
+    );
+
+    if (!isPinned && !isResizable) {
+      return title;
+    }
+
+    return (
+      <Animated.View
+        key={column.key}
+        onLayout={(e: LayoutChangeEvent) => {
+          measuredWidths.current[column.key] = e.nativeEvent.layout.width;
+        }}
+        style={[
+          styles.column,
+          columnStyle,
+          isPinned && getPinnedStyle(theme.colors.surface),
+        ]}
+      >
+        {title}
+        {isResizable ? (
+          <ColumnResizeHandle
+            onResizeStart={() => handleResizeStart(column.key)}
+            onResize={(dx) => handleResize(column, dx)}
+          />
+        ) : null}
+      </Animated.View>
+    );
+  };
+
+  const renderRow = ({ item, index, key }: Row<T>) => {
+    const selected = selectable ? selectedKeys.includes(key) : undefined;
+    const isExpanded = expandedKeys.includes(key);
+    const backgroundColor = selected
+      ? getSelectedRowColor(theme)
+      : theme.colors.surface;
+
+    return (
+      <DataTableRow
+        key={key}
+        selected={selected}
+        expandable={!!renderExpandedRow}
+        expandedContent={
+          renderExpandedRow && isExpanded
+            ? renderExpandedRow({ item, index })
+            : undefined
+        }
+        expanded={renderExpandedRow ? isExpanded : undefined}
+        onExpandedChange={(expanded) => handleExpandedChange(key, expanded)}
+        onPress={
+          onRowPress
+            ? () => onRowPress(item, index)
+            : selectable
+            ? (event: GestureResponderEvent) => handleSelect(key, event)
+            : undefined
+        }
+      >
+        {selectable ? (
+          <Animated.View
+            style={[styles.checkbox, getPinnedStyle(backgroundColor)]}
+          >
+            <CheckboxAndroid
+              status={selected ? 'checked' : 'unchecked'}
+              onPress={(event?: GestureResponderEvent) =>
+                handleSelect(key, event)
+              }
+              accessibilityLabel={getString('dataTableSelectRow')}
+            />
+          </Animated.View>
+        ) : null}
+        {columns.map((column) => {
+          const value = getCellValue(column, item);
+          const columnStyle = getColumnStyle(column, columnWidths[column.key]);
+          const isPinned = hasPinnedColumns && column.pinned;
+          const isEditing =
+            editingCell?.rowKey === key && editingCell.columnKey === column.key;
+          const editParams = { item, index, key: column.key };
+          const cell = isEditing ? (
+            <DataTableCellEditor
+              key={column.key}
+              value={value}
+              label={formatValue(column, value)}
+              numeric={column.numeric}
+              options={column.options}
+              parse={column.parse}
+              validate={
+                column.validate
+                  ? (value) => column.validate?.(value, item)
+                  : undefined
+              }
+              onCommit={(value) => {
+                setEditingCell(null);
+                onCellEditCommit?.({ ...editParams, value });
+              }}
+              onCancel={() => {
+                setEditingCell(null);
+                onCellEditCancel?.(editParams);
+              }}
+              style={[!isPinned && columnStyle, column.cellStyle]}
+            />
+          ) : (
+            <DataTableCell
+              key={column.key}
+              numeric={column.numeric}
+              onPress={
+                isEditable(column, item)
+                  ? () => setEditingCell({ rowKey: key, columnKey: column.key })
+                  : undefined
+              }
+              style={[!isPinned && columnStyle, column.cellStyle]}
+              textStyle={column.textStyle}
+            >
+              {column.renderCell
+                ? column.renderCell({ item, value, index })
+                : formatValue(column, value)}
+            </DataTableCell>
+          );
+
+          return isPinned ? (
+            <Animated.View
+              key={column.key}
+              style={[
+                styles.column,
+                columnStyle,
+                getPinnedStyle(backgroundColor),
+              ]}
+            >
+              {cell}
+            </Animated.View>
+          ) : (
+            cell
+          );
+        })}
+      </DataTableRow>
+    );
+  };
+
+  const table = (
+    <>
+      <DataTableHeader>
+        {selectable ? (
+          <Animated.View
+            style={[styles.checkbox, getPinnedStyle(theme.colors.surface)]}
+          >
+            <CheckboxAndroid
+              status={
+                selectedCount === 0
+                  ? 'unchecked'
+                  : selectedCount === sortedRows.length
+                  ? 'checked'
+                  : 'indeterminate'
+              }
+              disabled={!sortedRows.length}
+              onPress={handleSelectAll}
+              accessibilityLabel={getString('dataTableSelectAll')}
+            />
+          </Animated.View>
+        ) : null}
+        {columns.map(renderTitle)}
+        {renderExpandedRow ? <View style={styles.expandButton} /> : null}
+      </DataTableHeader>
+      {virtualized ? (
+        <FlatList
+          {...listProps}
+          data={rows}
+          extraData={extraData}
+          keyExtractor={(row) => row.key}
+          renderItem={({ item: row }) => renderRow(row)}
+        />
+      ) : (
+        rows.map(renderRow)
+      )}
+    </>
+  );
+
+  if (!isScrollable) {
+    return table;
+  }
+
+  // Header and rows scroll horizontally together, pinned columns are moved back by the scroll offset
+  return (
+    <Animated.ScrollView
+      horizontal
+      onScroll={handleScroll}
+      scrollEventThrottle={16}
+      style={virtualized && styles.virtualized}
+      contentContainerStyle={styles.scrollContent}
+    >
+      <View style={[styles.scrollTable, virtualized && styles.virtualized]}>
+        {table}
+      </View>
+    </Animated.ScrollView>
+  );
+};
+
+type ColumnResizeHandleProps = {
+  onResizeStart: () => void;
+  onResize: (dx: number) => void;
+};
+
+const ColumnResizeHandle = ({
+  onResizeStart,
+  onResize,
+}: ColumnResizeHandleProps) => {
+  const callbacks = React.useRef({ onResizeStart, onResize });
+
+  callbacks.current = { onResizeStart, onResize };
+
+  const { current: panResponder } = React.useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onPanResponderGrant: () => callbacks.current.onResizeStart(),
+      onPanResponderMove: (_, { dx }) => callbacks.current.onResize(dx),
+    })
+  );
+
+  return (
+    <View
+      {...panResponder.panHandlers}
+      testID="data-table-resize-handle"
+      style={styles.resizeHandle}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  checkbox: {
+    justifyContent: 'center',
+    marginLeft: -8,
+    marginRight: 8,
+  },
+  column: {
+    flex: 1,
+  },
+  // Same space as the expand button of `DataTable.Row`
+  expandButton: {
+    width: 48,
+    marginRight: -8,
+  },
+  resizeHandle: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    right: -8,
+    width: 16,
+    zIndex: 2,
+    ...(Platform.OS === 'web' && { cursor: 'col-resize' }),
+  },
+  scrollContent: {
+    flexGrow: 1,
+  },
+  scrollTable: {
+    flexGrow: 1,
+  },
+  virtualized: {
+    flex: 1,
+  },
+});
+
+export default DataTableData;
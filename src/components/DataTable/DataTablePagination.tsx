@@ -1,15 +1,11 @@
 import * as React from 'react';
-import {
-  I18nManager,
-  StyleProp,
-  StyleSheet,
-  View,
-  ViewStyle,
-} from 'react-native';
+import { StyleProp, StyleSheet, View, ViewStyle } from 'react-native';
 
 import color from 'color';
 import type { InternalTheme } from 'src/types';
 
+import { getDirection } from '../../core/direction';
+import { useStrings } from '../../core/localization';
 import { useInternalTheme, withInternalTheme } from '../../core/theming';
 import Button from '../Button/Button';
 import IconButton from '../IconButton/IconButton';
@@ -26,6 +22,7 @@ export type Props = React.ComponentPropsWithRef<typeof View> &
     label?: React.ReactNode;
     /**
      * AccessibilityLabel for `label`.
+     * Without `label`, the `dataTablePaginationPage` string from the Provider settings is used, e.g. "Page 4 of 15".
      */
     accessibilityLabel?: string;
     /**
@@ -86,6 +83,8 @@ const PaginationControls = ({
   const theme = useInternalTheme();
 
   const textColor = theme.isV3 ? theme.colors.onSurface : theme.colors.text;
+  const direction = getDirection(theme);
+  const getString = useStrings();
 
   return (
     <>
@@ -96,13 +95,13 @@ const PaginationControls = ({
               name="page-first"
               color={color}
               size={size}
-              direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+              direction={direction}
             />
           )}
           iconColor={textColor}
           disabled={page === 0}
           onPress={() => onPageChange(0)}
-          accessibilityLabel="page-first"
+          accessibilityLabel={getString('dataTablePaginationFirstPage')}
         />
       ) : null}
       <IconButton
@@ -111,13 +110,13 @@ const PaginationControls = ({
             name="chevron-left"
             color={color}
             size={size}
-            direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+            direction={direction}
           />
         )}
         iconColor={textColor}
         disabled={page === 0}
         onPress={() => onPageChange(page - 1)}
-        accessibilityLabel="chevron-left"
+        accessibilityLabel={getString('dataTablePaginationPreviousPage')}
       />
       <IconButton
         icon={({ size, color }) => (
@@ -125,13 +124,13 @@ const PaginationControls = ({
             name="chevron-right"
             color={color}
             size={size}
-            direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+            direction={direction}
           />
         )}
         iconColor={textColor}
         disabled={numberOfPages === 0 || page === numberOfPages - 1}
         onPress={() => onPageChange(page + 1)}
-        accessibilityLabel="chevron-right"
+        accessibilityLabel={getString('dataTablePaginationNextPage')}
       />
       {showFastPaginationControls ? (
         <IconButton
@@ -140,13 +139,13 @@ const PaginationControls = ({
               name="page-last"
               color={color}
               size={size}
-              direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+              direction={direction}
             />
           )}
           iconColor={textColor}
           disabled={numberOfPages === 0 || page === numberOfPages - 1}
           onPress={() => onPageChange(numberOfPages - 1)}
-          accessibilityLabel="page-last"
+          accessibilityLabel={getString('dataTablePaginationLastPage')}
         />
       ) : null}
     </>
@@ -274,6 +273,7 @@ const DataTablePagination = ({
   selectPageDropdownAccessibilityLabel,
   ...rest
 }: Props) => {
+  const getString = useStrings();
   const labelColor = color(
     theme.isV3 ? theme.colors.onSurface : theme?.colors.text
   )
@@ -291,7 +291,7 @@ const DataTablePagination = ({
         numberOfItemsPerPage &&
         onItemsPerPageChange && (
           <View
-            accessibilityLabel="Options Select"
+            accessibilityLabel={getString('dataTablePaginationOptionsSelect')}
             style={styles.optionsContainer}
           >
             <Text
@@ -314,7 +314,15 @@ const DataTablePagination = ({
       <Text
         style={[styles.label, { color: labelColor }]}
         numberOfLines={3}
-        accessibilityLabel={accessibilityLabel || 'label'}
+        accessibilityLabel={
+          accessibilityLabel ||
+          (label
+            ? 'label'
+            : getString('dataTablePaginationPage', {
+                page: page + 1,
+                numberOfPages,
+              }))
+        }
       >
         {label}
       </Text>
@@ -1,5 +1,7 @@
 import * as React from 'react';
 import {
+  Animated,
+  GestureResponderEvent,
   StyleProp,
   StyleSheet,
   View,
@@ -9,10 +11,16 @@ import {
 
 import color from 'color';
 
+import { useStrings } from '../../core/localization';
 import { withInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
+import { getAnimationDuration, getAnimationEasing } from '../../styles/motion';
 import { black, white } from '../../styles/themes/v2/colors';
-import type { $RemoveChildren, InternalTheme } from '../../types';
+import type { $RemoveChildren, InternalTheme, MD3Density } from '../../types';
+import useAnimatedValue from '../../utils/useAnimatedValue';
+import IconButton from '../IconButton/IconButton';
 import TouchableRipple from '../TouchableRipple/TouchableRipple';
+import { getSelectedRowColor } from './utils';
 
 export type Props = $RemoveChildren<typeof TouchableRipple> & {
   /**
@@ -22,7 +30,7 @@ export type Props = $RemoveChildren<typeof TouchableRipple> & {
   /**
    * Function to execute on press.
    */
-  onPress?: () => void;
+  onPress?: (e: GestureResponderEvent) => void;
   style?: StyleProp<ViewStyle>;
   /**
    * @optional
@@ -32,6 +40,32 @@ export type Props = $RemoveChildren<typeof TouchableRipple> & {
    * `pointerEvents` passed to the `View` container, which is wrapping children within `TouchableRipple`.
    */
   pointerEvents?: ViewProps['pointerEvents'];
+  /**
+   * Density of the row, shrinks its minimum height. Overrides `theme.density`.
+   */
+  density?: MD3Density;
+  /**
+   * Whether the row is selected. Selected rows are highlighted.
+   */
+  selected?: boolean;
+  /**
+   * Content rendered below the row when it's expanded, e.g. details of the item.
+   * A button expanding and collapsing the row is rendered at its end, the content fades in and out with the theme motion.
+   */
+  expandedContent?: React.ReactNode;
+  /**
+   * Whether the expand button is rendered. Defaults to whether `expandedContent` is set,
+   * so the content can be built only while the row is expanded.
+   */
+  expandable?: boolean;
+  /**
+   * Whether the `expandedContent` is shown. If it's not set, the row handles its own state.
+   */
+  expanded?: boolean;
+  /**
+   * Function to execute when the expand button is pressed, with the new state.
+   */
+  onExpandedChange?: (expanded: boolean) => void;
 };
 
 /**
@@ -68,8 +102,20 @@ const DataTableRow = ({
   theme,
   children,
   pointerEvents,
+  density: densityProp,
+  selected,
+  accessibilityState,
+  expandedContent,
+  expandable,
+  expanded: expandedProp,
+  onExpandedChange,
   ...rest
 }: Props) => {
+  const getString = useStrings();
+  const [expanded, setExpanded] = React.useState<boolean>(
+    expandedProp || false
+  );
+  const density = getDensity({ theme, density: densityProp });
   const borderBottomColor = theme.isV3
     ? theme.colors.surfaceVariant
     : color(theme.dark ? white : black)
@@ -77,17 +123,120 @@ const DataTableRow = ({
         .rgb()
         .string();
 
-  return (
+  const isExpandable = expandable ?? expandedContent !== undefined;
+  const isExpanded = expandedProp !== undefined ? expandedProp : expanded;
+
+  const expandOpacity = useAnimatedValue(isExpanded ? 1 : 0);
+  // Collapsed content stays rendered until it fades out
+  const [isContentRendered, setIsContentRendered] = React.useState(isExpanded);
+  // Content built while expanded, `DataTable` stops building it once the row collapses
+  const renderedContent = React.useRef(expandedContent);
+  const expandDuration = getAnimationDuration(theme, 'short4');
+  const collapseDuration = getAnimationDuration(theme, 'short3');
+  const expandEasing = getAnimationEasing(theme, 'standardDecelerate');
+  const collapseEasing = getAnimationEasing(theme, 'standardAccelerate');
+
+  React.useLayoutEffect(() => {
+    if (isExpanded) {
+      renderedContent.current = expandedContent;
+    }
+  });
+
+  React.useEffect(() => {
+    if (isExpanded) {
+      setIsContentRendered(true);
+    }
+
+    const animation = Animated.timing(expandOpacity, {
+      toValue: isExpanded ? 1 : 0,
+      duration: isExpanded ? expandDuration : collapseDuration,
+      easing: isExpanded ? expandEasing : collapseEasing,
+      useNativeDriver: true,
+    });
+
+    animation.start(({ finished }) => {
+      if (finished && !isExpanded) {
+        setIsContentRendered(false);
+      }
+    });
+
+    return () => animation.stop();
+  }, [
+    isExpanded,
+    expandOpacity,
+    expandDuration,
+    collapseDuration,
+    expandEasing,
+    collapseEasing,
+  ]);
+
+  const handleExpandedChange = () => {
+    onExpandedChange?.(!isExpanded);
+
+    if (expandedProp === undefined) {
+      // Only update state if the `expanded` prop was not passed
+      setExpanded(!isExpanded);
+    }
+  };
+
+  const row = (
     <TouchableRipple
       {...rest}
       onPress={onPress}
-      style={[styles.container, { borderBottomColor }, style]}
+      accessibilityState={
+        selected !== undefined
+          ? { ...accessibilityState, selected }
+          : accessibilityState
+      }
+      style={[
+        styles.container,
+        {
+          borderBottomColor,
+          ...(density !== 0 && { minHeight: applyDensity(48, density) }),
+          ...(selected && { backgroundColor: getSelectedRowColor(theme) }),
+        },
+        style,
+      ]}
     >
       <View style={styles.content} pointerEvents={pointerEvents}>
         {children}
+        {isExpandable ? (
+          <View style={styles.expandButton}>
+            <IconButton
+              icon={isExpanded ? 'chevron-up' : 'chevron-down'}
+              size={20}
+              onPress={handleExpandedChange}
+              accessibilityLabel={getString(
+                isExpanded ? 'dataTableCollapseRow' : 'dataTableExpandRow'
+              )}
+              accessibilityState={{ expanded: isExpanded }}
+              style={styles.expandIcon}
+            />
+          </View>
+        ) : null}
       </View>
     </TouchableRipple>
   );
+
+  if (!isExpandable) {
+    return row;
+  }
+
+  return (
+    <View>
+      {row}
+      {isExpanded || isContentRendered ? (
+        <Animated.View
+          style={[
+            styles.expandedContent,
+            { borderBottomColor, opacity: expandOpacity },
+          ]}
+        >
+          {isExpanded ? expandedContent : renderedContent.current}
+        </Animated.View>
+      ) : null}
+    </View>
+  );
 };
 
 DataTableRow.displayName = 'DataTable.Row';
@@ -103,6 +252,21 @@ const styles = StyleSheet.create({
     flex: 1,
     flexDirection: 'row',
   },
+  expandButton: {
+    width: 48,
+    marginRight: -8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  expandIcon: {
+    margin: 0,
+  },
+  expandedContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderStyle: 'solid',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
 });
 
 export default withInternalTheme(DataTableRow);
@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   Animated,
-  I18nManager,
   StyleProp,
   StyleSheet,
   TextStyle,
@@ -12,7 +11,9 @@ import {
 
 import color from 'color';
 
+import { getDirection } from '../../core/direction';
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { InternalTheme } from '../../types';
 import MaterialCommunityIcon from '../MaterialCommunityIcon';
 import Text from '../Typography/Text';
@@ -99,13 +100,15 @@ const DataTableTitle = ({
     new Animated.Value(sortDirection === 'ascending' ? 0 : 1)
   );
 
+  const animationDuration = getAnimationDuration(theme, 'short3');
+
   React.useEffect(() => {
     Animated.timing(spinAnim, {
       toValue: sortDirection === 'ascending' ? 0 : 1,
-      duration: 150,
+      duration: animationDuration,
       useNativeDriver: true,
     }).start();
-  }, [sortDirection, spinAnim]);
+  }, [sortDirection, spinAnim, animationDuration]);
 
   const textColor = theme.isV3 ? theme.colors.onSurface : theme?.colors?.text;
 
@@ -122,7 +125,7 @@ const DataTableTitle = ({
         name="arrow-up"
         size={16}
         color={textColor}
-        direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+        direction={getDirection(theme)}
       />
     </Animated.View>
   ) : null;
@@ -140,7 +143,7 @@ const DataTableTitle = ({
             // if numberOfLines causes wrap, center is lost. Align directly, sensitive to numeric and RTL
             numberOfLines > 1
               ? numeric
-                ? I18nManager.getConstants().isRTL
+                ? getDirection(theme) === 'rtl'
                   ? styles.leftText
                   : styles.rightText
                 : styles.centerText
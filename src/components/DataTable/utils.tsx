@@ -0,0 +1,265 @@
+import type * as React from 'react';
+import type { StyleProp, TextStyle, ViewStyle } from 'react-native';
+
+import color from 'color';
+
+import type { InternalTheme } from '../../types';
+
+export type DataTableSortDirection = 'ascending' | 'descending';
+
+export type DataTableSortItem = {
+  /**
+   * Key of the sorted column.
+   */
+  key: string;
+  direction: DataTableSortDirection;
+};
+
+export type DataTableColumnOption = {
+  label: string;
+  value: unknown;
+};
+
+export type DataTableColumn<T> = {
+  /**
+   * Unique key of the column. Used to read the value of the row when there's no `accessor`.
+   */
+  key: string;
+  /**
+   * Content of the column title.
+   */
+  title: React.ReactNode;
+  /**
+   * Returns the value of the cell, used for rendering and sorting.
+   */
+  accessor?: (item: T) => unknown;
+  /**
+   * Renders the content of the cell instead of the value.
+   */
+  renderCell?: (params: {
+    item: T;
+    value: unknown;
+    index: number;
+  }) => React.ReactNode;
+  /**
+   * Align the title and the cells to the right. Generally monetary or number fields are aligned to right.
+   */
+  numeric?: boolean;
+  /**
+   * Whether the rows can be sorted by pressing the title of the column.
+   */
+  sortable?: boolean;
+  /**
+   * Compares values of the column in ascending order. Numbers, dates and strings are compared by default.
+   */
+  compare?: (a: unknown, b: unknown, itemA: T, itemB: T) => number;
+  /**
+   * Fixed width of the column. Columns without it share the remaining space.
+   */
+  width?: number;
+  /**
+   * Minimum width of the column. The table scrolls horizontally when the columns don't fit.
+   */
+  minWidth?: number;
+  /**
+   * Whether the column stays visible while the table is scrolled horizontally.
+   * Only leading columns should be pinned.
+   */
+  pinned?: boolean;
+  /**
+   * Whether the column can be resized by dragging the trailing edge of its title. Only supported on web.
+   */
+  resizable?: boolean;
+  /**
+   * Whether the cells can be edited on press, see `onCellEditCommit` of `DataTable`.
+   */
+  editable?: boolean | ((item: T) => boolean);
+  /**
+   * Values of the column, shown by their label. Edited cells pick them from a `Menu` instead of a `TextInput`.
+   */
+  options?: DataTableColumnOption[];
+  /**
+   * Converts the edited text to the value. Numeric columns convert it to a number by default,
+   * and report empty or non-numeric text as an error.
+   */
+  parse?: (text: string) => unknown;
+  /**
+   * Returns an error message when the edited value isn't valid, the editor stays open until it's fixed or cancelled.
+   */
+  validate?: (value: unknown, item: T) => string | null | undefined;
+  titleStyle?: StyleProp<ViewStyle>;
+  cellStyle?: StyleProp<ViewStyle>;
+  textStyle?: StyleProp<TextStyle>;
+};
+
+/**
+ * Returns the style sizing the title and the cells of the column.
+ */
+export const getColumnStyle = <T,>(
+  column: DataTableColumn<T>,
+  width = column.width
+): ViewStyle | undefined => {
+  if (width !== undefined) {
+    return { flex: 0, width, minWidth: column.minWidth };
+  }
+
+  return column.minWidth !== undefined
+    ? { minWidth: column.minWidth }
+    : undefined;
+};
+
+/**
+ * Returns the background color of selected rows.
+ */
+export const getSelectedRowColor = (theme: InternalTheme) =>
+  theme.isV3
+    ? theme.colors.secondaryContainer
+    : color(theme.colors.primary).alpha(0.12).rgb().string();
+
+export const getCellValue = <T,>(column: DataTableColumn<T>, item: T) =>
+  column.accessor
+    ? column.accessor(item)
+    : (item as Record<string, unknown>)?.[column.key];
+
+/**
+ * Compares numbers, dates, booleans and strings. Empty values are ordered last.
+ */
+export const compareValues = (a: unknown, b: unknown) => {
+  const isEmptyA = a === null || a === undefined || a === '';
+  const isEmptyB = b === null || b === undefined || b === '';
+
+  if (isEmptyA || isEmptyB) {
+    return Number(isEmptyA) - Number(isEmptyB);
+  }
+
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() - b.getTime();
+  }
+
+  if (
+    (typeof a === 'number' || typeof a === 'boolean') &&
+    (typeof b === 'number' || typeof b === 'boolean')
+  ) {
+    return Number(a) - Number(b);
+  }
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Returns indices of the data sorted by the columns in `sort`, the first one taking precedence.
+ * Rows with equal values keep their order.
+ */
+export const getSortedIndices = <T,>(
+  data: readonly T[],
+  columns: DataTableColumn<T>[],
+  sort: DataTableSortItem[]
+) => {
+  const comparators = sort.reduce<((a: T, b: T) => number)[]>(
+    (result, { key, direction }) => {
+      const column = columns.find((column) => column.key === key);
+
+      if (!column) {
+        return result;
+      }
+
+      const compare = column.compare ?? compareValues;
+      const order = direction === 'ascending' ? 1 : -1;
+
+      return [
+        ...result,
+        (a, b) =>
+          order *
+          compare(getCellValue(column, a), getCellValue(column, b), a, b),
+      ];
+    },
+    []
+  );
+
+  const indices = data.map((_, index) => index);
+
+  if (!comparators.length) {
+    return indices;
+  }
+
+  return indices.sort((a, b) => {
+    for (const compare of comparators) {
+      const result = compare(data[a], data[b]);
+
+      if (result !== 0) {
+        return result;
+      }
+    }
+
+    return a - b;
+  });
+};
+
+/**
+ * Returns the sort after pressing the title of the column.
+ * The column toggles between ascending and descending order, with `multiSort` it's removed after descending
+ * and the other sorted columns are kept.
+ */
+export const getNextSort = (
+  sort: DataTableSortItem[],
+  key: string,
+  multiSort = false
+): DataTableSortItem[] => {
+  const current = sort.find((item) => item.key === key);
+
+  if (!multiSort) {
+    return [
+      {
+        key,
+        direction:
+          current?.direction === 'ascending' ? 'descending' : 'ascending',
+      },
+    ];
+  }
+
+  if (!current) {
+    return [...sort, { key, direction: 'ascending' }];
+  }
+
+  return current.direction === 'ascending'
+    ? sort.map((item) =>
+        item.key === key ? { key, direction: 'descending' } : item
+      )
+    : sort.filter((item) => item.key !== key);
+};
+
+/**
+ * Returns the key of the row, like `FlatList` it uses `key` or `id` of the item and falls back to the index.
+ */
+export const getRowKey = <T,>(
+  item: T,
+  index: number,
+  keyExtractor?: (item: T, index: number) => string
+) => {
+  if (keyExtractor) {
+    return keyExtractor(item, index);
+  }
+
+  const { key, id } = (item ?? {}) as { key?: unknown; id?: unknown };
+
+  return key !== undefined
+    ? String(key)
+    : id !== undefined
+    ? String(id)
+    : String(index);
+};
+
+/**
+ * Returns the keys between `from` and `to` in the order of `keys`, including both of them.
+ * Only `to` is returned when `from` isn't in `keys`.
+ */
+export const getKeyRange = (keys: string[], from: string, to: string) => {
+  const start = keys.indexOf(from);
+  const end = keys.indexOf(to);
+
+  if (start === -1 || end === -1) {
+    return [to];
+  }
+
+  return keys.slice(Math.min(start, end), Math.max(start, end) + 1);
+};
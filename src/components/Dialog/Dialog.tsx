@@ -1,6 +1,7 @@
 import * as React from 'react';
 import { Platform, StyleProp, StyleSheet, ViewStyle } from 'react-native';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
 import overlay from '../../styles/overlay';
 import type { InternalTheme } from '../../types';
@@ -82,17 +83,18 @@ const DIALOG_ELEVATION: number = 24;
  * export default MyComponent;
  * ```
  */
-const Dialog = ({
-  children,
-  dismissable = true,
-  onDismiss,
-  visible = false,
-  style,
-  theme,
-}: Props) => {
+const Dialog = (props: Props) => {
+  const {
+    children,
+    dismissable = true,
+    onDismiss,
+    visible = false,
+    style,
+    theme,
+  } = applyComponentDefaults('Dialog', props);
   const { isV3, dark, mode, colors, roundness } = theme;
 
-  const borderRadius = (isV3 ? 7 : 1) * roundness;
+  const borderRadius = theme.shapes?.extraLarge ?? (isV3 ? 7 : 1) * roundness;
 
   const backgroundColorV2 =
     dark && mode === 'adaptive'
@@ -59,7 +59,6 @@ const DialogTitle = ({ children, theme, style, ...rest }: Props) => {
 
   const headerTextStyle = {
     color: isV3 ? theme.colors.onSurface : theme.colors?.text,
-    ...(isV3 ? theme.fonts.headlineSmall : {}),
   };
 
   return (
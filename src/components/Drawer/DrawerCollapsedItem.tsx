@@ -12,6 +12,7 @@ import {
 } from 'react-native';
 
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { InternalTheme } from '../../types';
 import Badge from '../Badge';
 import Icon, { IconSource } from '../Icon';
@@ -91,7 +92,6 @@ const DrawerCollapsedItem = ({
   ...rest
 }: Props) => {
   const { isV3 } = theme;
-  const { scale } = theme.animation;
 
   const [numOfLines, setNumOfLines] = React.useState(1);
 
@@ -112,7 +112,7 @@ const DrawerCollapsedItem = ({
   const handlePressOut = () => {
     Animated.timing(animScale, {
       toValue: 1,
-      duration: 150 * scale,
+      duration: getAnimationDuration(theme, 'short3'),
       useNativeDriver: true,
     }).start();
   };
@@ -158,7 +158,12 @@ const DrawerCollapsedItem = ({
         accessibilityState={{ selected: active }}
         accessibilityLabel={accessibilityLabel}
       >
-        <View style={styles.wrapper}>
+        <View
+          style={[
+            styles.wrapper,
+            theme.direction && { direction: theme.direction },
+          ]}
+        >
           <Animated.View
             style={[
               styles.outline,
@@ -242,7 +247,7 @@ const styles = StyleSheet.create({
   },
   badgeContainer: {
     position: 'absolute',
-    left: 20,
+    start: 20,
     bottom: 20,
     zIndex: 2,
   },
@@ -109,7 +109,11 @@ const DrawerItem = ({
         onPress={onPress}
         style={[
           styles.container,
-          { backgroundColor, borderRadius },
+          {
+            backgroundColor,
+            borderRadius,
+            ...(theme.direction && { direction: theme.direction }),
+          },
           isV3 && styles.v3Container,
           style,
         ]}
@@ -131,7 +135,7 @@ const DrawerItem = ({
                 styles.label,
                 {
                   color: contentColor,
-                  marginLeft: labelMargin,
+                  marginStart: labelMargin,
                   ...font,
                 },
               ]}
@@ -167,8 +171,8 @@ const styles = StyleSheet.create({
     padding: 8,
   },
   v3Wrapper: {
-    marginLeft: 16,
-    marginRight: 24,
+    marginStart: 16,
+    marginEnd: 24,
     padding: 0,
   },
   content: {
@@ -177,7 +181,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   label: {
-    marginRight: 32,
+    marginEnd: 32,
   },
 });
 
@@ -70,7 +70,14 @@ const DrawerSection = ({ children, title, theme, style, ...rest }: Props) => {
   const font = isV3 ? theme.fonts.titleSmall : theme.fonts.medium;
 
   return (
-    <View style={[styles.container, style]} {...rest}>
+    <View
+      style={[
+        styles.container,
+        theme.direction && { direction: theme.direction },
+        style,
+      ]}
+      {...rest}
+    >
       {title && (
         <View style={[styles.titleContainer, isV3 && styles.v3TitleContainer]}>
           {title && (
@@ -80,7 +87,7 @@ const DrawerSection = ({ children, title, theme, style, ...rest }: Props) => {
               style={[
                 {
                   color: titleColor,
-                  marginLeft: titleMargin,
+                  marginStart: titleMargin,
                   ...font,
                 },
               ]}
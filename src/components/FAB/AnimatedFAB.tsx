@@ -6,8 +6,6 @@ import type {
 } from 'react-native';
 import {
   Animated,
-  Easing,
-  I18nManager,
   Platform,
   ScrollView,
   StyleProp,
@@ -19,7 +17,9 @@ import {
 
 import color from 'color';
 
+import { getDirection } from '../../core/direction';
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration, getAnimationEasing } from '../../styles/motion';
 import type { $RemoveChildren, InternalTheme } from '../../types';
 import type { IconSource } from '../Icon';
 import Icon from '../Icon';
@@ -205,15 +205,17 @@ const AnimatedFAB = ({
   const isIOS = Platform.OS === 'ios';
   const isAnimatedFromRight = animateFrom === 'right';
   const isIconStatic = iconMode === 'static';
-  const { isRTL } = I18nManager;
   const { current: visibility } = React.useRef<Animated.Value>(
     new Animated.Value(visible ? 1 : 0)
   );
   const { current: animFAB } = React.useRef<Animated.Value>(
     new Animated.Value(0)
   );
-  const { isV3, animation } = theme;
-  const { scale } = animation;
+  const { isV3 } = theme;
+  const isRTL = getDirection(theme) === 'rtl';
+  const enterDuration = getAnimationDuration(theme, 'short4');
+  const exitDuration = getAnimationDuration(theme, 'short3');
+  const extendEasing = getAnimationEasing(theme, 'linear');
 
   const [textWidth, setTextWidth] = React.useState<number>(0);
   const [textHeight, setTextHeight] = React.useState<number>(0);
@@ -224,17 +226,17 @@ const AnimatedFAB = ({
     if (visible) {
       Animated.timing(visibility, {
         toValue: 1,
-        duration: 200 * scale,
+        duration: enterDuration,
         useNativeDriver: true,
       }).start();
     } else {
       Animated.timing(visibility, {
         toValue: 0,
-        duration: 150 * scale,
+        duration: exitDuration,
         useNativeDriver: true,
       }).start();
     }
-  }, [visible, scale, visibility]);
+  }, [visible, enterDuration, exitDuration, visibility]);
 
   const { backgroundColor, foregroundColor } = getFABColors({
     theme,
@@ -255,11 +257,11 @@ const AnimatedFAB = ({
   React.useEffect(() => {
     Animated.timing(animFAB, {
       toValue: !extended ? 0 : distance,
-      duration: 150 * scale,
+      duration: exitDuration,
       useNativeDriver: true,
-      easing: Easing.linear,
+      easing: extendEasing,
     }).start();
-  }, [animFAB, scale, distance, extended]);
+  }, [animFAB, exitDuration, extendEasing, distance, extended]);
 
   const onTextLayout = ({
     nativeEvent,
@@ -291,6 +293,7 @@ const AnimatedFAB = ({
     isIconStatic,
     distance,
     animFAB,
+    isRTL,
   });
 
   const font = isV3 ? theme.fonts.labelLarge : theme.fonts.medium;
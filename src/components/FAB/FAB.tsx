@@ -8,7 +8,9 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { $RemoveChildren, InternalTheme } from '../../types';
 import ActivityIndicator from '../ActivityIndicator';
 import CrossFadeIcon from '../CrossFadeIcon';
@@ -151,159 +153,155 @@ export type Props = $RemoveChildren<typeof Surface> & {
  * export default MyComponent;
  * ```
  */
-const FAB = React.forwardRef<View, Props>(
-  (
-    {
-      icon,
-      label,
-      accessibilityLabel = label,
-      accessibilityState,
-      animated = true,
-      color: customColor,
-      disabled,
-      onPress,
-      onLongPress,
-      theme,
-      style,
-      visible = true,
-      uppercase = !theme.isV3,
-      loading,
-      testID = 'fab',
-      size = 'medium',
-      customSize,
-      mode = 'elevated',
-      variant = 'primary',
-      ...rest
-    }: Props,
-    ref
-  ) => {
-    const { current: visibility } = React.useRef<Animated.Value>(
-      new Animated.Value(visible ? 1 : 0)
-    );
-    const { isV3, animation } = theme;
-    const { scale } = animation;
+const FAB = React.forwardRef<View, Props>((props: Props, ref) => {
+  const {
+    icon,
+    label,
+    accessibilityLabel = label,
+    accessibilityState,
+    animated = true,
+    color: customColor,
+    disabled,
+    onPress,
+    onLongPress,
+    theme,
+    style,
+    visible = true,
+    uppercase = !theme.isV3,
+    loading,
+    testID = 'fab',
+    size = 'medium',
+    customSize,
+    mode = 'elevated',
+    variant = 'primary',
+    ...rest
+  } = applyComponentDefaults<Props>('FAB', props);
+  const { current: visibility } = React.useRef<Animated.Value>(
+    new Animated.Value(visible ? 1 : 0)
+  );
+  const { isV3 } = theme;
+  const enterDuration = getAnimationDuration(theme, 'short4');
+  const exitDuration = getAnimationDuration(theme, 'short3');
 
-    React.useEffect(() => {
-      if (visible) {
-        Animated.timing(visibility, {
-          toValue: 1,
-          duration: 200 * scale,
-          useNativeDriver: true,
-        }).start();
-      } else {
-        Animated.timing(visibility, {
-          toValue: 0,
-          duration: 150 * scale,
-          useNativeDriver: true,
-        }).start();
-      }
-    }, [visible, scale, visibility]);
+  React.useEffect(() => {
+    if (visible) {
+      Animated.timing(visibility, {
+        toValue: 1,
+        duration: enterDuration,
+        useNativeDriver: true,
+      }).start();
+    } else {
+      Animated.timing(visibility, {
+        toValue: 0,
+        duration: exitDuration,
+        useNativeDriver: true,
+      }).start();
+    }
+  }, [visible, enterDuration, exitDuration, visibility]);
 
-    const IconComponent = animated ? CrossFadeIcon : Icon;
+  const IconComponent = animated ? CrossFadeIcon : Icon;
 
-    const { backgroundColor, foregroundColor, rippleColor } = getFABColors({
-      theme,
-      variant,
-      disabled,
-      customColor,
-      style,
-    });
+  const { backgroundColor, foregroundColor, rippleColor } = getFABColors({
+    theme,
+    variant,
+    disabled,
+    customColor,
+    style,
+  });
 
-    const isLargeSize = size === 'large';
-    const isFlatMode = mode === 'flat';
-    const iconSize = isLargeSize ? 36 : 24;
-    const loadingIndicatorSize = isLargeSize ? 24 : 18;
-    const font = isV3 ? theme.fonts.labelLarge : theme.fonts.medium;
+  const isLargeSize = size === 'large';
+  const isFlatMode = mode === 'flat';
+  const iconSize = isLargeSize ? 36 : 24;
+  const loadingIndicatorSize = isLargeSize ? 24 : 18;
+  const font = isV3 ? theme.fonts.labelLarge : theme.fonts.medium;
 
-    const fabStyle = getFabStyle({ customSize, size, theme });
-    const extendedStyle = getExtendedFabStyle({ customSize, theme });
-    const textStyle = {
-      color: foregroundColor,
-      ...font,
-    };
+  const fabStyle = getFabStyle({ customSize, size, theme });
+  const extendedStyle = getExtendedFabStyle({ customSize, theme });
+  const textStyle = {
+    color: foregroundColor,
+    ...font,
+  };
 
-    const { borderRadius = fabStyle.borderRadius } = (StyleSheet.flatten(
-      style
-    ) || {}) as ViewStyle;
+  const { borderRadius = fabStyle.borderRadius } = (StyleSheet.flatten(style) ||
+    {}) as ViewStyle;
 
-    const md3Elevation = isFlatMode || disabled ? 0 : 3;
+  const md3Elevation = isFlatMode || disabled ? 0 : 3;
 
-    const newAccessibilityState = { ...accessibilityState, disabled };
+  const newAccessibilityState = { ...accessibilityState, disabled };
 
-    return (
-      <Surface
-        ref={ref}
-        {...rest}
-        style={
-          [
-            {
-              borderRadius,
-              backgroundColor,
-              opacity: visibility,
-              transform: [
-                {
-                  scale: visibility,
-                },
-              ],
-            },
-            styles.container,
-            !isV3 && styles.elevated,
-            !isV3 && disabled && styles.disabled,
-            style,
-          ] as StyleProp<ViewStyle>
-        }
-        pointerEvents={visible ? 'auto' : 'none'}
-        testID={`${testID}-container`}
-        {...(isV3 && { elevation: md3Elevation })}
+  return (
+    <Surface
+      ref={ref}
+      {...rest}
+      style={
+        [
+          {
+            borderRadius,
+            backgroundColor,
+            opacity: visibility,
+            transform: [
+              {
+                scale: visibility,
+              },
+            ],
+          },
+          styles.container,
+          !isV3 && styles.elevated,
+          !isV3 && disabled && styles.disabled,
+          style,
+        ] as StyleProp<ViewStyle>
+      }
+      pointerEvents={visible ? 'auto' : 'none'}
+      testID={`${testID}-container`}
+      {...(isV3 && { elevation: md3Elevation })}
+    >
+      <TouchableRipple
+        borderless
+        onPress={onPress}
+        onLongPress={onLongPress}
+        rippleColor={rippleColor}
+        disabled={disabled}
+        accessibilityLabel={accessibilityLabel}
+        accessibilityRole="button"
+        accessibilityState={newAccessibilityState}
+        testID={testID}
       >
-        <TouchableRipple
-          borderless
-          onPress={onPress}
-          onLongPress={onLongPress}
-          rippleColor={rippleColor}
-          disabled={disabled}
-          accessibilityLabel={accessibilityLabel}
-          accessibilityRole="button"
-          accessibilityState={newAccessibilityState}
-          testID={testID}
+        <View
+          style={[styles.content, label ? extendedStyle : fabStyle]}
+          testID={`${testID}-content`}
+          pointerEvents="none"
         >
-          <View
-            style={[styles.content, label ? extendedStyle : fabStyle]}
-            testID={`${testID}-content`}
-            pointerEvents="none"
-          >
-            {icon && loading !== true ? (
-              <IconComponent
-                source={icon}
-                size={customSize ? customSize / 2 : iconSize}
-                color={foregroundColor}
-              />
-            ) : null}
-            {loading ? (
-              <ActivityIndicator
-                size={customSize ? customSize / 2 : loadingIndicatorSize}
-                color={foregroundColor}
-              />
-            ) : null}
-            {label ? (
-              <Text
-                variant="labelLarge"
-                selectable={false}
-                style={[
-                  styles.label,
-                  uppercase && styles.uppercaseLabel,
-                  textStyle,
-                ]}
-              >
-                {label}
-              </Text>
-            ) : null}
-          </View>
-        </TouchableRipple>
-      </Surface>
-    );
-  }
-);
+          {icon && loading !== true ? (
+            <IconComponent
+              source={icon}
+              size={customSize ? customSize / 2 : iconSize}
+              color={foregroundColor}
+            />
+          ) : null}
+          {loading ? (
+            <ActivityIndicator
+              size={customSize ? customSize / 2 : loadingIndicatorSize}
+              color={foregroundColor}
+            />
+          ) : null}
+          {label ? (
+            <Text
+              variant="labelLarge"
+              selectable={false}
+              style={[
+                styles.label,
+                uppercase && styles.uppercaseLabel,
+                textStyle,
+              ]}
+            >
+              {label}
+            </Text>
+          ) : null}
+        </View>
+      </TouchableRipple>
+    </Surface>
+  );
+});
 
 const styles = StyleSheet.create({
   elevated: {
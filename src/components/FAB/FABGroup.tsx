@@ -11,6 +11,7 @@ import {
 } from 'react-native';
 
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { InternalTheme } from '../../types';
 import Card from '../Card/Card';
 import type { IconSource } from '../Icon';
@@ -206,13 +207,16 @@ const FABGroup = ({
 
   const { scale } = theme.animation;
   const { isV3 } = theme;
+  const backdropEnterDuration = getAnimationDuration(theme, 'medium1');
+  const backdropExitDuration = getAnimationDuration(theme, 'short4');
+  const actionDuration = getAnimationDuration(theme, 'short3');
 
   React.useEffect(() => {
     if (open) {
       Animated.parallel([
         Animated.timing(backdrop, {
           toValue: 1,
-          duration: 250 * scale,
+          duration: backdropEnterDuration,
           useNativeDriver: true,
         }),
         Animated.stagger(
@@ -221,7 +225,7 @@ const FABGroup = ({
             .map((animation) =>
               Animated.timing(animation, {
                 toValue: 1,
-                duration: 150 * scale,
+                duration: actionDuration,
                 useNativeDriver: true,
               })
             )
@@ -232,19 +236,28 @@ const FABGroup = ({
       Animated.parallel([
         Animated.timing(backdrop, {
           toValue: 0,
-          duration: 200 * scale,
+          duration: backdropExitDuration,
           useNativeDriver: true,
         }),
         ...animations.current.map((animation) =>
           Animated.timing(animation, {
             toValue: 0,
-            duration: 150 * scale,
+            duration: actionDuration,
             useNativeDriver: true,
           })
         ),
       ]).start();
     }
-  }, [open, actions, backdrop, scale, isV3]);
+  }, [
+    open,
+    actions,
+    backdrop,
+    scale,
+    isV3,
+    backdropEnterDuration,
+    backdropExitDuration,
+    actionDuration,
+  ]);
 
   const close = () => onStateChange({ open: false });
 
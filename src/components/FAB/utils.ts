@@ -1,10 +1,4 @@
-import {
-  Animated,
-  I18nManager,
-  StyleProp,
-  StyleSheet,
-  ViewStyle,
-} from 'react-native';
+import { Animated, StyleProp, StyleSheet, ViewStyle } from 'react-native';
 
 import color from 'color';
 
@@ -17,6 +11,10 @@ type GetCombinedStylesProps = {
   isIconStatic: boolean;
   distance: number;
   animFAB: Animated.Value;
+  /**
+   * Whether the layout direction of the theme is right-to-left.
+   */
+  isRTL: boolean;
 };
 
 type CombinedStyles = {
@@ -38,9 +36,8 @@ export const getCombinedStyles = ({
   isIconStatic,
   distance,
   animFAB,
+  isRTL,
 }: GetCombinedStylesProps): CombinedStyles => {
-  const { isRTL } = I18nManager;
-
   const defaultPositionStyles = { left: -distance, right: undefined };
 
   const combinedStyles: CombinedStyles = {
@@ -382,25 +379,35 @@ export const getFabStyle = ({
   size: 'small' | 'medium' | 'large';
   theme: InternalTheme;
 }) => {
-  const { isV3, roundness } = theme;
+  const { isV3, roundness, shapes } = theme;
 
   if (customSize) return getCustomFabSize(customSize, roundness);
 
   if (isV3) {
     switch (size) {
       case 'small':
-        return { ...v3SmallSize, borderRadius: 3 * roundness };
+        return {
+          ...v3SmallSize,
+          borderRadius: shapes?.medium ?? 3 * roundness,
+        };
       case 'medium':
-        return { ...v3MediumSize, borderRadius: 4 * roundness };
+        return {
+          ...v3MediumSize,
+          borderRadius: shapes?.large ?? 4 * roundness,
+        };
       case 'large':
-        return { ...v3LargeSize, borderRadius: 7 * roundness };
+        return {
+          ...v3LargeSize,
+          borderRadius: shapes?.extraLarge ?? 7 * roundness,
+        };
     }
   }
 
-  if (size === 'small') {
-    return smallSize;
-  }
-  return standardSize;
+  const fabSize = size === 'small' ? smallSize : standardSize;
+
+  return shapes?.full === undefined
+    ? fabSize
+    : { ...fabSize, borderRadius: shapes.full };
 };
 
 const extended = {
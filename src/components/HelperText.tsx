@@ -10,6 +10,7 @@ import {
 import color from 'color';
 
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import type { $Omit, InternalTheme } from '../types';
 import AnimatedText from './Typography/AnimatedText';
 
@@ -94,7 +95,8 @@ const HelperText = ({
 
   let { current: textHeight } = React.useRef<number>(0);
 
-  const { scale } = theme.animation;
+  const enterDuration = getAnimationDuration(theme, 'short3');
+  const exitDuration = getAnimationDuration(theme, 'short4');
 
   const { maxFontSizeMultiplier = 1.5 } = rest;
 
@@ -103,18 +105,18 @@ const HelperText = ({
       // show text
       Animated.timing(shown, {
         toValue: 1,
-        duration: 150 * scale,
+        duration: enterDuration,
         useNativeDriver: true,
       }).start();
     } else {
       // hide text
       Animated.timing(shown, {
         toValue: 0,
-        duration: 180 * scale,
+        duration: exitDuration,
         useNativeDriver: true,
       }).start();
     }
-  }, [visible, scale, shown]);
+  }, [visible, enterDuration, exitDuration, shown]);
 
   const handleTextLayout = (e: LayoutChangeEvent) => {
     onLayout?.(e);
@@ -1,17 +1,15 @@
 import * as React from 'react';
-import {
-  I18nManager,
-  Image,
-  ImageSourcePropType,
-  Platform,
-} from 'react-native';
+import { Image, ImageSourcePropType, Platform } from 'react-native';
 
+import { getDirection } from '../core/direction';
+import { resolveIcon } from '../core/icons';
 import { Consumer as SettingsConsumer } from '../core/settings';
 import { withInternalTheme } from '../core/theming';
 import type { InternalTheme } from '../types';
 import { accessibilityProps } from './MaterialCommunityIcon';
+import SvgIcon, { isSvgSource, isSvgXml, SvgIconSource } from './SvgIcon';
 
-type IconSourceBase = string | ImageSourcePropType;
+type IconSourceBase = string | ImageSourcePropType | SvgIconSource;
 
 export type IconSource =
   | IconSourceBase
@@ -56,13 +54,18 @@ const getIconId = (source: any) => {
     return source.uri;
   }
 
+  if (isSvgSource(source)) {
+    return source.svg;
+  }
+
   return source;
 };
 
 export const isValidIcon = (source: any) =>
   typeof source === 'string' ||
   typeof source === 'function' ||
-  isImageSource(source);
+  isImageSource(source) ||
+  isSvgSource(source);
 
 export const isEqualIcon = (a: any, b: any) =>
   a === b || getIconId(a) === getIconId(b);
@@ -71,9 +74,7 @@ const Icon = ({ source, color, size, theme, ...rest }: Props) => {
   const direction =
     typeof source === 'object' && source.direction && source.source
       ? source.direction === 'auto'
-        ? I18nManager.getConstants().isRTL
-          ? 'rtl'
-          : 'ltr'
+        ? getDirection(theme)
         : source.direction
       : null;
   const s =
@@ -83,7 +84,17 @@ const Icon = ({ source, color, size, theme, ...rest }: Props) => {
   const iconColor =
     color || (theme.isV3 ? theme.colors.onSurface : theme.colors.text);
 
-  if (isImageSource(s)) {
+  if (isSvgSource(s) || isSvgXml(s)) {
+    return (
+      <SvgIcon
+        {...rest}
+        source={s}
+        color={iconColor}
+        size={size}
+        direction={direction}
+      />
+    );
+  } else if (isImageSource(s)) {
     return (
       <Image
         {...rest}
@@ -106,13 +117,17 @@ const Icon = ({ source, color, size, theme, ...rest }: Props) => {
   } else if (typeof s === 'string') {
     return (
       <SettingsConsumer>
-        {({ icon }) => {
-          return icon({
-            name: s,
-            color: iconColor,
-            size,
-            direction,
-          });
+        {(settings) => {
+          const icon = resolveIcon(settings, s);
+
+          return icon
+            ? icon.render({
+                name: icon.name,
+                color: iconColor,
+                size,
+                direction,
+              })
+            : null;
         }}
       </SettingsConsumer>
     );
@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   GestureResponderEvent,
-  I18nManager,
   StyleProp,
   StyleSheet,
   TextStyle,
@@ -9,6 +8,7 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { getDirection } from '../../core/direction';
 import { withInternalTheme } from '../../core/theming';
 import type { InternalTheme } from '../../types';
 import MaterialCommunityIcon from '../MaterialCommunityIcon';
@@ -255,7 +255,7 @@ const ListAccordion = ({
                   name={isExpanded ? 'chevron-up' : 'chevron-down'}
                   color={theme.isV3 ? descriptionColor : titleColor}
                   size={24}
-                  direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+                  direction={getDirection(theme)}
                 />
               )}
             </View>
@@ -13,10 +13,12 @@ import {
 import color from 'color';
 
 import { withInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
 import type {
   $RemoveChildren,
   EllipsizeProp,
   InternalTheme,
+  MD3Density,
 } from '../../types';
 import TouchableRipple from '../TouchableRipple/TouchableRipple';
 import Text from '../Typography/Text';
@@ -106,6 +108,10 @@ export type Props = $RemoveChildren<typeof TouchableRipple> & {
    * See [`ellipsizeMode`](https://reactnative.dev/docs/text#ellipsizemode)
    */
   descriptionEllipsizeMode?: EllipsizeProp;
+  /**
+   * Density of the item, shrinks its vertical padding. Overrides `theme.density`.
+   */
+  density?: MD3Density;
 };
 
 /**
@@ -149,8 +155,11 @@ const ListItem = ({
   titleEllipsizeMode,
   descriptionEllipsizeMode,
   descriptionStyle,
+  density: densityProp,
   ...rest
 }: Props) => {
+  const density = getDensity({ theme, density: densityProp });
+  const containerStyle = theme.isV3 ? styles.containerV3 : styles.container;
   const [alignToTop, setAlignToTop] = React.useState(false);
 
   const onDescriptionTextLayout = (
@@ -222,7 +231,15 @@ const ListItem = ({
   return (
     <TouchableRipple
       {...rest}
-      style={[theme.isV3 ? styles.containerV3 : styles.container, style]}
+      style={[
+        density === 0
+          ? containerStyle
+          : [
+              containerStyle,
+              { paddingVertical: applyDensity(8, density, { step: 2 }) },
+            ],
+        style,
+      ]}
       onPress={onPress}
     >
       <View style={theme.isV3 ? styles.rowV3 : styles.row}>
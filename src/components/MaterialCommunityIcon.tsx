@@ -18,7 +18,7 @@ let MaterialCommunityIcons: React.ComponentType<
     size: number;
     pointerEvents?: ViewProps['pointerEvents'];
   }
->;
+> & { hasIcon?: (name: string) => boolean };
 
 try {
   // Optionally require vector-icons
@@ -98,6 +98,13 @@ const defaultIcon = ({
   />
 );
 
+/**
+ * Checks if the icon is in the glyph map of `MaterialCommunityIcons`.
+ * Always true when `react-native-vector-icons` isn't installed, since the glyphs are unknown.
+ */
+export const hasMaterialCommunityIcon = (name: string) =>
+  MaterialCommunityIcons.hasIcon?.(name) ?? true;
+
 const styles = StyleSheet.create({
   icon: {
     backgroundColor: 'transparent',
@@ -3,7 +3,6 @@ import {
   Animated,
   BackHandler,
   Dimensions,
-  Easing,
   findNodeHandle,
   I18nManager,
   LayoutRectangle,
@@ -24,7 +23,11 @@ import {
 import color from 'color';
 
 import { APPROX_STATUSBAR_HEIGHT } from '../../constants';
+import { getDirection } from '../../core/direction';
+import { getString } from '../../core/localization';
+import { Settings, SettingsContext } from '../../core/settings';
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration, getAnimationEasing } from '../../styles/motion';
 import type { $Omit, InternalTheme } from '../../types';
 import { addEventListener } from '../../utils/addEventListener';
 import Portal from '../Portal/Portal';
@@ -58,6 +61,7 @@ export type Props = {
   onDismiss?: () => void;
   /**
    * Accessibility label for the overlay. This is read by the screen reader when the user taps outside the menu.
+   * Defaults to the `menuOverlay` string from the Provider settings.
    */
   overlayAccessibilityLabel?: string;
   /**
@@ -93,10 +97,6 @@ type State = {
 
 // Minimum padding between the edge of the screen and the menu
 const SCREEN_INDENT = 8;
-// From https://material.io/design/motion/speed.html#duration
-const ANIMATION_DURATION = 250;
-// From the 'Standard easing' section of https://material.io/design/motion/speed.html#easing
-const EASING = Easing.bezier(0.4, 0, 0.2, 1);
 
 const WINDOW_LAYOUT = Dimensions.get('window');
 
@@ -150,9 +150,10 @@ class Menu extends React.Component<Props, State> {
   // @component ./MenuItem.tsx
   static Item = MenuItem;
 
+  static contextType = SettingsContext;
+
   static defaultProps = {
     statusBarHeight: APPROX_STATUSBAR_HEIGHT,
-    overlayAccessibilityLabel: 'Close menu',
   };
 
   static getDerivedStateFromProps(nextProps: Props, prevState: State) {
@@ -337,18 +338,20 @@ class Menu extends React.Component<Props, State> {
       () => {
         this.attachListeners();
 
-        const { animation } = this.props.theme;
+        const { theme } = this.props;
+        const duration = getAnimationDuration(theme, 'medium1');
+        const easing = getAnimationEasing(theme, 'legacy');
         Animated.parallel([
           Animated.timing(this.state.scaleAnimation, {
             toValue: { x: menuLayout.width, y: menuLayout.height },
-            duration: ANIMATION_DURATION * animation.scale,
-            easing: EASING,
+            duration,
+            easing,
             useNativeDriver: true,
           }),
           Animated.timing(this.state.opacityAnimation, {
             toValue: 1,
-            duration: ANIMATION_DURATION * animation.scale,
-            easing: EASING,
+            duration,
+            easing,
             useNativeDriver: true,
           }),
         ]).start(({ finished }) => {
@@ -363,11 +366,11 @@ class Menu extends React.Component<Props, State> {
   private hide = () => {
     this.removeListeners();
 
-    const { animation } = this.props.theme;
+    const { theme } = this.props;
     Animated.timing(this.state.opacityAnimation, {
       toValue: 0,
-      duration: ANIMATION_DURATION * animation.scale,
-      easing: EASING,
+      duration: getAnimationDuration(theme, 'medium1'),
+      easing: getAnimationEasing(theme, 'legacy'),
       useNativeDriver: true,
     }).start(({ finished }) => {
       if (finished) {
@@ -442,8 +445,13 @@ class Menu extends React.Component<Props, State> {
     // We need to translate menu while animating scale to imitate transform origin for scale animation
     const positionTransforms = [];
 
-    // Check if menu fits horizontally and if not align it to right.
-    if (left <= windowLayout.width - menuLayout.width - SCREEN_INDENT) {
+    const fitsFromLeft =
+      left <= windowLayout.width - menuLayout.width - SCREEN_INDENT;
+    const fitsFromRight =
+      left + anchorLayout.width - menuLayout.width >= SCREEN_INDENT;
+
+    // Align menu to the start of the anchor if it fits horizontally, otherwise to its end.
+    if (getDirection(theme) === 'rtl' ? !fitsFromRight : fitsFromLeft) {
       positionTransforms.push({
         translateX: scaleAnimation.x.interpolate({
           inputRange: [0, menuLayout.width],
@@ -576,13 +584,14 @@ class Menu extends React.Component<Props, State> {
     const shadowMenuContainerStyle = {
       opacity: opacityAnimation,
       transform: scaleTransforms,
-      borderRadius: theme.roundness,
+      borderRadius: theme.shapes?.extraSmall ?? theme.roundness,
       ...(!theme.isV3 && { elevation: 8 }),
       ...(scrollableMenuHeight ? { height: scrollableMenuHeight } : {}),
     };
 
     const positionStyle = {
       top: this.isCoordinate(anchor) ? top : top + additionalVerticalValue,
+      // Portal host follows the direction of the app, not the one of the theme
       ...(I18nManager.getConstants().isRTL ? { right: left } : { left }),
     };
 
@@ -597,7 +606,10 @@ class Menu extends React.Component<Props, State> {
         {rendered ? (
           <Portal>
             <TouchableWithoutFeedback
-              accessibilityLabel={overlayAccessibilityLabel}
+              accessibilityLabel={
+                overlayAccessibilityLabel ??
+                getString((this.context as Settings).strings, 'menuOverlay')
+              }
               accessibilityRole="button"
               onPress={onDismiss}
             >
@@ -613,7 +625,12 @@ class Menu extends React.Component<Props, State> {
               pointerEvents={visible ? 'box-none' : 'none'}
               onAccessibilityEscape={onDismiss}
             >
-              <Animated.View style={{ transform: positionTransforms }}>
+              <Animated.View
+                style={{
+                  transform: positionTransforms,
+                  ...(theme.direction && { direction: theme.direction }),
+                }}
+              >
                 <Surface
                   style={
                     [
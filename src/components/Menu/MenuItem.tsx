@@ -8,7 +8,8 @@ import {
 } from 'react-native';
 
 import { withInternalTheme } from '../../core/theming';
-import type { InternalTheme } from '../../types';
+import { applyDensity, getDensity } from '../../styles/density';
+import type { InternalTheme, MD3Density } from '../../types';
 import Icon, { IconSource } from '../Icon';
 import TouchableRipple from '../TouchableRipple/TouchableRipple';
 import Text from '../Typography/Text';
@@ -46,6 +47,10 @@ export type Props = {
    * Sets min height with densed layout.
    */
   dense?: boolean;
+  /**
+   * Density of the item, shrinks its height. Overrides `theme.density`, `dense` takes precedence.
+   */
+  density?: MD3Density;
   /**
    * Function to execute on press.
    */
@@ -102,6 +107,7 @@ const MenuItem = ({
   leadingIcon,
   trailingIcon,
   dense,
+  density: densityProp,
   title,
   disabled,
   onPress,
@@ -119,6 +125,7 @@ const MenuItem = ({
   const { isV3 } = theme;
 
   const containerPadding = isV3 ? 12 : 8;
+  const density = getDensity({ theme, density: densityProp });
 
   const iconWidth = isV3 ? 24 : 40;
 
@@ -140,7 +147,10 @@ const MenuItem = ({
     <TouchableRipple
       style={[
         styles.container,
-        { paddingHorizontal: containerPadding },
+        {
+          paddingHorizontal: containerPadding,
+          ...(density !== 0 && { height: applyDensity(48, density) }),
+        },
         dense && styles.md3DenseContainer,
         style,
       ]}
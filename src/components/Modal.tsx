@@ -2,7 +2,6 @@ import * as React from 'react';
 import {
   Animated,
   BackHandler,
-  Easing,
   NativeEventSubscription,
   StyleProp,
   StyleSheet,
@@ -17,7 +16,9 @@ import {
 } from 'react-native-iphone-x-helper';
 import type { InternalTheme } from 'src/types';
 
+import { useStrings } from '../core/localization';
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration, getAnimationEasing } from '../styles/motion';
 import { addEventListener } from '../utils/addEventListener';
 import useAnimatedValue from '../utils/useAnimatedValue';
 import Surface from './Surface';
@@ -33,6 +34,7 @@ export type Props = {
   onDismiss?: () => void;
   /**
    * Accessibility label for the overlay. This is read by the screen reader when the user taps outside the modal.
+   * Defaults to the `modalOverlay` string from the Provider settings.
    */
   overlayAccessibilityLabel?: string;
   /**
@@ -62,7 +64,6 @@ export type Props = {
   testID?: string;
 };
 
-const DEFAULT_DURATION = 220;
 const TOP_INSET = getStatusBarHeight(true);
 const BOTTOM_INSET = getBottomSpace();
 
@@ -108,7 +109,7 @@ const BOTTOM_INSET = getBottomSpace();
 function Modal({
   dismissable = true,
   visible = false,
-  overlayAccessibilityLabel = 'Close modal',
+  overlayAccessibilityLabel,
   onDismiss,
   children,
   contentContainerStyle,
@@ -116,14 +117,13 @@ function Modal({
   theme,
   testID = 'modal',
 }: Props) {
+  const getString = useStrings();
   const visibleRef = React.useRef(visible);
 
   React.useEffect(() => {
     visibleRef.current = visible;
   });
 
-  const { scale } = theme.animation;
-
   const opacity = useAnimatedValue(visible ? 1 : 0);
 
   const [rendered, setRendered] = React.useState(visible);
@@ -153,8 +153,8 @@ function Modal({
 
     Animated.timing(opacity, {
       toValue: 1,
-      duration: scale * DEFAULT_DURATION,
-      easing: Easing.out(Easing.cubic),
+      duration: getAnimationDuration(theme, 'short4'),
+      easing: getAnimationEasing(theme, 'standardDecelerate'),
       useNativeDriver: true,
     }).start();
   };
@@ -172,8 +172,8 @@ function Modal({
 
     Animated.timing(opacity, {
       toValue: 0,
-      duration: scale * DEFAULT_DURATION,
-      easing: Easing.out(Easing.cubic),
+      duration: getAnimationDuration(theme, 'short4'),
+      easing: getAnimationEasing(theme, 'standardDecelerate'),
       useNativeDriver: true,
     }).start(({ finished }) => {
       if (!finished) {
@@ -221,7 +221,9 @@ function Modal({
       testID={testID}
     >
       <TouchableWithoutFeedback
-        accessibilityLabel={overlayAccessibilityLabel}
+        accessibilityLabel={
+          overlayAccessibilityLabel ?? getString('modalOverlay')
+        }
         accessibilityRole="button"
         disabled={!dismissable}
         onPress={dismissable ? hideModal : undefined}
@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   Animated,
-  I18nManager,
   LayoutChangeEvent,
   Platform,
   StyleProp,
@@ -12,7 +11,9 @@ import {
 
 import setColor from 'color';
 
+import { getDirection } from '../core/direction';
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration } from '../styles/motion';
 import type { InternalTheme } from '../types';
 
 export type Props = React.ComponentPropsWithRef<typeof View> & {
@@ -47,7 +48,6 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
 
 const INDETERMINATE_DURATION = 2000;
 const INDETERMINATE_MAX_WIDTH = 0.6;
-const { isRTL } = I18nManager;
 
 /**
  * Progress bar is an indicator used to present progress of some activity in the app.
@@ -88,12 +88,13 @@ const ProgressBar = ({
   const indeterminateAnimation =
     React.useRef<Animated.CompositeAnimation | null>(null);
 
-  const { scale } = theme.animation;
+  const animationDuration = getAnimationDuration(theme, 'short4');
+  const isRTL = getDirection(theme) === 'rtl';
 
   const startAnimation = React.useCallback(() => {
     // Show progress bar
     Animated.timing(fade, {
-      duration: 200 * scale,
+      duration: animationDuration,
       toValue: 1,
       useNativeDriver: true,
       isInteraction: false,
@@ -121,7 +122,7 @@ const ProgressBar = ({
       Animated.loop(indeterminateAnimation.current).start();
     } else {
       Animated.timing(timer, {
-        duration: 200 * scale,
+        duration: animationDuration,
         toValue: progress ? progress : 0,
         useNativeDriver: true,
         isInteraction: false,
@@ -133,7 +134,7 @@ const ProgressBar = ({
      * We can only check if the prop is passed initially,
      * and we do early return.
      */
-  }, [fade, scale, indeterminate, timer, progress]);
+  }, [fade, animationDuration, indeterminate, timer, progress]);
 
   const stopAnimation = React.useCallback(() => {
     // Stop indeterminate animation
@@ -142,12 +143,12 @@ const ProgressBar = ({
     }
 
     Animated.timing(fade, {
-      duration: 200 * scale,
+      duration: animationDuration,
       toValue: 0,
       useNativeDriver: true,
       isInteraction: false,
     }).start();
-  }, [fade, scale]);
+  }, [fade, animationDuration]);
 
   React.useEffect(() => {
     if (visible) startAnimation();
@@ -2,6 +2,7 @@ import * as React from 'react';
 import { Animated, StyleSheet, View } from 'react-native';
 
 import { withInternalTheme } from '../../core/theming';
+import { getAnimationDuration } from '../../styles/motion';
 import type { $RemoveChildren, InternalTheme } from '../../types';
 import { getAndroidSelectionControlColor } from '../Checkbox/utils';
 import TouchableRipple from '../TouchableRipple/TouchableRipple';
@@ -80,7 +81,7 @@ const RadioButtonAndroid = ({
 
   const isFirstRendering = React.useRef<boolean>(true);
 
-  const { scale } = theme.animation;
+  const animationDuration = getAnimationDuration(theme, 'short3');
 
   React.useEffect(() => {
     // Do not run animation on very first rendering
@@ -94,7 +95,7 @@ const RadioButtonAndroid = ({
 
       Animated.timing(radioAnim, {
         toValue: 1,
-        duration: 150 * scale,
+        duration: animationDuration,
         useNativeDriver: true,
       }).start();
     } else {
@@ -102,11 +103,11 @@ const RadioButtonAndroid = ({
 
       Animated.timing(borderAnim, {
         toValue: BORDER_WIDTH,
-        duration: 150 * scale,
+        duration: animationDuration,
         useNativeDriver: false,
       }).start();
     }
-  }, [status, borderAnim, radioAnim, scale]);
+  }, [status, borderAnim, radioAnim, animationDuration]);
 
   return (
     <RadioButtonContext.Consumer>
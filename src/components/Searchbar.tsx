@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   Animated,
-  I18nManager,
   Platform,
   StyleProp,
   StyleSheet,
@@ -14,6 +13,8 @@ import {
 
 import color from 'color';
 
+import { getDirection } from '../core/direction';
+import { useStrings } from '../core/localization';
 import { withInternalTheme } from '../core/theming';
 import type { InternalTheme } from '../types';
 import ActivityIndicator from './ActivityIndicator';
@@ -25,10 +26,12 @@ import Surface from './Surface';
 export type Props = React.ComponentPropsWithRef<typeof TextInput> & {
   /**
    * Accessibility label for the button. This is read by the screen reader when the user taps the button.
+   * Defaults to the `searchbarClear` string from the Provider settings.
    */
   clearAccessibilityLabel?: string;
   /**
    * Accessibility label for the button. This is read by the screen reader when the user taps the button.
+   * Defaults to the `searchbarSearch` string from the Provider settings.
    */
   searchAccessibilityLabel?: string;
   /**
@@ -122,14 +125,14 @@ type TextInputHandles = Pick<
 const Searchbar = React.forwardRef<TextInputHandles, Props>(
   (
     {
-      clearAccessibilityLabel = 'clear',
+      clearAccessibilityLabel,
       clearIcon,
       icon,
       iconColor: customIconColor,
       inputStyle,
       onIconPress,
       placeholder,
-      searchAccessibilityLabel = 'search',
+      searchAccessibilityLabel,
       elevation = 1,
       style,
       theme,
@@ -175,6 +178,9 @@ const Searchbar = React.forwardRef<TextInputHandles, Props>(
 
     const { colors, roundness, dark, isV3 } = theme;
     const textColor = isV3 ? theme.colors.onSurface : theme.colors.text;
+    const getString = useStrings();
+    const direction = getDirection(theme);
+    const textAlign = direction === 'rtl' ? 'right' : 'left';
     const iconColor =
       customIconColor ||
       (dark ? textColor : color(textColor).alpha(0.54).rgb().string());
@@ -183,7 +189,7 @@ const Searchbar = React.forwardRef<TextInputHandles, Props>(
     return (
       <Surface
         style={[
-          { borderRadius: roundness },
+          { borderRadius: theme.shapes?.full ?? roundness },
           !isV3 && styles.elevation,
           styles.container,
           style,
@@ -203,17 +209,20 @@ const Searchbar = React.forwardRef<TextInputHandles, Props>(
                 name="magnify"
                 color={color}
                 size={size}
-                direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+                direction={direction}
               />
             ))
           }
-          accessibilityLabel={searchAccessibilityLabel}
+          accessibilityLabel={
+            searchAccessibilityLabel ?? getString('searchbarSearch')
+          }
         />
         <TextInput
           style={[
             styles.input,
             {
               color: textColor,
+              textAlign,
               ...(theme.isV3 ? theme.fonts.default : theme.fonts.regular),
               ...Platform.select({ web: { outline: 'none' } }),
             },
@@ -249,7 +258,9 @@ const Searchbar = React.forwardRef<TextInputHandles, Props>(
           >
             <IconButton
               borderless
-              accessibilityLabel={clearAccessibilityLabel}
+              accessibilityLabel={
+                clearAccessibilityLabel ?? getString('searchbarClear')
+              }
               iconColor={value ? iconColor : 'rgba(255, 255, 255, 0)'}
               rippleColor={rippleColor}
               onPress={handleClearPress}
@@ -260,7 +271,7 @@ const Searchbar = React.forwardRef<TextInputHandles, Props>(
                     name="close"
                     color={color}
                     size={size}
-                    direction={I18nManager.getConstants().isRTL ? 'rtl' : 'ltr'}
+                    direction={direction}
                   />
                 ))
               }
@@ -283,7 +294,6 @@ const styles = StyleSheet.create({
     fontSize: 18,
     paddingLeft: 8,
     alignSelf: 'stretch',
-    textAlign: I18nManager.getConstants().isRTL ? 'right' : 'left',
     minWidth: 0,
   },
   elevation: {
@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   Animated,
-  Easing,
   SafeAreaView,
   StyleProp,
   StyleSheet,
@@ -9,7 +8,9 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { applyComponentDefaults } from '../core/componentDefaults';
 import { withInternalTheme } from '../core/theming';
+import { getAnimationDuration, getAnimationEasing } from '../styles/motion';
 import type { InternalTheme } from '../types';
 import Button from './Button/Button';
 import Surface from './Surface';
@@ -109,18 +110,19 @@ const DURATION_LONG = 10000;
  * export default MyComponent;
  * ```
  */
-const Snackbar = ({
-  visible,
-  action,
-  duration = DURATION_MEDIUM,
-  onDismiss,
-  children,
-  elevation = 2,
-  wrapperStyle,
-  style,
-  theme,
-  ...rest
-}: Props) => {
+const Snackbar = (props: Props) => {
+  const {
+    visible,
+    action,
+    duration = DURATION_MEDIUM,
+    onDismiss,
+    children,
+    elevation = 2,
+    wrapperStyle,
+    style,
+    theme,
+    ...rest
+  } = applyComponentDefaults('Snackbar', props);
   const { current: opacity } = React.useRef<Animated.Value>(
     new Animated.Value(0.0)
   );
@@ -128,7 +130,9 @@ const Snackbar = ({
 
   const hideTimeout = React.useRef<NodeJS.Timeout | undefined>(undefined);
 
-  const { scale } = theme.animation;
+  const enterDuration = getAnimationDuration(theme, 'short4');
+  const exitDuration = getAnimationDuration(theme, 'short2');
+  const enterEasing = getAnimationEasing(theme, 'standardDecelerate');
 
   React.useEffect(() => {
     return () => {
@@ -143,8 +147,8 @@ const Snackbar = ({
       setHidden(false);
       Animated.timing(opacity, {
         toValue: 1,
-        duration: 200 * scale,
-        easing: Easing.out(Easing.ease),
+        duration: enterDuration,
+        easing: enterEasing,
         useNativeDriver: true,
       }).start(({ finished }) => {
         if (finished) {
@@ -168,7 +172,7 @@ const Snackbar = ({
 
       Animated.timing(opacity, {
         toValue: 0,
-        duration: 100 * scale,
+        duration: exitDuration,
         useNativeDriver: true,
       }).start(({ finished }) => {
         if (finished) {
@@ -176,7 +180,15 @@ const Snackbar = ({
         }
       });
     }
-  }, [visible, duration, opacity, scale, onDismiss]);
+  }, [
+    visible,
+    duration,
+    opacity,
+    enterDuration,
+    exitDuration,
+    enterEasing,
+    onDismiss,
+  ]);
 
   const { colors, roundness, isV3 } = theme;
 
@@ -229,6 +241,7 @@ const Snackbar = ({
             {
               borderRadius: roundness,
               opacity: opacity,
+              ...(theme.direction && { direction: theme.direction }),
               transform: [
                 {
                   scale: visible
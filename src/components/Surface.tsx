@@ -9,9 +9,17 @@ import {
 } from 'react-native';
 
 import { useInternalTheme } from '../core/theming';
+import { getAnimationDuration, getAnimationEasing } from '../styles/motion';
 import overlay, { isAnimatedValue } from '../styles/overlay';
-import shadow from '../styles/shadow';
+import shadow, {
+  getAndroidElevation,
+  getBoxShadowStyle,
+  getShadowLayerStyle,
+  getSurfaceTint,
+} from '../styles/shadow';
 import type { InternalTheme, MD3Elevation } from '../types';
+import useAnimatedValue from '../utils/useAnimatedValue';
+import useThemeTransitionColor from '../utils/useThemeTransitionColor';
 
 export type Props = React.ComponentPropsWithRef<typeof View> & {
   /**
@@ -28,6 +36,11 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
    * It's no longer supported with theme version 3 and you should use `elevation` property instead.
    */
   elevation?: 0 | 1 | 2 | 3 | 4 | 5 | Animated.Value;
+  /**
+   * @supported Available in v5.x with theme version 3
+   * Whether to animate the shadow and background when the `elevation` level changes.
+   */
+  animateElevation?: boolean;
   /**
    * @optional
    */
@@ -39,24 +52,84 @@ export type Props = React.ComponentPropsWithRef<typeof View> & {
   ref?: React.RefObject<View>;
 };
 
+/**
+ * Returns style cross-fading the background color of the surface on theme changes,
+ * or `null` when there's no transition.
+ */
+const useThemeTransitionBackground = (
+  backgroundColor: unknown,
+  style: Props['style']
+) => {
+  const { backgroundColor: styleBackgroundColor = backgroundColor } =
+    (StyleSheet.flatten(style) || {}) as ViewStyle;
+  const color =
+    typeof styleBackgroundColor === 'string' ? styleBackgroundColor : undefined;
+  const animatedBackgroundColor = useThemeTransitionColor(color);
+
+  return animatedBackgroundColor !== color
+    ? { backgroundColor: animatedBackgroundColor }
+    : null;
+};
+
+/**
+ * Returns an animated value following the `elevation` level when the transition is enabled,
+ * otherwise the `elevation` as is.
+ */
+const useElevationTransition = (
+  elevation: NonNullable<Props['elevation']>,
+  enabled: boolean,
+  theme: InternalTheme
+) => {
+  const isAnimated = isAnimatedValue(elevation);
+  const animatedElevation = useAnimatedValue(isAnimated ? 0 : elevation);
+  const duration = getAnimationDuration(theme, 'medium2');
+  const easing = getAnimationEasing(theme, 'standard');
+
+  React.useEffect(() => {
+    if (!enabled || isAnimated) {
+      return;
+    }
+
+    const animation = Animated.timing(animatedElevation, {
+      toValue: elevation,
+      duration,
+      easing,
+      useNativeDriver: false,
+    });
+
+    animation.start();
+
+    return () => animation.stop();
+  }, [enabled, isAnimated, elevation, animatedElevation, duration, easing]);
+
+  return enabled && !isAnimated ? animatedElevation : elevation;
+};
+
 const MD2Surface = React.forwardRef<View, Props>(
   ({ style, theme: overrideTheme, ...rest }: Omit<Props, 'elevation'>, ref) => {
     const { elevation = 4 } = (StyleSheet.flatten(style) || {}) as ViewStyle;
     const { dark: isDarkTheme, mode, colors } = useInternalTheme(overrideTheme);
 
+    const backgroundColor =
+      isDarkTheme && mode === 'adaptive'
+        ? overlay(elevation, colors?.surface)
+        : colors?.surface;
+    const transitionStyle = useThemeTransitionBackground(
+      backgroundColor,
+      style
+    );
+
     return (
       <Animated.View
         ref={ref}
         {...rest}
         style={[
           {
-            backgroundColor:
-              isDarkTheme && mode === 'adaptive'
-                ? overlay(elevation, colors?.surface)
-                : colors?.surface,
+            backgroundColor,
           },
           elevation ? shadow(elevation) : null,
           style,
+          transitionStyle,
         ]}
       />
     );
@@ -108,7 +181,8 @@ const MD2Surface = React.forwardRef<View, Props>(
 const Surface = React.forwardRef<View, Props>(
   (
     {
-      elevation = 1,
+      elevation: elevationProp = 1,
+      animateElevation = false,
       children,
       theme: overridenTheme,
       style,
@@ -118,31 +192,49 @@ const Surface = React.forwardRef<View, Props>(
     ref
   ) => {
     const theme = useInternalTheme(overridenTheme);
-
-    if (!theme.isV3)
-      return (
-        <MD2Surface {...props} theme={theme} style={style} ref={ref}>
-          {children}
-        </MD2Surface>
-      );
-
-    const { colors } = theme;
+    const elevation = useElevationTransition(
+      elevationProp,
+      animateElevation,
+      theme
+    );
 
     const inputRange = [0, 1, 2, 3, 4, 5];
 
     const backgroundColor = (() => {
+      if (!theme.isV3) {
+        return undefined;
+      }
+
+      if (getSurfaceTint(theme) === 'shadow') {
+        return theme.colors.surface;
+      }
+
       if (isAnimatedValue(elevation)) {
         return elevation.interpolate({
           inputRange,
           outputRange: inputRange.map((elevation) => {
-            return colors.elevation?.[`level${elevation as MD3Elevation}`];
+            return theme.colors.elevation?.[
+              `level${elevation as MD3Elevation}`
+            ];
           }),
         });
       }
 
-      return colors.elevation?.[`level${elevation}`];
+      return theme.colors.elevation?.[`level${elevation}`];
     })();
 
+    const transitionStyle = useThemeTransitionBackground(
+      backgroundColor,
+      style
+    );
+
+    if (!theme.isV3)
+      return (
+        <MD2Surface {...props} theme={theme} style={style} ref={ref}>
+          {children}
+        </MD2Surface>
+      );
+
     if (Platform.OS === 'web') {
       return (
         <Animated.View
@@ -151,8 +243,9 @@ const Surface = React.forwardRef<View, Props>(
           testID={testID}
           style={[
             { backgroundColor },
-            elevation ? shadow(elevation, theme.isV3) : null,
+            elevation ? getBoxShadowStyle(theme, elevation) : null,
             style,
+            transitionStyle,
           ]}
         >
           {children}
@@ -161,19 +254,6 @@ const Surface = React.forwardRef<View, Props>(
     }
 
     if (Platform.OS === 'android') {
-      const elevationLevel = [0, 3, 6, 9, 12, 15];
-
-      const getElevationAndroid = () => {
-        if (isAnimatedValue(elevation)) {
-          return elevation.interpolate({
-            inputRange,
-            outputRange: elevationLevel,
-          });
-        }
-
-        return elevationLevel[elevation];
-      };
-
       const { margin, padding, transform, borderRadius } = (StyleSheet.flatten(
         style
       ) || {}) as ViewStyle;
@@ -194,8 +274,9 @@ const Surface = React.forwardRef<View, Props>(
             outerLayerStyles,
             sharedStyle,
             {
-              elevation: getElevationAndroid(),
+              elevation: getAndroidElevation(theme, elevation),
             },
+            transitionStyle,
           ]}
         >
           {children}
@@ -203,85 +284,21 @@ const Surface = React.forwardRef<View, Props>(
       );
     }
 
-    const iOSShadowOutputRanges = [
-      {
-        shadowOpacity: 0.15,
-        height: [0, 1, 2, 4, 6, 8],
-        shadowRadius: [0, 3, 6, 8, 10, 12],
-      },
-      {
-        shadowOpacity: 0.3,
-        height: [0, 1, 1, 1, 2, 4],
-        shadowRadius: [0, 1, 2, 3, 3, 4],
-      },
-    ];
-
-    const shadowColor = '#000';
-
     const { position, alignSelf, top, left, right, bottom, ...restStyle } =
       (StyleSheet.flatten(style) || {}) as ViewStyle;
 
     const absoluteStyles = { position, alignSelf, top, right, bottom, left };
-    const sharedStyle = [{ backgroundColor }, restStyle];
-
-    if (isAnimatedValue(elevation)) {
-      const inputRange = [0, 1, 2, 3, 4, 5];
-
-      const getStyleForAnimatedShadowLayer = (layer: 0 | 1) => {
-        return {
-          shadowColor,
-          shadowOpacity: elevation.interpolate({
-            inputRange: [0, 1],
-            outputRange: [0, iOSShadowOutputRanges[layer].shadowOpacity],
-            extrapolate: 'clamp',
-          }),
-          shadowOffset: {
-            width: 0,
-            height: elevation.interpolate({
-              inputRange,
-              outputRange: iOSShadowOutputRanges[layer].height,
-            }),
-          },
-          shadowRadius: elevation.interpolate({
-            inputRange,
-            outputRange: iOSShadowOutputRanges[layer].shadowRadius,
-          }),
-        };
-      };
-
-      return (
-        <Animated.View
-          style={[getStyleForAnimatedShadowLayer(0), absoluteStyles]}
-        >
-          <Animated.View style={getStyleForAnimatedShadowLayer(1)}>
-            <Animated.View {...props} testID={testID} style={sharedStyle}>
-              {children}
-            </Animated.View>
-          </Animated.View>
-        </Animated.View>
-      );
-    }
-
-    const getStyleForShadowLayer = (layer: 0 | 1) => {
-      return {
-        shadowColor,
-        shadowOpacity: elevation
-          ? iOSShadowOutputRanges[layer].shadowOpacity
-          : 0,
-        shadowOffset: {
-          width: 0,
-          height: iOSShadowOutputRanges[layer].height[elevation],
-        },
-        shadowRadius: iOSShadowOutputRanges[layer].shadowRadius[elevation],
-      };
-    };
+    const sharedStyle = [{ backgroundColor }, restStyle, transitionStyle];
 
     return (
       <Animated.View
         ref={ref}
-        style={[getStyleForShadowLayer(0), absoluteStyles]}
+        style={[
+          getShadowLayerStyle(theme, elevation, 'ambient'),
+          absoluteStyles,
+        ]}
       >
-        <Animated.View style={getStyleForShadowLayer(1)}>
+        <Animated.View style={getShadowLayerStyle(theme, elevation, 'key')}>
           <Animated.View {...props} testID={testID} style={sharedStyle}>
             {children}
           </Animated.View>
@@ -0,0 +1,104 @@
+import * as React from 'react';
+import type { StyleProp, ViewStyle } from 'react-native';
+
+import { accessibilityProps } from './MaterialCommunityIcon';
+
+export type SvgComponentProps = {
+  width: number;
+  height: number;
+  color?: string;
+  fill?: string;
+  style?: StyleProp<ViewStyle>;
+};
+
+export type SvgIconSource = Readonly<{
+  /**
+   * SVG markup or a component rendering the SVG, e.g. one generated by `react-native-svg-transformer`.
+   */
+  svg: string | React.ComponentType<SvgComponentProps>;
+  /**
+   * Whether to apply the icon color as fill. Set to `false` for multi-color icons.
+   */
+  tint?: boolean;
+}>;
+
+type Props = {
+  source: SvgIconSource | string;
+  color: string;
+  size: number;
+  direction: 'rtl' | 'ltr' | null;
+  testID?: string;
+};
+
+let SvgXml: React.ComponentType<SvgComponentProps & { xml: string }> | null =
+  null;
+let svgError: unknown;
+
+try {
+  // Optionally require react-native-svg
+  SvgXml = require('react-native-svg').SvgXml;
+} catch (e) {
+  svgError = e;
+}
+
+let isErrorLogged = false;
+
+/**
+ * Checks if the string is SVG markup rather than an icon name or an image url.
+ */
+export const isSvgXml = (source: any): source is string =>
+  typeof source === 'string' && /^\s*<(\?xml|svg[\s>])/i.test(source);
+
+export const isSvgSource = (source: any): source is SvgIconSource =>
+  typeof source === 'object' &&
+  source !== null &&
+  Object.prototype.hasOwnProperty.call(source, 'svg') &&
+  (typeof source.svg === 'string' || typeof source.svg === 'function');
+
+const SvgIcon = ({ source, color, size, direction, ...rest }: Props) => {
+  const { svg, tint = true } =
+    typeof source === 'string' ? { svg: source } : source;
+  const props = {
+    ...rest,
+    width: size,
+    height: size,
+    ...(tint && { color, fill: color }),
+    style: {
+      transform: [{ scaleX: direction === 'rtl' ? -1 : 1 }],
+    },
+    ...accessibilityProps,
+  };
+
+  if (typeof svg !== 'string') {
+    const Component = svg;
+
+    return <Component {...props} />;
+  }
+
+  if (!SvgXml) {
+    /* eslint-disable no-console */
+    if (!isErrorLogged) {
+      if (
+        !/(Cannot find module|Module not found|Cannot resolve module)/.test(
+          (svgError as any)?.message
+        )
+      ) {
+        console.error(svgError);
+      }
+
+      console.warn(
+        `Tried to use an SVG icon in a component from 'react-native-paper', but 'react-native-svg' could not be loaded.`,
+        `To remove this warning, try installing 'react-native-svg' or use another method to specify icon: https://callstack.github.io/react-native-paper/icons.html.`
+      );
+
+      isErrorLogged = true;
+    }
+    /* eslint-enable no-console */
+
+    return null;
+  }
+
+  return <SvgXml {...props} xml={svg} />;
+};
+
+export default SvgIcon;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Animated, StyleSheet } from 'react-native';
 
+import useThemeTransitionColor from '../../../utils/useThemeTransitionColor';
 import AnimatedText from '../../Typography/AnimatedText';
 import type { InputLabelProps } from '../types';
 
@@ -73,7 +74,10 @@ const InputLabel = (props: InputLabelProps) => {
     ],
   };
 
-  const textColor = error && errorColor ? errorColor : placeholderColor;
+  const textColor = useThemeTransitionColor(
+    error && errorColor ? errorColor : placeholderColor
+  );
+  const labelActiveColor = useThemeTransitionColor(activeColor);
 
   return label ? (
     // Position colored placeholder and gray placeholder on top of each other and crossfade them
@@ -112,7 +116,7 @@ const InputLabel = (props: InputLabelProps) => {
           labelStyle,
           paddingOffset || {},
           {
-            color: activeColor,
+            color: labelActiveColor,
             opacity: parentState.labeled.interpolate({
               inputRange: [0, 1],
               outputRange: [hasActiveOutline ? 1 : 0, 0],
@@ -8,8 +8,10 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { applyComponentDefaults } from '../../core/componentDefaults';
 import { withInternalTheme } from '../../core/theming';
-import type { InternalTheme } from '../../types';
+import { getAnimationDuration } from '../../styles/motion';
+import type { InternalTheme, MD3Density } from '../../types';
 import TextInputAffix, {
   Props as TextInputAffixProps,
 } from './Adornment/TextInputAffix';
@@ -20,9 +22,6 @@ import TextInputFlat from './TextInputFlat';
 import TextInputOutlined from './TextInputOutlined';
 import type { RenderProps, TextInputLabelProp } from './types';
 
-const BLUR_ANIMATION_DURATION = 180;
-const FOCUS_ANIMATION_DURATION = 150;
-
 export type Props = React.ComponentPropsWithRef<typeof NativeTextInput> & {
   /**
    * Mode of the TextInput.
@@ -88,6 +87,10 @@ export type Props = React.ComponentPropsWithRef<typeof NativeTextInput> & {
    * When you apply `height` prop in style the `dense` prop affects only `paddingVertical` inside `TextInput`
    */
   dense?: boolean;
+  /**
+   * Density of the input, shrinks its minimum height. Overrides `theme.density`, `dense` takes precedence.
+   */
+  density?: MD3Density;
   /**
    * Whether the input can have multiple lines.
    */
@@ -218,8 +221,8 @@ type TextInputHandles = Pick<
  */
 
 const TextInput = React.forwardRef<TextInputHandles, Props>(
-  (
-    {
+  (props: Props, ref) => {
+    const {
       mode = 'flat',
       dense = false,
       disabled = false,
@@ -228,9 +231,7 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
       editable = true,
       render = (props: RenderProps) => <NativeTextInput {...props} />,
       ...rest
-    }: Props,
-    ref
-  ) => {
+    } = applyComponentDefaults('TextInput', props);
     const isControlled = rest.value !== undefined;
     const validInputValue = isControlled ? rest.value : rest.defaultValue;
 
@@ -278,7 +279,8 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
 
     const root = React.useRef<NativeTextInput | undefined | null>();
 
-    const { scale } = rest.theme.animation;
+    const focusAnimationDuration = getAnimationDuration(rest.theme, 'short3');
+    const blurAnimationDuration = getAnimationDuration(rest.theme, 'short4');
 
     React.useImperativeHandle(ref, () => ({
       focus: () => root.current?.focus(),
@@ -295,7 +297,7 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
         // show error
         Animated.timing(error, {
           toValue: 1,
-          duration: FOCUS_ANIMATION_DURATION * scale,
+          duration: focusAnimationDuration,
           // To prevent this - https://github.com/callstack/react-native-paper/issues/941
           useNativeDriver: true,
         }).start();
@@ -304,13 +306,13 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
         {
           Animated.timing(error, {
             toValue: 0,
-            duration: BLUR_ANIMATION_DURATION * scale,
+            duration: blurAnimationDuration,
             // To prevent this - https://github.com/callstack/react-native-paper/issues/941
             useNativeDriver: true,
           }).start();
         }
       }
-    }, [errorProp, scale, error]);
+    }, [errorProp, focusAnimationDuration, blurAnimationDuration, error]);
 
     React.useEffect(() => {
       // Show placeholder text only if the input is focused, or there's no label
@@ -356,7 +358,7 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
         // minimize label
         Animated.timing(labeled, {
           toValue: 0,
-          duration: BLUR_ANIMATION_DURATION * scale,
+          duration: blurAnimationDuration,
           // To prevent this - https://github.com/callstack/react-native-paper/issues/941
           useNativeDriver: true,
         }).start();
@@ -365,13 +367,19 @@ const TextInput = React.forwardRef<TextInputHandles, Props>(
         {
           Animated.timing(labeled, {
             toValue: 1,
-            duration: FOCUS_ANIMATION_DURATION * scale,
+            duration: focusAnimationDuration,
             // To prevent this - https://github.com/callstack/react-native-paper/issues/941
             useNativeDriver: true,
           }).start();
         }
       }
-    }, [focused, value, labeled, scale]);
+    }, [
+      focused,
+      value,
+      labeled,
+      focusAnimationDuration,
+      blurAnimationDuration,
+    ]);
 
     const onLeftAffixLayoutChange = (event: LayoutChangeEvent) => {
       setLeftLayout({
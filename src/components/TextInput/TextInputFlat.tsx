@@ -1,7 +1,6 @@
 import * as React from 'react';
 import {
   Animated,
-  I18nManager,
   Platform,
   StyleProp,
   StyleSheet,
@@ -11,7 +10,10 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { getDirection } from '../../core/direction';
 import { useInternalTheme } from '../../core/theming';
+import { applyDensity, getDensity } from '../../styles/density';
+import useThemeTransitionColor from '../../utils/useThemeTransitionColor';
 import { AdornmentSide, AdornmentType, InputMode } from './Adornment/enums';
 import TextInputAdornment, {
   TextInputAdornmentProps,
@@ -56,6 +58,7 @@ const TextInputFlat = ({
   activeUnderlineColor,
   textColor,
   dense,
+  density: densityProp,
   style,
   theme,
   render = (props: RenderProps) => <NativeTextInput {...props} />,
@@ -76,7 +79,9 @@ const TextInputFlat = ({
   ...rest
 }: ChildTextInputProps) => {
   const isAndroid = Platform.OS === 'android';
-  const { colors, isV3, roundness } = theme;
+  const { colors, isV3 } = theme;
+  const isRTL = getDirection(theme) === 'rtl';
+  const roundness = theme.shapes?.extraSmall ?? theme.roundness;
   const font = isV3 ? theme.fonts.bodyLarge : theme.fonts.regular;
   const hasActiveOutline = parentState.focused || error;
 
@@ -151,10 +156,20 @@ const TextInputFlat = ({
 
   const containerStyle = {
     backgroundColor,
-    borderTopLeftRadius: theme.roundness,
-    borderTopRightRadius: theme.roundness,
+    borderTopLeftRadius: roundness,
+    borderTopRightRadius: roundness,
   };
 
+  const containerBackgroundColor =
+    viewStyle.backgroundColor || containerStyle.backgroundColor;
+  const transitionBackgroundColor =
+    typeof containerBackgroundColor === 'string'
+      ? containerBackgroundColor
+      : undefined;
+  const animatedBackgroundColor = useThemeTransitionColor(
+    transitionBackgroundColor
+  );
+
   const labelScale = MINIMIZED_LABEL_FONT_SIZE / fontSize;
   const fontScale = MAXIMIZED_LABEL_FONT_SIZE / fontSize;
 
@@ -164,15 +179,18 @@ const TextInputFlat = ({
   const labelHalfHeight = labelHeight / 2;
 
   const baseLabelTranslateX =
-    (I18nManager.getConstants().isRTL ? 1 : -1) *
-      (labelHalfWidth - (labelScale * labelWidth) / 2) +
-    (1 - labelScale) *
-      (I18nManager.getConstants().isRTL ? -1 : 1) *
-      paddingLeft;
+    (isRTL ? 1 : -1) * (labelHalfWidth - (labelScale * labelWidth) / 2) +
+    (1 - labelScale) * (isRTL ? -1 : 1) * paddingLeft;
+
+  const density = getDensity({ theme, density: densityProp });
+  const minFlatHeight = dense
+    ? label
+      ? MIN_DENSE_HEIGHT_WL
+      : MIN_DENSE_HEIGHT
+    : applyDensity(MIN_HEIGHT, density);
 
-  const minInputHeight = dense
-    ? (label ? MIN_DENSE_HEIGHT_WL : MIN_DENSE_HEIGHT) - LABEL_PADDING_TOP_DENSE
-    : MIN_HEIGHT - LABEL_PADDING_TOP;
+  const minInputHeight =
+    minFlatHeight - (dense ? LABEL_PADDING_TOP_DENSE : LABEL_PADDING_TOP);
 
   const inputHeight = calculateInputHeight(labelHeight, height, minInputHeight);
 
@@ -220,9 +238,7 @@ const TextInputFlat = ({
     ? 1
     : 0;
 
-  const minHeight =
-    height ||
-    (dense ? (label ? MIN_DENSE_HEIGHT_WL : MIN_DENSE_HEIGHT) : MIN_HEIGHT);
+  const minHeight = height || minFlatHeight;
 
   const flatHeight =
     inputHeight +
@@ -263,8 +279,8 @@ const TextInputFlat = ({
     topPosition,
     paddingOffset: isAndroid
       ? {
-          paddingLeft: I18nManager.isRTL ? paddingRight : paddingLeft,
-          paddingRight: I18nManager.isRTL ? paddingLeft : paddingRight,
+          paddingLeft: isRTL ? paddingRight : paddingLeft,
+          paddingRight: isRTL ? paddingLeft : paddingRight,
         }
       : { paddingRight, paddingLeft },
     hasActiveOutline,
@@ -308,6 +324,20 @@ const TextInputFlat = ({
 
   return (
     <View style={[containerStyle, viewStyle]}>
+      {animatedBackgroundColor !== transitionBackgroundColor ? (
+        // Cross-fades the background after a theme change without re-mounting the input
+        <Animated.View
+          pointerEvents="none"
+          style={[
+            StyleSheet.absoluteFill,
+            {
+              borderTopLeftRadius: containerStyle.borderTopLeftRadius,
+              borderTopRightRadius: containerStyle.borderTopRightRadius,
+              backgroundColor: animatedBackgroundColor,
+            },
+          ]}
+        />
+      ) : null}
       <Underline
         style={underlineStyle}
         hasActiveOutline={hasActiveOutline}
@@ -372,11 +402,7 @@ const TextInputFlat = ({
               fontWeight,
               color: inputTextColor,
               textAlignVertical: multiline ? 'top' : 'center',
-              textAlign: textAlign
-                ? textAlign
-                : I18nManager.getConstants().isRTL
-                ? 'right'
-                : 'left',
+              textAlign: textAlign ? textAlign : isRTL ? 'right' : 'left',
             },
             Platform.OS === 'web' && { outline: 'none' },
             adornmentStyleAdjustmentForNativeInput,
@@ -1,9 +1,9 @@
 import * as React from 'react';
 import {
+  Animated,
   View,
   TextInput as NativeTextInput,
   StyleSheet,
-  I18nManager,
   Platform,
   TextStyle,
   ColorValue,
@@ -11,6 +11,9 @@ import {
   ViewStyle,
 } from 'react-native';
 
+import { getDirection } from '../../core/direction';
+import { applyDensity, getDensity } from '../../styles/density';
+import useThemeTransitionColor from '../../utils/useThemeTransitionColor';
 import { AdornmentType, AdornmentSide } from './Adornment/enums';
 import TextInputAdornment, {
   getAdornmentConfig,
@@ -54,6 +57,7 @@ const TextInputOutlined = ({
   outlineStyle,
   textColor,
   dense,
+  density: densityProp,
   style,
   theme,
   render = (props: RenderProps) => <NativeTextInput {...props} />,
@@ -75,7 +79,9 @@ const TextInputOutlined = ({
 }: ChildTextInputProps) => {
   const adornmentConfig = getAdornmentConfig({ left, right });
 
-  const { colors, isV3, roundness } = theme;
+  const { colors, isV3 } = theme;
+  const isRTL = getDirection(theme) === 'rtl';
+  const roundness = theme.shapes?.extraSmall ?? theme.roundness;
   const font = isV3 ? theme.fonts.bodyLarge : theme.fonts.regular;
   const hasActiveOutline = parentState.focused || error;
 
@@ -117,7 +123,7 @@ const TextInputOutlined = ({
   const labelHalfHeight = labelHeight / 2;
 
   const baseLabelTranslateX =
-    (I18nManager.getConstants().isRTL ? 1 : -1) *
+    (isRTL ? 1 : -1) *
     (labelHalfWidth -
       (labelScale * labelWidth) / 2 -
       (fontSize - MINIMIZED_LABEL_FONT_SIZE) * labelScale);
@@ -129,12 +135,15 @@ const TextInputOutlined = ({
   );
   if (isAdornmentLeftIcon) {
     labelTranslationXOffset =
-      (I18nManager.getConstants().isRTL ? -1 : 1) *
-      (ADORNMENT_SIZE + ADORNMENT_OFFSET - (isV3 ? 0 : 8));
+      (isRTL ? -1 : 1) * (ADORNMENT_SIZE + ADORNMENT_OFFSET - (isV3 ? 0 : 8));
   }
 
-  const minInputHeight =
-    (dense ? MIN_DENSE_HEIGHT_OUTLINED : MIN_HEIGHT) - LABEL_PADDING_TOP;
+  const density = getDensity({ theme, density: densityProp });
+  const minOutlinedHeight = dense
+    ? MIN_DENSE_HEIGHT_OUTLINED
+    : applyDensity(MIN_HEIGHT, density);
+
+  const minInputHeight = minOutlinedHeight - LABEL_PADDING_TOP;
 
   const inputHeight = calculateInputHeight(labelHeight, height, minInputHeight);
 
@@ -211,8 +220,7 @@ const TextInputOutlined = ({
     testID,
   };
 
-  const minHeight = (height ||
-    (dense ? MIN_DENSE_HEIGHT_OUTLINED : MIN_HEIGHT)) as number;
+  const minHeight = (height || minOutlinedHeight) as number;
 
   const outlinedHeight =
     inputHeight +
@@ -345,11 +353,7 @@ const TextInputOutlined = ({
                 fontWeight,
                 color: inputTextColor,
                 textAlignVertical: multiline ? 'top' : 'center',
-                textAlign: textAlign
-                  ? textAlign
-                  : I18nManager.getConstants().isRTL
-                  ? 'right'
-                  : 'left',
+                textAlign: textAlign ? textAlign : isRTL ? 'right' : 'left',
                 paddingHorizontal: INPUT_PADDING_HORIZONTAL,
               },
               Platform.OS === 'web' && { outline: 'none' },
@@ -385,23 +389,42 @@ const Outline = ({
   outlineColor,
   roundness,
   style,
-}: OutlineProps) => (
-  <View
-    testID="text-input-outline"
-    pointerEvents="none"
-    style={[
-      styles.outline,
-      // eslint-disable-next-line react-native/no-inline-styles
-      {
-        backgroundColor,
-        borderRadius: roundness,
-        borderWidth: (isV3 ? hasActiveOutline : focused) ? 2 : 1,
-        borderColor: hasActiveOutline ? activeColor : outlineColor,
-      },
-      style,
-    ]}
-  />
-);
+}: OutlineProps) => {
+  const borderColor = hasActiveOutline ? activeColor : outlineColor;
+  const transitionBackgroundColor =
+    typeof backgroundColor === 'string' ? backgroundColor : undefined;
+  const animatedBackgroundColor = useThemeTransitionColor(
+    transitionBackgroundColor
+  );
+  const animatedBorderColor = useThemeTransitionColor(borderColor);
+  // Outline is rendered as animated only when its colors cross-fade after a theme change
+  const isTransitioning =
+    animatedBackgroundColor !== transitionBackgroundColor ||
+    animatedBorderColor !== borderColor;
+  const OutlineView = (
+    isTransitioning ? Animated.View : View
+  ) as typeof Animated.View;
+
+  return (
+    <OutlineView
+      testID="text-input-outline"
+      pointerEvents="none"
+      style={[
+        styles.outline,
+        // eslint-disable-next-line react-native/no-inline-styles
+        {
+          backgroundColor: isTransitioning
+            ? animatedBackgroundColor
+            : backgroundColor,
+          borderRadius: roundness,
+          borderWidth: (isV3 ? hasActiveOutline : focused) ? 2 : 1,
+          borderColor: isTransitioning ? animatedBorderColor : borderColor,
+        },
+        style,
+      ]}
+    />
+  );
+};
 
 const styles = StyleSheet.create({
   outline: {
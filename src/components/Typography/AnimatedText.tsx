@@ -1,12 +1,7 @@
 import * as React from 'react';
-import {
-  Animated,
-  I18nManager,
-  StyleProp,
-  StyleSheet,
-  TextStyle,
-} from 'react-native';
+import { Animated, StyleProp, StyleSheet, TextStyle } from 'react-native';
 
+import { getDirection } from '../../core/direction';
 import { withInternalTheme } from '../../core/theming';
 import { Font, InternalTheme, MD3TypescaleKey } from '../../types';
 
@@ -39,7 +34,7 @@ type Props = React.ComponentPropsWithRef<typeof Animated.Text> & {
  * @extends Text props https://reactnative.dev/docs/text#props
  */
 function AnimatedText({ style, theme, variant, ...rest }: Props) {
-  const writingDirection = I18nManager.getConstants().isRTL ? 'rtl' : 'ltr';
+  const writingDirection = getDirection(theme);
 
   if (theme.isV3 && variant) {
     const stylesByVariant = Object.keys(MD3TypescaleKey).reduce(
@@ -1,16 +1,29 @@
 import * as React from 'react';
 import {
-  I18nManager,
+  Animated,
+  PixelRatio,
   StyleProp,
   StyleSheet,
   Text as NativeText,
+  TextProps,
   TextStyle,
+  useWindowDimensions,
 } from 'react-native';
 
+import { getDirection } from '../../core/direction';
+import { SettingsContext } from '../../core/settings';
 import { useInternalTheme } from '../../core/theming';
-import { Font, MD3TypescaleKey, ThemeProp } from '../../types';
+import { clampFontScale } from '../../styles/fonts';
+import type {
+  MD3Theme,
+  MD3Type,
+  ThemeProp,
+  TypescaleVariant,
+  VariantProp,
+} from '../../types';
+import useThemeTransitionColor from '../../utils/useThemeTransitionColor';
 
-export type Props = React.ComponentProps<typeof NativeText> & {
+export type Props<T = never> = React.ComponentProps<typeof NativeText> & {
   /**
    * @supported Available in v5.x with theme version 3
    *
@@ -26,8 +39,11 @@ export type Props = React.ComponentProps<typeof NativeText> & {
    *  Label:  `labelLarge`, `labelMedium`, `labelSmall`
    *
    *  Body: `bodyLarge`, `bodyMedium`, `bodySmall`
+   *
+   * Custom variants declared in the theme fonts with `configureFonts` can be used too,
+   * see `createText` for type checking them.
    */
-  variant?: keyof typeof MD3TypescaleKey;
+  variant?: VariantProp<T>;
   children: React.ReactNode;
   theme?: ThemeProp;
   style?: StyleProp<TextStyle>;
@@ -77,69 +93,126 @@ export type Props = React.ComponentProps<typeof NativeText> & {
  * @extends Text props https://reactnative.dev/docs/text#props
  */
 
-const Text: React.ForwardRefRenderFunction<{}, Props> = (
-  { style, variant, theme: initialTheme, ...rest }: Props,
-  ref
+const Text = (
+  { style, variant, theme: initialTheme, ...rest }: Props<string>,
+  ref: React.ForwardedRef<{}>
 ) => {
   const root = React.useRef<NativeText | null>(null);
   // FIXME: destructure it in TS 4.6+
   const theme = useInternalTheme(initialTheme);
-  const writingDirection = I18nManager.getConstants().isRTL ? 'rtl' : 'ltr';
+  const { fontScale } = useWindowDimensions();
+  const writingDirection = getDirection(theme);
 
   React.useImperativeHandle(ref, () => ({
     setNativeProps: (args: Object) => root.current?.setNativeProps(args),
   }));
 
+  const { color = theme.isV3 ? theme.colors?.onSurface : theme.colors.text } =
+    StyleSheet.flatten(style) || {};
+  const textColor = typeof color === 'string' ? color : undefined;
+  const animatedColor = useThemeTransitionColor(textColor);
+  const { themeTransitionDuration = 0 } = React.useContext(SettingsContext);
+
+  const renderText = (
+    textStyle: StyleProp<TextStyle>,
+    textProps?: TextProps
+  ) => {
+    // The element type depends on the settings only, so the text isn't remounted during a transition
+    if (themeTransitionDuration > 0) {
+      return (
+        <Animated.Text
+          {...rest}
+          {...textProps}
+          ref={root}
+          style={
+            animatedColor !== textColor
+              ? [textStyle, { color: animatedColor }]
+              : textStyle
+          }
+        />
+      );
+    }
+
+    return <NativeText {...rest} {...textProps} ref={root} style={textStyle} />;
+  };
+
   if (theme.isV3 && variant) {
-    const stylesByVariant = Object.keys(MD3TypescaleKey).reduce(
-      (acc, key) => {
-        const { fontSize, fontWeight, lineHeight, letterSpacing, fontFamily } =
-          theme.fonts[key as keyof typeof MD3TypescaleKey];
-
-        return {
-          ...acc,
-          [key]: {
-            fontFamily,
-            fontSize,
-            fontWeight,
-            lineHeight,
-            letterSpacing,
-            color: theme.colors.onSurface,
+    const fonts: Record<string, Partial<MD3Type> | undefined> = theme.fonts;
+    const font = fonts[variant];
+
+    if (typeof font !== 'object') {
+      const variants = Object.keys(theme.fonts).filter(
+        (key) => key !== 'default'
+      );
+
+      throw new Error(
+        `Variant ${variant} was not provided properly. Valid variants are ${variants.join(
+          ', '
+        )}.`
+      );
+    }
+
+    const {
+      fontSize,
+      fontWeight,
+      lineHeight,
+      letterSpacing,
+      fontFamily,
+      fontVariationSettings,
+    } = font;
+    const styleForVariant = {
+      fontFamily,
+      fontSize,
+      fontWeight,
+      lineHeight,
+      letterSpacing,
+      color: theme.colors.onSurface,
+      ...(fontVariationSettings && { fontVariationSettings }),
+    };
+    const variantFontScale = clampFontScale(font, fontScale);
+
+    if (rest.allowFontScaling !== false && variantFontScale !== fontScale) {
+      // Sizes are scaled here instead of by the system, so the line height is scaled
+      // together with the font size on all platforms
+      const { maxFontSizeMultiplier } = rest;
+      const scale =
+        maxFontSizeMultiplier && maxFontSizeMultiplier >= 1
+          ? Math.min(variantFontScale, maxFontSizeMultiplier)
+          : variantFontScale;
+      const flattenedStyle = StyleSheet.flatten([styleForVariant, style]);
+
+      return renderText(
+        [
+          styleForVariant,
+          styles.text,
+          { writingDirection },
+          style,
+          {
+            fontSize:
+              flattenedStyle.fontSize &&
+              PixelRatio.roundToNearestPixel(flattenedStyle.fontSize * scale),
+            lineHeight:
+              flattenedStyle.lineHeight &&
+              PixelRatio.roundToNearestPixel(flattenedStyle.lineHeight * scale),
           },
-        };
-      },
-      {} as {
-        [key in MD3TypescaleKey]: {
-          fontSize: number;
-          fontWeight: Font['fontWeight'];
-          lineHeight: number;
-          letterSpacing: number;
-        };
-      }
-    );
-
-    const styleForVariant = stylesByVariant[variant];
-
-    return (
-      <NativeText
-        ref={root}
-        style={[styleForVariant, styles.text, { writingDirection }, style]}
-        {...rest}
-      />
-    );
+        ],
+        { allowFontScaling: false }
+      );
+    }
+
+    return renderText([
+      styleForVariant,
+      styles.text,
+      { writingDirection },
+      style,
+    ]);
   } else {
     const font = theme.isV3 ? theme.fonts.default : theme.fonts?.regular;
     const textStyle = {
       ...font,
       color: theme.isV3 ? theme.colors?.onSurface : theme.colors.text,
     };
-    return (
-      <NativeText
-        {...rest}
-        ref={root}
-        style={[styles.text, textStyle, { writingDirection }, style]}
-      />
-    );
+    return renderText([styles.text, textStyle, { writingDirection }, style]);
   }
 };
 
@@ -149,4 +222,30 @@ const styles = StyleSheet.create({
   },
 });
 
-export default React.forwardRef(Text);
+type TextComponent<T> = (
+  props: Props<T> & { ref?: React.Ref<{}> }
+) => JSX.Element;
+
+const Component = React.forwardRef(Text) as <T>(
+  props: Props<T> & { ref?: React.Ref<{}> }
+) => JSX.Element;
+
+/**
+ * Returns the `Text` component with `variant` typed as the variants of the given theme,
+ * including the custom ones declared in `fonts`.
+ *
+ * ```js
+ * const theme = {
+ *   ...MD3LightTheme,
+ *   fonts: configureFonts({ config: { brandHero: { ... } } }),
+ * };
+ *
+ * const AppText = createText<typeof theme>();
+ *
+ * <AppText variant="brandHero">Hello</AppText>
+ * ```
+ */
+export const createText = <Theme extends { fonts: object } = MD3Theme>() =>
+  Component as unknown as TextComponent<TypescaleVariant<Theme>>;
+
+export default Component;
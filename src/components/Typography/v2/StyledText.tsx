@@ -1,9 +1,10 @@
 import * as React from 'react';
-import { I18nManager, StyleProp, StyleSheet, TextStyle } from 'react-native';
+import { StyleProp, StyleSheet, TextStyle } from 'react-native';
 
 import color from 'color';
 import type { ThemeProp } from 'src/types';
 
+import { getDirection } from '../../../core/direction';
 import { useInternalTheme } from '../../../core/theming';
 import Text from './Text';
 
@@ -29,7 +30,7 @@ const StyledText = ({
     .alpha(alpha)
     .rgb()
     .string();
-  const writingDirection = I18nManager.getConstants().isRTL ? 'rtl' : 'ltr';
+  const writingDirection = getDirection(theme);
 
   return (
     <Text
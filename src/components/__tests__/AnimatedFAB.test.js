@@ -1,9 +1,15 @@
 import * as React from 'react';
+import { I18nManager } from 'react-native';
 
 import renderer from 'react-test-renderer';
 
+import { DirectionProvider } from '../../core/direction';
 import AnimatedFAB from '../FAB/AnimatedFAB';
 
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
 it('renders animated fab', () => {
   const tree = renderer
     .create(<AnimatedFAB onPress={() => {}} icon="plus" />)
@@ -37,3 +43,29 @@ it('renders animated fab with label on the left', () => {
 
   expect(tree).toMatchSnapshot();
 });
+
+it('positions and animates the label in the direction of the theme', () => {
+  const renderFAB = () =>
+    JSON.stringify(
+      renderer
+        .create(
+          <DirectionProvider direction="ltr">
+            <AnimatedFAB label="text" extended onPress={() => {}} icon="plus" />
+          </DirectionProvider>
+        )
+        .toJSON()
+    );
+  const ltrTree = renderFAB();
+  const { isRTL } = I18nManager;
+
+  jest
+    .spyOn(I18nManager, 'getConstants')
+    .mockReturnValue({ ...I18nManager.getConstants(), isRTL: true });
+  I18nManager.isRTL = true;
+
+  try {
+    expect(renderFAB()).toBe(ltrTree);
+  } finally {
+    I18nManager.isRTL = isRTL;
+  }
+});
@@ -1,9 +1,10 @@
 import React from 'react';
-import { Platform } from 'react-native';
+import { Platform, View } from 'react-native';
 
 import { render } from '@testing-library/react-native';
 import renderer from 'react-test-renderer';
 
+import * as componentDefaults from '../../../core/componentDefaults';
 import Provider from '../../../core/Provider';
 import { getTheme } from '../../../core/theming';
 import overlay from '../../../styles/overlay';
@@ -193,6 +194,79 @@ describe('renderAppbarContent', () => {
   });
 });
 
+describe('AppbarHeader component defaults', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies the AppbarHeader and Appbar entries once each', () => {
+    const spy = jest.spyOn(componentDefaults, 'applyComponentDefaults');
+    const theme = {
+      ...getTheme(),
+      components: {
+        AppbarHeader: { defaultProps: { mode: 'large' } },
+        Appbar: { styleOverrides: { style: { borderBottomWidth: 1 } } },
+      },
+    };
+
+    const { getByTestId } = render(
+      <AppbarHeader testID="appbar" statusBarHeight={0} theme={theme}>
+        <AppbarContent title="Title" />
+      </AppbarHeader>
+    );
+
+    expect(spy.mock.calls.map(([name]) => name)).toEqual([
+      'AppbarHeader',
+      'Appbar',
+    ]);
+    expect(getByTestId('appbar')).toHaveStyle({
+      height: 152,
+      borderBottomWidth: 1,
+    });
+  });
+});
+
+describe('AppbarHeader shadow', () => {
+  it('uses the shadow of the elevation level from the theme', () => {
+    const theme = getTheme();
+    const level = theme.elevation.levels[2];
+    const customTheme = {
+      ...theme,
+      elevation: {
+        shadowColor: 'red',
+        levels: {
+          2: { ...level, ambient: { ...level.ambient, radius: 20 } },
+        },
+      },
+    };
+
+    const { UNSAFE_getAllByType } = render(
+      <AppbarHeader statusBarHeight={0} theme={customTheme} elevated>
+        <AppbarContent title="Title" />
+      </AppbarHeader>
+    );
+
+    expect(UNSAFE_getAllByType(View)[0]).toHaveStyle({
+      shadowColor: 'red',
+      shadowRadius: 20,
+    });
+  });
+});
+
+describe('AppbarContent font scale', () => {
+  it('caps the font scale of the small title', () => {
+    // Font scale is 2 in the test environment
+    const { getByText } = render(
+      <Appbar>
+        <AppbarContent title="Inbox" />
+      </Appbar>
+    );
+
+    expect(getByText('Inbox').props.allowFontScaling).toBe(false);
+    expect(getByText('Inbox')).toHaveStyle({ fontSize: 33, lineHeight: 42 });
+  });
+});
+
 describe('AppbarAction', () => {
   it('should be rendered with default theme color', () => {
     const { getByTestId } = render(
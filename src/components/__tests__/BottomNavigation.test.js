@@ -2,8 +2,11 @@ import * as React from 'react';
 import { StyleSheet, Easing, Animated, Platform } from 'react-native';
 
 import { fireEvent, render } from '@testing-library/react-native';
+import color from 'color';
 import renderer from 'react-test-renderer';
 
+import Provider from '../../core/Provider';
+import { MD3DarkTheme, MD3LightTheme } from '../../styles/themes';
 import { red300 } from '../../styles/themes/v2/colors';
 import BottomNavigation from '../BottomNavigation/BottomNavigation.tsx';
 import BottomNavigationRouteScreen from '../BottomNavigation/BottomNavigationRouteScreen.tsx';
@@ -357,6 +360,52 @@ it('renders custom background color passed to barStyle property', () => {
   expect(wrapper).toHaveStyle({ backgroundColor: red300 });
 });
 
+it('cross-fades background colors on theme changes', () => {
+  const { timing } = Animated;
+  // Keep the transition at its start
+  Animated.timing = () => ({ start: jest.fn(), stop: jest.fn() });
+
+  const renderWithTheme = (theme) => (
+    <Provider theme={theme} settings={{ themeTransitionDuration: 300 }}>
+      <BottomNavigation
+        shifting={false}
+        navigationState={createState(0, 3)}
+        onIndexChange={jest.fn()}
+        renderScene={({ route }) => route.title}
+        testID={'bottom-navigation'}
+      />
+    </Provider>
+  );
+  const getBackgroundColor = (element) =>
+    color(StyleSheet.flatten(element.props.style).backgroundColor)
+      .rgb()
+      .string();
+  const getContent = (getByTestId) => {
+    let node = getByTestId('bottom-navigation').children[0];
+
+    while (typeof node.type !== 'string') {
+      node = node.children[0];
+    }
+
+    return node;
+  };
+
+  try {
+    const { getByTestId, rerender } = render(renderWithTheme(MD3LightTheme));
+
+    rerender(renderWithTheme(MD3DarkTheme));
+
+    expect(
+      getBackgroundColor(getByTestId('bottom-navigation-bar-content'))
+    ).toBe(color(MD3LightTheme.colors.elevation.level2).rgb().string());
+    expect(getBackgroundColor(getContent(getByTestId))).toBe(
+      color(MD3LightTheme.colors.background).rgb().string()
+    );
+  } finally {
+    Animated.timing = timing;
+  }
+});
+
 it('renders a single tab', () => {
   const { queryByTestId } = render(
     <BottomNavigation
@@ -5,7 +5,9 @@ import { fireEvent, render } from '@testing-library/react-native';
 import color from 'color';
 import renderer from 'react-test-renderer';
 
+import Provider from '../../core/Provider';
 import { getTheme } from '../../core/theming';
+import { MD3LightTheme } from '../../styles/themes';
 import { pink500, black, white } from '../../styles/themes/v2/colors';
 import Button from '../Button/Button.tsx';
 import { getButtonColors } from '../Button/utils';
@@ -118,6 +120,36 @@ it('renders button with an accessibility label', () => {
   expect(tree).toMatchSnapshot();
 });
 
+it('renders button with border radius of the full shape', () => {
+  const { getByTestId } = render(
+    <Button testID="button" theme={{ shapes: { full: 0 } }}>
+      Square button
+    </Button>
+  );
+
+  expect(getByTestId('button')).toHaveStyle({ borderRadius: 0 });
+});
+
+it('renders button with border radius based on roundness by default', () => {
+  const { getByTestId } = render(<Button testID="button">Button</Button>);
+
+  expect(getByTestId('button')).toHaveStyle({ borderRadius: 20 });
+});
+
+it('renders button with border radius based on the roundness of the theme', () => {
+  const { getByTestId } = render(
+    <Provider theme={{ roundness: 2 }}>
+      <Button testID="provider-button">Provider button</Button>
+      <Button testID="theme-button" theme={{ ...MD3LightTheme, roundness: 8 }}>
+        Theme button
+      </Button>
+    </Provider>
+  );
+
+  expect(getByTestId('provider-button')).toHaveStyle({ borderRadius: 10 });
+  expect(getByTestId('theme-button')).toHaveStyle({ borderRadius: 40 });
+});
+
 it('renders button with an accessibility hint', () => {
   const tree = renderer
     .create(
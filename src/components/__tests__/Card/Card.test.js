@@ -32,6 +32,21 @@ describe('Card', () => {
   });
 });
 
+describe('CardTitle', () => {
+  it('caps the font scale of the title and subtitle', () => {
+    const { getByText } = render(
+      <Card.Title
+        title="Title"
+        subtitle="Subtitle"
+        subtitleMaxFontSizeMultiplier={1.2}
+      />
+    );
+
+    expect(getByText('Title').props.maxFontSizeMultiplier).toBe(1.5);
+    expect(getByText('Subtitle').props.maxFontSizeMultiplier).toBe(1.2);
+  });
+});
+
 describe('CardActions', () => {
   it('renders button with passed mode', () => {
     const { getByTestId } = render(
@@ -158,4 +173,17 @@ describe('getCardCoverStyle - border radius', () => {
       borderBottomLeftRadius: getTheme(false, false).roundness,
     });
   });
+
+  it('should return border radius of the medium shape, if theme has shapes', () => {
+    const theme = { ...getTheme(), shapes: { medium: 2 } };
+
+    expect(getCardCoverStyle({ theme })).toMatchObject({ borderRadius: 2 });
+    expect(
+      getCardCoverStyle({
+        theme: { ...getTheme(false, false), shapes: { medium: 2 } },
+        index: 0,
+        total: 1,
+      })
+    ).toMatchObject({ borderRadius: 2 });
+  });
 });
@@ -1,9 +1,13 @@
 import * as React from 'react';
+import { FlatList, Platform, ScrollView, StyleSheet, Text } from 'react-native';
 
-import { render } from '@testing-library/react-native';
+import { act, fireEvent, render } from '@testing-library/react-native';
 import renderer from 'react-test-renderer';
 
+import { MD3LightTheme } from '../../styles/themes';
 import DataTable from '../DataTable/DataTable.tsx';
+import { compareValues, getNextSort } from '../DataTable/utils';
+import Portal from '../Portal/Portal.tsx';
 
 it('renders data table header', () => {
   const tree = renderer
@@ -143,3 +147,802 @@ it('renders data table pagination with options select', () => {
 
   expect(toJSON()).toMatchSnapshot();
 });
+
+it('renders data table row with the theme density', () => {
+  const { getByTestId } = render(
+    <DataTable.Row testID="row" theme={{ density: -2 }}>
+      <DataTable.Cell>Cell</DataTable.Cell>
+    </DataTable.Row>
+  );
+
+  expect(getByTestId('row')).toHaveStyle({ minHeight: 40 });
+});
+
+it('renders data table row with the density prop over the theme one', () => {
+  const { getByTestId } = render(
+    <DataTable.Row testID="row" density={-1} theme={{ density: -3 }}>
+      <DataTable.Cell>Cell</DataTable.Cell>
+    </DataTable.Row>
+  );
+
+  expect(getByTestId('row')).toHaveStyle({ minHeight: 44 });
+});
+
+describe('data-driven DataTable', () => {
+  const columns = [
+    { key: 'name', title: 'Dessert', sortable: true },
+    { key: 'calories', title: 'Calories', numeric: true, sortable: true },
+    {
+      key: 'fat',
+      title: 'Fat',
+      numeric: true,
+      renderCell: ({ value }) => `${value.toFixed(1)} g`,
+    },
+  ];
+
+  const desserts = [
+    { id: 1, name: 'Frozen yogurt', calories: 159, fat: 6 },
+    { id: 2, name: 'Eclair', calories: 262, fat: 16 },
+    { id: 3, name: 'Cupcake', calories: 159, fat: 3.7 },
+  ];
+
+  const getNames = (getAllByText) =>
+    getAllByText(/yogurt|Eclair|Cupcake/).map(
+      (element) => element.props.children
+    );
+
+  it('renders header and rows from columns and data', () => {
+    const { getByText } = render(
+      <DataTable columns={columns} data={desserts} />
+    );
+
+    expect(getByText('Dessert')).toBeTruthy();
+    expect(getByText('Frozen yogurt')).toBeTruthy();
+    expect(getByText('16.0 g')).toBeTruthy();
+  });
+
+  it('sorts rows when the title of a sortable column is pressed', () => {
+    const { getByText, getAllByText } = render(
+      <DataTable columns={columns} data={desserts} />
+    );
+
+    fireEvent.press(getByText('Dessert'));
+
+    expect(getNames(getAllByText)).toEqual([
+      'Cupcake',
+      'Eclair',
+      'Frozen yogurt',
+    ]);
+
+    fireEvent.press(getByText('Dessert'));
+
+    expect(getNames(getAllByText)).toEqual([
+      'Frozen yogurt',
+      'Eclair',
+      'Cupcake',
+    ]);
+  });
+
+  it('sorts by multiple columns with multiSort', () => {
+    const onSortChange = jest.fn();
+    const { getByText, getAllByText } = render(
+      <DataTable
+        columns={columns}
+        data={desserts}
+        multiSort
+        defaultSort={[{ key: 'calories', direction: 'ascending' }]}
+        onSortChange={onSortChange}
+      />
+    );
+
+    fireEvent.press(getByText('Dessert'));
+
+    expect(onSortChange).toHaveBeenLastCalledWith([
+      { key: 'calories', direction: 'ascending' },
+      { key: 'name', direction: 'ascending' },
+    ]);
+    expect(getNames(getAllByText)).toEqual([
+      'Cupcake',
+      'Frozen yogurt',
+      'Eclair',
+    ]);
+  });
+
+  it('uses the controlled sort and the column comparator', () => {
+    const { getAllByText } = render(
+      <DataTable
+        columns={[
+          {
+            key: 'name',
+            title: 'Dessert',
+            compare: (a, b) => a.length - b.length,
+          },
+        ]}
+        data={desserts}
+        sort={[{ key: 'name', direction: 'descending' }]}
+      />
+    );
+
+    expect(getNames(getAllByText)).toEqual([
+      'Frozen yogurt',
+      'Cupcake',
+      'Eclair',
+    ]);
+  });
+
+  it('renders rows of the page and passes their index on press', () => {
+    const onRowPress = jest.fn();
+    const { getByText, queryByText } = render(
+      <DataTable
+        columns={columns}
+        data={desserts}
+        page={1}
+        itemsPerPage={2}
+        onRowPress={onRowPress}
+      />
+    );
+
+    expect(queryByText('Frozen yogurt')).toBeNull();
+
+    fireEvent.press(getByText('Cupcake'));
+
+    expect(onRowPress).toHaveBeenCalledWith(desserts[2], 2);
+  });
+});
+
+describe('selectable DataTable', () => {
+  const columns = [{ key: 'name', title: 'Dessert', sortable: true }];
+  const desserts = [
+    { id: 'a', name: 'Frozen yogurt' },
+    { id: 'b', name: 'Eclair' },
+    { id: 'c', name: 'Cupcake' },
+  ];
+
+  const SelectableTable = ({ initialKeys = [], onSelectionChange }) => {
+    const [selectedKeys, setSelectedKeys] = React.useState(initialKeys);
+
+    return (
+      <DataTable
+        columns={columns}
+        data={desserts}
+        selectable
+        selectedKeys={selectedKeys}
+        onSelectionChange={(keys) => {
+          setSelectedKeys(keys);
+          onSelectionChange?.(keys);
+        }}
+      />
+    );
+  };
+
+  const getHeaderCheckbox = (getByLabelText) =>
+    getByLabelText('Select all rows');
+
+  const getRow = (element) => {
+    let node = element;
+
+    while (node && node.props.accessibilityState?.selected === undefined) {
+      node = node.parent;
+    }
+
+    return node;
+  };
+
+  afterEach(() => {
+    Platform.OS = 'ios';
+  });
+
+  it('selects a row with its checkbox and highlights it', () => {
+    const onSelectionChange = jest.fn();
+    const { getAllByLabelText, getByText } = render(
+      <SelectableTable onSelectionChange={onSelectionChange} />
+    );
+
+    fireEvent.press(getAllByLabelText('Select row')[1]);
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith(['b']);
+    expect(getRow(getByText('Eclair')).props.accessibilityState).toMatchObject({
+      selected: true,
+    });
+    expect(getRow(getByText('Eclair'))).toHaveStyle({
+      backgroundColor: MD3LightTheme.colors.secondaryContainer,
+    });
+    expect(getRow(getByText('Cupcake')).props.accessibilityState).toMatchObject(
+      {
+        selected: false,
+      }
+    );
+  });
+
+  it('shows indeterminate header checkbox for partial selection', () => {
+    const { UNSAFE_getByProps } = render(
+      <SelectableTable initialKeys={['a']} />
+    );
+
+    expect(UNSAFE_getByProps({ name: 'minus-box' })).toBeTruthy();
+  });
+
+  it('selects and deselects all rows from the header', () => {
+    const onSelectionChange = jest.fn();
+    const { getByLabelText } = render(
+      <SelectableTable
+        initialKeys={['a']}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+
+    fireEvent.press(getHeaderCheckbox(getByLabelText));
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith(['a', 'b', 'c']);
+    expect(
+      getHeaderCheckbox(getByLabelText).props.accessibilityState
+    ).toMatchObject({ checked: true });
+
+    fireEvent.press(getHeaderCheckbox(getByLabelText));
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('toggles rows on press when there is no onRowPress', () => {
+    const onSelectionChange = jest.fn();
+    const { getByText } = render(
+      <SelectableTable
+        initialKeys={['c']}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+
+    fireEvent.press(getByText('Cupcake'));
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('selects a range of the sorted rows with shift on web', () => {
+    Platform.OS = 'web';
+
+    const onSelectionChange = jest.fn();
+    const { getByText } = render(
+      <SelectableTable onSelectionChange={onSelectionChange} />
+    );
+
+    fireEvent.press(getByText('Dessert'));
+    fireEvent.press(getByText('Cupcake'));
+    fireEvent.press(getByText('Frozen yogurt'), {
+      nativeEvent: { shiftKey: true },
+    });
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith(['c', 'b', 'a']);
+  });
+});
+
+describe('virtualized DataTable', () => {
+  const columns = [
+    { key: 'name', title: 'Name', sortable: true },
+    { key: 'quantity', title: 'Quantity', numeric: true },
+  ];
+  const items = Array.from({ length: 5000 }, (_, index) => ({
+    id: index,
+    name: `Item ${index}`,
+    quantity: index % 7,
+  }));
+
+  it('renders only the first rows below the header', () => {
+    const { getByText, queryByText } = render(
+      <DataTable
+        columns={columns}
+        data={items}
+        virtualized
+        listProps={{ initialNumToRender: 20 }}
+      />
+    );
+
+    expect(getByText('Name')).toBeTruthy();
+    expect(getByText('Item 0')).toBeTruthy();
+    expect(queryByText('Item 4999')).toBeNull();
+  });
+
+  it('keeps the list when sorting', () => {
+    const { getByText, UNSAFE_getByType } = render(
+      <DataTable columns={columns} data={items} virtualized />
+    );
+    const list = UNSAFE_getByType(FlatList).instance;
+
+    fireEvent.press(getByText('Name'));
+    fireEvent.press(getByText('Name'));
+
+    expect(UNSAFE_getByType(FlatList).instance).toBe(list);
+    expect(getByText('Item 4999')).toBeTruthy();
+  });
+
+  it('re-renders visible rows when the selection changes', () => {
+    const { getAllByLabelText, rerender } = render(
+      <DataTable
+        columns={columns}
+        data={items}
+        virtualized
+        selectable
+        selectedKeys={[]}
+      />
+    );
+
+    rerender(
+      <DataTable
+        columns={columns}
+        data={items}
+        virtualized
+        selectable
+        selectedKeys={['0']}
+      />
+    );
+
+    expect(
+      getAllByLabelText('Select row')[0].props.accessibilityState
+    ).toMatchObject({ checked: true });
+  });
+});
+
+describe('DataTable column widths', () => {
+  const columns = [
+    { key: 'name', title: 'Name', width: 160, pinned: true },
+    { key: 'sku', title: 'SKU', minWidth: 120, resizable: true },
+    { key: 'quantity', title: 'Quantity', numeric: true },
+  ];
+  const items = [{ id: 1, name: 'Bolt', sku: 'B-1', quantity: 12 }];
+
+  // Flattened styles of the host views wrapping the element, up to the row
+  const getAncestorStyles = (element) => {
+    const styles = [];
+    let node = element;
+
+    while (node && styles.length < 4) {
+      if (typeof node.type === 'string') {
+        styles.push(StyleSheet.flatten(node.props.style) || {});
+      }
+      node = node.parent;
+    }
+
+    return styles;
+  };
+
+  // Touch history read by PanResponder to compute the gesture
+  let timeStamp = 0;
+  const createTouchEvent = (pageX, startPageX = pageX) => ({
+    touchHistory: {
+      numberActiveTouches: 1,
+      indexOfSingleActiveTouch: 0,
+      mostRecentTimeStamp: ++timeStamp,
+      touchBank: [
+        {
+          touchActive: true,
+          startPageX,
+          startPageY: 0,
+          startTimeStamp: 0,
+          currentPageX: pageX,
+          currentPageY: 0,
+          currentTimeStamp: timeStamp,
+          previousPageX: startPageX,
+          previousPageY: 0,
+          previousTimeStamp: timeStamp - 1,
+        },
+      ],
+    },
+  });
+
+  afterEach(() => {
+    Platform.OS = 'ios';
+  });
+
+  it('applies widths to titles and cells', () => {
+    const { getByText, UNSAFE_getAllByType } = render(
+      <DataTable columns={columns} data={items} />
+    );
+
+    expect(UNSAFE_getAllByType(ScrollView)).toHaveLength(1);
+    expect(getAncestorStyles(getByText('SKU'))).toContainEqual(
+      expect.objectContaining({ minWidth: 120 })
+    );
+    expect(getAncestorStyles(getByText('B-1'))).toContainEqual(
+      expect.objectContaining({ minWidth: 120 })
+    );
+    expect(getAncestorStyles(getByText('Bolt'))).toContainEqual(
+      expect.objectContaining({ flex: 0, width: 160 })
+    );
+  });
+
+  it('moves pinned columns with the horizontal scroll', () => {
+    const { getByText } = render(<DataTable columns={columns} data={items} />);
+
+    expect(getAncestorStyles(getByText('Bolt'))).toContainEqual(
+      expect.objectContaining({
+        width: 160,
+        transform: [{ translateX: 0 }],
+        zIndex: 1,
+      })
+    );
+    expect(
+      getAncestorStyles(getByText('B-1')).some((style) => style.transform)
+    ).toBe(false);
+  });
+
+  it("doesn't scroll horizontally without column widths", () => {
+    const { UNSAFE_queryAllByType } = render(
+      <DataTable columns={[{ key: 'name', title: 'Name' }]} data={items} />
+    );
+
+    expect(UNSAFE_queryAllByType(ScrollView)).toHaveLength(0);
+  });
+
+  it('resizes columns by dragging the title edge on web', () => {
+    Platform.OS = 'web';
+
+    const onColumnResize = jest.fn();
+    const { getByTestId, getByText } = render(
+      <DataTable
+        columns={columns}
+        data={items}
+        onColumnResize={onColumnResize}
+      />
+    );
+
+    fireEvent(getByTestId('data-table-resize-handle').parent, 'layout', {
+      nativeEvent: { layout: { width: 150 } },
+    });
+
+    const handle = getByTestId('data-table-resize-handle');
+
+    act(() => {
+      handle.props.onResponderGrant(createTouchEvent(0));
+      handle.props.onResponderMove(createTouchEvent(60, 0));
+    });
+
+    expect(onColumnResize).toHaveBeenLastCalledWith('sku', 210);
+    expect(getAncestorStyles(getByText('B-1'))).toContainEqual(
+      expect.objectContaining({ width: 210 })
+    );
+
+    act(() => {
+      handle.props.onResponderMove(createTouchEvent(-100, 0));
+    });
+
+    expect(onColumnResize).toHaveBeenLastCalledWith('sku', 120);
+  });
+});
+
+describe('expandable DataTable rows', () => {
+  const columns = [{ key: 'name', title: 'Order' }];
+  const orders = [
+    { id: 'a', name: 'Order A', note: 'Leave at the door' },
+    { id: 'b', name: 'Order B', note: 'Call on arrival' },
+  ];
+  const renderExpandedRow = ({ item }) => <Text>{item.note}</Text>;
+
+  it('expands and collapses rows with the expand button', () => {
+    jest.useFakeTimers();
+    const onExpandedKeysChange = jest.fn();
+    const { getAllByLabelText, getByLabelText, queryByText } = render(
+      <DataTable
+        columns={columns}
+        data={orders}
+        renderExpandedRow={renderExpandedRow}
+        onExpandedKeysChange={onExpandedKeysChange}
+      />
+    );
+
+    expect(queryByText('Leave at the door')).toBeNull();
+
+    fireEvent.press(getAllByLabelText('Expand row')[0]);
+
+    expect(onExpandedKeysChange).toHaveBeenLastCalledWith(['a']);
+    expect(queryByText('Leave at the door')).not.toBeNull();
+    expect(queryByText('Call on arrival')).toBeNull();
+
+    fireEvent.press(getByLabelText('Collapse row'));
+
+    expect(onExpandedKeysChange).toHaveBeenLastCalledWith([]);
+
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(queryByText('Leave at the door')).toBeNull();
+  });
+
+  it('fades the expanded content in and out', () => {
+    jest.useFakeTimers();
+    const { getAllByLabelText, getByLabelText, getByText, queryByText } =
+      render(
+        <DataTable
+          columns={columns}
+          data={orders}
+          renderExpandedRow={renderExpandedRow}
+        />
+      );
+
+    const getContainerOpacity = () =>
+      StyleSheet.flatten(
+        getByText('Leave at the door').parent.parent.props.style
+      ).opacity;
+
+    fireEvent.press(getAllByLabelText('Expand row')[0]);
+
+    expect(getContainerOpacity()).toBe(0);
+
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(getContainerOpacity()).toBe(1);
+
+    fireEvent.press(getByLabelText('Collapse row'));
+
+    expect(getContainerOpacity()).toBe(1);
+
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(queryByText('Leave at the door')).toBeNull();
+  });
+
+  it('renders the details only for expanded rows', () => {
+    const renderDetails = jest.fn(renderExpandedRow);
+    const { getAllByLabelText } = render(
+      <DataTable
+        columns={columns}
+        data={orders}
+        renderExpandedRow={renderDetails}
+      />
+    );
+
+    expect(getAllByLabelText('Expand row')).toHaveLength(2);
+    expect(renderDetails).not.toHaveBeenCalled();
+
+    fireEvent.press(getAllByLabelText('Expand row')[1]);
+
+    expect(renderDetails).toHaveBeenCalledTimes(1);
+    expect(renderDetails).toHaveBeenCalledWith({ item: orders[1], index: 1 });
+  });
+
+  it('uses the controlled expanded keys', () => {
+    const onExpandedKeysChange = jest.fn();
+    const { getByLabelText, queryByText } = render(
+      <DataTable
+        columns={columns}
+        data={orders}
+        renderExpandedRow={renderExpandedRow}
+        expandedKeys={['b']}
+        onExpandedKeysChange={onExpandedKeysChange}
+      />
+    );
+
+    expect(queryByText('Call on arrival')).not.toBeNull();
+
+    fireEvent.press(getByLabelText('Collapse row'));
+
+    expect(onExpandedKeysChange).toHaveBeenCalledWith([]);
+    expect(queryByText('Call on arrival')).not.toBeNull();
+  });
+
+  it('expands composed rows with expandedContent', () => {
+    const { getByLabelText, queryByText } = render(
+      <DataTable>
+        <DataTable.Row expandedContent={<Text>Details</Text>}>
+          <DataTable.Cell>Order A</DataTable.Cell>
+        </DataTable.Row>
+      </DataTable>
+    );
+
+    expect(queryByText('Details')).toBeNull();
+    expect(getByLabelText('Expand row').props.accessibilityState).toMatchObject(
+      { expanded: false }
+    );
+
+    fireEvent.press(getByLabelText('Expand row'));
+
+    expect(queryByText('Details')).not.toBeNull();
+  });
+});
+
+describe('editable DataTable cells', () => {
+  const columns = [
+    { key: 'name', title: 'Product', editable: true },
+    {
+      key: 'stock',
+      title: 'Stock',
+      numeric: true,
+      editable: (item) => item.name !== 'Locked',
+      validate: (value) =>
+        Number.isInteger(value) && value >= 0
+          ? null
+          : 'Enter a positive number',
+    },
+    {
+      key: 'status',
+      title: 'Status',
+      editable: true,
+      options: [
+        { label: 'Active', value: 'active' },
+        { label: 'Archived', value: 'archived' },
+      ],
+    },
+  ];
+  const products = [
+    { id: 1, name: 'Lamp', stock: 4, status: 'active' },
+    { id: 2, name: 'Locked', stock: 2, status: 'archived' },
+  ];
+
+  it('commits the edited value of a cell', () => {
+    const onCellEditCommit = jest.fn();
+    const { getByDisplayValue, getByText, queryByDisplayValue } = render(
+      <DataTable
+        columns={columns}
+        data={products}
+        onCellEditCommit={onCellEditCommit}
+      />
+    );
+
+    fireEvent.press(getByText('Lamp'));
+    fireEvent.changeText(getByDisplayValue('Lamp'), 'Desk lamp');
+    fireEvent(getByDisplayValue('Desk lamp'), 'submitEditing');
+
+    expect(onCellEditCommit).toHaveBeenCalledWith({
+      item: products[0],
+      index: 0,
+      key: 'name',
+      value: 'Desk lamp',
+    });
+    expect(queryByDisplayValue('Desk lamp')).toBeNull();
+  });
+
+  it('parses numeric values and keeps invalid ones in the editor', () => {
+    const onCellEditCommit = jest.fn();
+    const { getByDisplayValue, getByLabelText, getByText } = render(
+      <DataTable
+        columns={columns}
+        data={products}
+        onCellEditCommit={onCellEditCommit}
+      />
+    );
+
+    fireEvent.press(getByText('4'));
+    fireEvent.changeText(getByDisplayValue('4'), '-1');
+    fireEvent.press(getByLabelText('Save'));
+
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+    expect(getByText('Enter a positive number')).toBeTruthy();
+
+    fireEvent.changeText(getByDisplayValue('-1'), '7');
+    fireEvent.press(getByLabelText('Save'));
+
+    expect(onCellEditCommit).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'stock', value: 7 })
+    );
+  });
+
+  it("doesn't commit empty or non-numeric text of numeric cells", () => {
+    const onCellEditCommit = jest.fn();
+    const { getByDisplayValue, getByLabelText, getByText, queryByText } =
+      render(
+        <DataTable
+          columns={[
+            { key: 'stock', title: 'Stock', numeric: true, editable: true },
+          ]}
+          data={products}
+          onCellEditCommit={onCellEditCommit}
+        />
+      );
+
+    fireEvent.press(getByText('4'));
+    fireEvent.changeText(getByDisplayValue('4'), 'abc');
+    fireEvent.press(getByLabelText('Save'));
+
+    expect(getByText('Enter a number')).toBeTruthy();
+
+    fireEvent.changeText(getByDisplayValue('abc'), ' ');
+    fireEvent.press(getByLabelText('Save'));
+
+    expect(getByText('Enter a number')).toBeTruthy();
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+
+    fireEvent.changeText(getByDisplayValue(' '), '2.5');
+
+    expect(queryByText('Enter a number')).toBeNull();
+
+    fireEvent.press(getByLabelText('Save'));
+
+    expect(onCellEditCommit).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'stock', value: 2.5 })
+    );
+  });
+
+  it('cancels the edit', () => {
+    const onCellEditCancel = jest.fn();
+    const { getByDisplayValue, getByLabelText, getByText, queryByText } =
+      render(
+        <DataTable
+          columns={columns}
+          data={products}
+          onCellEditCancel={onCellEditCancel}
+        />
+      );
+
+    fireEvent.press(getByText('Lamp'));
+    fireEvent(getByDisplayValue('Lamp'), 'keyPress', {
+      nativeEvent: { key: 'Escape' },
+    });
+
+    expect(onCellEditCancel).toHaveBeenCalledWith({
+      item: products[0],
+      index: 0,
+      key: 'name',
+    });
+    expect(queryByText('Lamp')).not.toBeNull();
+
+    fireEvent.press(getByText('Lamp'));
+    fireEvent.press(getByLabelText('Cancel'));
+
+    expect(onCellEditCancel).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't edit cells of items that aren't editable", () => {
+    const { getByText, queryByDisplayValue } = render(
+      <DataTable columns={columns} data={products} />
+    );
+
+    fireEvent.press(getByText('2'));
+
+    expect(queryByDisplayValue('2')).toBeNull();
+  });
+
+  it('picks the value of columns with options from a menu', () => {
+    const onCellEditCommit = jest.fn();
+    const { getAllByText, getByText } = render(
+      <Portal.Host>
+        <DataTable
+          columns={columns}
+          data={products}
+          onCellEditCommit={onCellEditCommit}
+        />
+      </Portal.Host>
+    );
+
+    fireEvent.press(getByText('Active'));
+    fireEvent.press(getAllByText('Archived').pop());
+
+    expect(onCellEditCommit).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'status', value: 'archived' })
+    );
+  });
+});
+
+describe('getNextSort', () => {
+  it('toggles the direction of a single column', () => {
+    expect(getNextSort([], 'name')).toEqual([
+      { key: 'name', direction: 'ascending' },
+    ]);
+    expect(
+      getNextSort([{ key: 'name', direction: 'ascending' }], 'name')
+    ).toEqual([{ key: 'name', direction: 'descending' }]);
+  });
+
+  it('removes the column after descending with multiSort', () => {
+    expect(
+      getNextSort(
+        [
+          { key: 'name', direction: 'descending' },
+          { key: 'fat', direction: 'ascending' },
+        ],
+        'name',
+        true
+      )
+    ).toEqual([{ key: 'fat', direction: 'ascending' }]);
+  });
+});
+
+describe('compareValues', () => {
+  it('orders empty values last and compares strings naturally', () => {
+    expect(
+      [null, 'item 10', 'item 2', undefined, 'item 1'].sort(compareValues)
+    ).toEqual(['item 1', 'item 2', 'item 10', null, undefined]);
+  });
+});
@@ -1,7 +1,10 @@
 import * as React from 'react';
 
+import { render } from '@testing-library/react-native';
 import renderer from 'react-test-renderer';
 
+import { DirectionProvider } from '../../core/direction';
+import DrawerCollapsedItem from '../Drawer/DrawerCollapsedItem.tsx';
 import DrawerItem from '../Drawer/DrawerItem.tsx';
 
 it('renders basic DrawerItem', () => {
@@ -27,3 +30,41 @@ it('renders active DrawerItem', () => {
 
   expect(tree).toMatchSnapshot();
 });
+
+it('lays out DrawerItem in the direction of the theme', () => {
+  const { getByRole, getByText } = render(
+    <DrawerItem
+      icon="information"
+      label="Example item"
+      theme={{ direction: 'rtl' }}
+    />
+  );
+
+  expect(getByRole('button')).toHaveStyle({ direction: 'rtl' });
+  expect(getByText('Example item')).toHaveStyle({ marginStart: 12 });
+});
+
+it('places the badge of DrawerCollapsedItem at the start of the icon', () => {
+  const { getByRole, getByText } = render(
+    <DirectionProvider direction="rtl">
+      <DrawerCollapsedItem
+        icon="inbox"
+        label="Inbox"
+        badge={3}
+        accessibilityLabel="inbox"
+      />
+    </DirectionProvider>
+  );
+
+  expect(getByRole('button')).toHaveStyle({ direction: 'rtl' });
+  let badgeContainer = getByText('3').parent;
+
+  while (
+    badgeContainer &&
+    badgeContainer.props.style?.position !== 'absolute'
+  ) {
+    badgeContainer = badgeContainer.parent;
+  }
+
+  expect(badgeContainer).toHaveStyle({ start: 20 });
+});
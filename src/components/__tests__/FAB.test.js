@@ -146,6 +146,20 @@ it('renders FAB with custom border radius', () => {
   expect(getByTestId('fab-container')).toHaveStyle({ borderRadius: 0 });
 });
 
+it('renders FAB with border radius of the theme shapes', () => {
+  const { getByTestId } = render(
+    <FAB
+      onPress={() => {}}
+      icon="plus"
+      size="large"
+      testID="fab"
+      theme={{ shapes: { extraLarge: 48 } }}
+    />
+  );
+
+  expect(getByTestId('fab-container')).toHaveStyle({ borderRadius: 48 });
+});
+
 ['small', 'medium', 'large'].forEach((size) => {
   it(`renders ${size} FAB with correct size and border radius`, () => {
     const { getByTestId } = render(
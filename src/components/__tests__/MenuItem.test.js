@@ -1,5 +1,6 @@
 import * as React from 'react';
 
+import { render } from '@testing-library/react-native';
 import color from 'color';
 import renderer from 'react-test-renderer';
 
@@ -170,3 +171,19 @@ it('renders menu item', () => {
 
   expect(tree).toMatchSnapshot();
 });
+
+it('renders menu item with the density', () => {
+  const { getByTestId } = render(
+    <Menu.Item testID="menu-item" title="Redo" density={-1} />
+  );
+
+  expect(getByTestId('menu-item')).toHaveStyle({ height: 44 });
+});
+
+it('renders dense menu item regardless of the density', () => {
+  const { getByTestId } = render(
+    <Menu.Item testID="menu-item" title="Redo" density={-1} dense />
+  );
+
+  expect(getByTestId('menu-item')).toHaveStyle({ height: 32 });
+});
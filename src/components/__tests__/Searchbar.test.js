@@ -4,6 +4,7 @@ import { render } from '@testing-library/react-native';
 import renderer from 'react-test-renderer';
 
 import Searchbar from '../Searchbar.tsx';
+import Surface from '../Surface.tsx';
 
 it('renders with placeholder', () => {
   const tree = renderer.create(<Searchbar placeholder="Search" />).toJSON();
@@ -19,6 +20,14 @@ it('renders with text', () => {
   expect(tree).toMatchSnapshot();
 });
 
+it('renders with border radius based on the roundness of the theme', () => {
+  const { UNSAFE_getByType } = render(
+    <Searchbar placeholder="Search" theme={{ roundness: 8 }} />
+  );
+
+  expect(UNSAFE_getByType(Surface)).toHaveStyle({ borderRadius: 8 });
+});
+
 it('activity indicator snapshot test', () => {
   const tree = renderer.create(<Searchbar loading={true} />).toJSON();
 
@@ -1,7 +1,14 @@
 import * as React from 'react';
+import { Platform, StyleSheet } from 'react-native';
 
-import { render } from '@testing-library/react-native';
+import { act, render } from '@testing-library/react-native';
+import color from 'color';
 
+import Provider from '../../core/Provider';
+import { Provider as SettingsProvider } from '../../core/settings';
+import { ThemeProvider } from '../../core/theming';
+import { MD3DarkTheme, MD3LightTheme } from '../../styles/themes';
+import { elevation } from '../../styles/themes/v3/tokens';
 import Surface from '../Surface';
 
 describe('Surface', () => {
@@ -13,3 +20,197 @@ describe('Surface', () => {
     expect(getByTestId(testID).props.pointerEvents).toBe('box-none');
   });
 });
+
+describe('Surface theme transition', () => {
+  const getBackgroundColor = (element) =>
+    color(StyleSheet.flatten(element.props.style).backgroundColor)
+      .rgb()
+      .string();
+
+  const renderSurface = (theme, settings) => (
+    <Provider theme={theme} settings={settings}>
+      <Surface testID="surface" />
+    </Provider>
+  );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should change background instantly by default', () => {
+    const { getByTestId, rerender } = render(renderSurface(MD3LightTheme));
+
+    rerender(renderSurface(MD3DarkTheme));
+
+    expect(getBackgroundColor(getByTestId('surface'))).toBe(
+      color(MD3DarkTheme.colors.elevation.level1).rgb().string()
+    );
+  });
+
+  it('should cross-fade background when theme transition is enabled', () => {
+    const settings = { themeTransitionDuration: 300 };
+    const { getByTestId, rerender } = render(
+      renderSurface(MD3LightTheme, settings)
+    );
+
+    rerender(renderSurface(MD3DarkTheme, settings));
+
+    expect(getBackgroundColor(getByTestId('surface'))).toBe(
+      color(MD3LightTheme.colors.elevation.level1).rgb().string()
+    );
+
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(getBackgroundColor(getByTestId('surface'))).toBe(
+      color(MD3DarkTheme.colors.elevation.level1).rgb().string()
+    );
+  });
+
+  it('should respect animation scale', () => {
+    const renderWithoutAnimations = (theme) => (
+      <SettingsProvider
+        value={{ icon: () => null, themeTransitionDuration: 300 }}
+      >
+        <ThemeProvider theme={{ ...theme, animation: { scale: 0 } }}>
+          <Surface testID="surface" />
+        </ThemeProvider>
+      </SettingsProvider>
+    );
+    const { getByTestId, rerender } = render(
+      renderWithoutAnimations(MD3LightTheme)
+    );
+
+    rerender(renderWithoutAnimations(MD3DarkTheme));
+
+    expect(getBackgroundColor(getByTestId('surface'))).toBe(
+      color(MD3DarkTheme.colors.elevation.level1).rgb().string()
+    );
+  });
+});
+
+describe('Surface elevation', () => {
+  const renderSurface = (props, theme = MD3LightTheme) => (
+    <Provider theme={theme}>
+      <Surface testID="surface" {...props} />
+    </Provider>
+  );
+
+  // Returns styles of the ambient and key shadow layers wrapping the surface on iOS
+  const getShadowLayers = (getByTestId) => {
+    const layers = [];
+    let node = getByTestId('surface').parent;
+
+    while (node && layers.length < 2) {
+      if (typeof node.type === 'string') {
+        layers.unshift(StyleSheet.flatten(node.props.style));
+      }
+      node = node.parent;
+    }
+
+    return layers;
+  };
+
+  afterEach(() => {
+    Platform.OS = 'ios';
+  });
+
+  it('should use shadows of the elevation level from the theme', () => {
+    const theme = {
+      ...MD3LightTheme,
+      elevation: {
+        shadowColor: '#202020',
+        levels: {
+          2: {
+            ambient: {
+              opacity: 0.1,
+              radius: 12,
+              offset: { width: 0, height: 3 },
+            },
+            key: { opacity: 0.05, radius: 2, offset: { width: 0, height: 1 } },
+            androidElevation: 4,
+          },
+        },
+      },
+    };
+    const { getByTestId } = render(renderSurface({ elevation: 2 }, theme));
+    const [ambient, key] = getShadowLayers(getByTestId);
+
+    expect(ambient).toMatchObject({
+      shadowColor: '#202020',
+      shadowOpacity: 0.1,
+      shadowRadius: 12,
+      shadowOffset: { width: 0, height: 3 },
+    });
+    expect(key).toMatchObject({ shadowOpacity: 0.05, shadowRadius: 2 });
+  });
+
+  it('should keep the surface color with the shadow surface tint', () => {
+    const { getByTestId } = render(
+      renderSurface(
+        { elevation: 3 },
+        { ...MD3LightTheme, elevation: { surfaceTint: 'shadow' } }
+      )
+    );
+
+    expect(getByTestId('surface')).toHaveStyle({
+      backgroundColor: MD3LightTheme.colors.surface,
+    });
+  });
+
+  it('should render box shadow on web', () => {
+    Platform.OS = 'web';
+
+    const { getByTestId } = render(renderSurface({ elevation: 1 }));
+
+    expect(getByTestId('surface')).toHaveStyle({
+      boxShadow:
+        '0px 1px 1px rgba(0, 0, 0, 0.3), 0px 1px 3px rgba(0, 0, 0, 0.15)',
+    });
+  });
+
+  it('should use elevation of the theme on android', () => {
+    Platform.OS = 'android';
+
+    const theme = {
+      ...MD3LightTheme,
+      elevation: {
+        levels: {
+          1: { ...elevation.levels[1], androidElevation: 1 },
+        },
+      },
+    };
+    const { getByTestId } = render(renderSurface({ elevation: 1 }, theme));
+
+    expect(getByTestId('surface')).toHaveStyle({ elevation: 1 });
+  });
+
+  it('should animate between levels with animateElevation', () => {
+    jest.useFakeTimers();
+
+    const { getByTestId, rerender } = render(
+      renderSurface({ elevation: 1, animateElevation: true })
+    );
+
+    rerender(renderSurface({ elevation: 5, animateElevation: true }));
+
+    expect(getShadowLayers(getByTestId)[0]).toMatchObject({
+      shadowRadius: 3,
+    });
+
+    act(() => {
+      jest.runAllTimers();
+    });
+
+    expect(getShadowLayers(getByTestId)[0]).toMatchObject({
+      shadowRadius: 12,
+    });
+
+    jest.useRealTimers();
+  });
+});
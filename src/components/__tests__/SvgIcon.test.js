@@ -0,0 +1,107 @@
+import * as React from 'react';
+import { View } from 'react-native';
+
+import { render } from '@testing-library/react-native';
+
+import CrossFadeIcon from '../CrossFadeIcon';
+import Icon, { isEqualIcon, isValidIcon } from '../Icon';
+
+jest.mock(
+  'react-native-svg',
+  () => {
+    const { View } = require('react-native');
+
+    return {
+      SvgXml: (props) => <View testID="svg-xml" {...props} />,
+    };
+  },
+  { virtual: true }
+);
+
+const xml =
+  '<svg viewBox="0 0 24 24"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>';
+
+const Logo = (props) => <View testID="svg-component" {...props} />;
+
+it('renders SVG markup with react-native-svg', () => {
+  const { getByTestId } = render(<Icon source={xml} color="red" size={24} />);
+
+  expect(getByTestId('svg-xml').props).toMatchObject({
+    xml,
+    width: 24,
+    height: 24,
+    fill: 'red',
+    color: 'red',
+  });
+});
+
+it('passes the rest of the props to the SVG icon', () => {
+  const { getByTestId } = render(
+    <Icon source={{ svg: Logo }} size={24} testID="logo-icon" />
+  );
+
+  expect(getByTestId('logo-icon').props).toMatchObject({
+    width: 24,
+    height: 24,
+  });
+});
+
+it('renders SVG markup with an xml declaration', () => {
+  const { getByTestId } = render(
+    <Icon source={`<?xml version="1.0"?>\n${xml}`} size={24} />
+  );
+
+  expect(getByTestId('svg-xml')).toBeTruthy();
+});
+
+it('renders an SVG component from the descriptor', () => {
+  const { getByTestId } = render(
+    <Icon source={{ svg: Logo }} color="blue" size={32} />
+  );
+
+  expect(getByTestId('svg-component').props).toMatchObject({
+    width: 32,
+    height: 32,
+    fill: 'blue',
+  });
+});
+
+it("doesn't tint multi-color SVG icons", () => {
+  const { getByTestId } = render(
+    <Icon source={{ svg: xml, tint: false }} color="red" size={24} />
+  );
+
+  const { props } = getByTestId('svg-xml');
+
+  expect(props.fill).toBeUndefined();
+  expect(props.color).toBeUndefined();
+});
+
+it('mirrors SVG icons with rtl direction', () => {
+  const { getByTestId } = render(
+    <Icon
+      source={{ source: { svg: Logo }, direction: 'rtl' }}
+      color="red"
+      size={24}
+    />
+  );
+
+  expect(getByTestId('svg-component')).toHaveStyle({
+    transform: [{ scaleX: -1 }],
+  });
+});
+
+it('treats SVG descriptors as valid and comparable icons', () => {
+  expect(isValidIcon({ svg: xml })).toBe(true);
+  expect(isValidIcon({ svg: Logo, tint: false })).toBe(true);
+  expect(isEqualIcon({ svg: Logo }, { svg: Logo })).toBe(true);
+  expect(isEqualIcon({ svg: Logo }, { svg: xml })).toBe(false);
+});
+
+it('renders SVG icons in CrossFadeIcon', () => {
+  const { getByTestId } = render(
+    <CrossFadeIcon source={{ svg: Logo }} color="red" size={24} />
+  );
+
+  expect(getByTestId('svg-component')).toBeTruthy();
+});
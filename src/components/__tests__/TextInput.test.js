@@ -225,7 +225,9 @@ it('renders input placeholder initially with an empty space character', () => {
 
 it('correctly applies padding offset to input label on Android when RTL', () => {
   Platform.OS = 'android';
-  I18nManager.isRTL = true;
+  jest
+    .spyOn(I18nManager, 'getConstants')
+    .mockReturnValue({ ...I18nManager.getConstants(), isRTL: true });
 
   const { getByTestId } = render(
     <TextInput
@@ -246,7 +248,31 @@ it('correctly applies padding offset to input label on Android when RTL', () =>
     paddingRight: 16,
   });
 
-  I18nManager.isRTL = false;
+  I18nManager.getConstants.mockRestore();
+});
+
+it('correctly applies padding offset to input label when RTL is forced by the theme', () => {
+  Platform.OS = 'android';
+
+  const { getByTestId } = render(
+    <TextInput
+      label="Flat input"
+      mode="flat"
+      testID="text-input-flat"
+      theme={{ direction: 'rtl' }}
+      left={
+        <TextInput.Affix text={affixTextValue} textStyle={style.inputStyle} />
+      }
+      right={
+        <TextInput.Affix text={affixTextValue} textStyle={style.inputStyle} />
+      }
+    />
+  );
+
+  expect(getByTestId('text-input-flat-label-active')).toHaveStyle({
+    paddingLeft: 56,
+    paddingRight: 16,
+  });
 });
 
 it('correctly applies padding offset to input label on Android when LTR', () => {
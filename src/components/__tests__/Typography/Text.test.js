@@ -1,8 +1,13 @@
 import * as React from 'react';
+import { StyleSheet, View } from 'react-native';
 
-import { render } from '@testing-library/react-native';
+import { act, render } from '@testing-library/react-native';
+import color from 'color';
 import renderer from 'react-test-renderer';
 
+import Provider from '../../../core/Provider';
+import configureFonts from '../../../styles/fonts';
+import { MD3DarkTheme, MD3LightTheme } from '../../../styles/themes';
 import { tokens } from '../../../styles/themes/v3/tokens';
 import Text from '../../Typography/Text.tsx';
 
@@ -38,6 +43,89 @@ it('renders every variant of Text with children as content', () => {
   expect(tree).toMatchSnapshot();
 });
 
+it('caps the font scale of display and headline variants', () => {
+  // Font scale is 2 in the test environment
+  const { getByTestId } = render(
+    <View>
+      <Text testID="headline" variant="headlineSmall">
+        {content}
+      </Text>
+      <Text testID="body" variant="bodyLarge">
+        {content}
+      </Text>
+    </View>
+  );
+
+  expect(getByTestId('headline').props.allowFontScaling).toBe(false);
+  expect(getByTestId('headline')).toHaveStyle({
+    fontSize: 36,
+    lineHeight: 48,
+  });
+  expect(getByTestId('body').props.allowFontScaling).toBeUndefined();
+  expect(getByTestId('body')).toHaveStyle({ fontSize: 16, lineHeight: 24 });
+});
+
+it('applies font scale limits of the variant from the theme', () => {
+  const theme = {
+    ...MD3LightTheme,
+    fonts: configureFonts({ config: { maxFontScale: 1.25 } }),
+  };
+  const style = { fontSize: 20 };
+
+  const { getByTestId } = render(
+    <Text testID="body" variant="bodyLarge" theme={theme} style={style}>
+      {content}
+    </Text>
+  );
+
+  expect(getByTestId('body')).toHaveStyle({ fontSize: 25, lineHeight: 30 });
+});
+
+it('caps the font scale with lower maxFontSizeMultiplier', () => {
+  const { getByTestId } = render(
+    <Text testID="display" variant="displaySmall" maxFontSizeMultiplier={1.1}>
+      {content}
+    </Text>
+  );
+
+  expect(getByTestId('display')).toHaveStyle({ fontSize: 39.5 });
+});
+
+it('renders custom variant from the theme fonts', () => {
+  const brandHero = {
+    fontFamily: 'Brand',
+    fontWeight: '700',
+    letterSpacing: 0,
+    lineHeight: 48,
+    fontSize: 40,
+  };
+  const theme = {
+    ...MD3LightTheme,
+    fonts: configureFonts({ config: { brandHero } }),
+  };
+
+  const { getByTestId } = render(
+    <Text testID="text" variant="brandHero" theme={theme}>
+      {content}
+    </Text>
+  );
+
+  expect(getByTestId('text')).toHaveStyle({
+    ...brandHero,
+    color: MD3LightTheme.colors.onSurface,
+  });
+});
+
+it('throws an error for variant missing in the theme fonts', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(() => render(<Text variant="brandHero">{content}</Text>)).toThrow(
+    'Variant brandHero was not provided properly.'
+  );
+
+  jest.restoreAllMocks();
+});
+
 it('renders v3 Text component without variant with default fontWeight and fontFamily', () => {
   const { getByTestId } = render(
     <Text testID="text-without-variant">{content}</Text>
@@ -49,3 +137,38 @@ it('renders v3 Text component without variant with default fontWeight and fontFa
     fontWeight: weightRegular,
   });
 });
+
+it('cross-fades text color on theme change when theme transition is enabled', () => {
+  jest.useFakeTimers();
+
+  const settings = { themeTransitionDuration: 200 };
+  const renderText = (theme, style) => (
+    <Provider theme={theme} settings={settings}>
+      <Text testID="text" style={style}>
+        {content}
+      </Text>
+    </Provider>
+  );
+  const getColor = () =>
+    color(StyleSheet.flatten(getByTestId('text').props.style).color)
+      .rgb()
+      .string();
+
+  const { getByTestId, rerender } = render(renderText(MD3LightTheme));
+  const text = getByTestId('text');
+
+  rerender(renderText(MD3DarkTheme));
+  expect(getColor()).toBe(color(MD3LightTheme.colors.onSurface).rgb().string());
+
+  act(() => {
+    jest.advanceTimersByTime(200);
+  });
+  expect(getColor()).toBe(color(MD3DarkTheme.colors.onSurface).rgb().string());
+  // The text isn't remounted when the transition starts or ends
+  expect(getByTestId('text') === text).toBe(true);
+
+  rerender(renderText(MD3DarkTheme, { color: 'red' }));
+  expect(getColor()).toBe(color('red').rgb().string());
+
+  jest.useRealTimers();
+});
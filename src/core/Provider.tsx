@@ -1,5 +1,6 @@
 import * as React from 'react';
 import {
+  AccessibilityChangeEventName,
   AccessibilityInfo,
   Appearance,
   ColorSchemeName,
@@ -10,27 +11,91 @@ import MaterialCommunityIcon from '../components/MaterialCommunityIcon';
 import PortalHost from '../components/Portal/PortalHost';
 import type { ThemeProp } from '../types';
 import { addEventListener } from '../utils/addEventListener';
+import { ColorSchemeContext, ColorSchemeSetting } from './colorScheme';
 import { Provider as SettingsProvider, Settings } from './settings';
-import { defaultThemesByVersion, ThemeProvider } from './theming';
+import {
+  defaultThemesByVersion,
+  highContrastThemes,
+  ThemeProvider,
+} from './theming';
+
+type AccessibilityQuery = () => Promise<boolean>;
+
+// Any of these settings switches to the high contrast themes.
+// Increased contrast settings are only reported by newer React Native versions.
+const highContrastSettings = [
+  { eventName: 'boldTextChanged', query: 'isBoldTextEnabled' },
+  { eventName: 'invertColorsChanged', query: 'isInvertColorsEnabled' },
+  {
+    eventName: 'darkerSystemColorsChanged',
+    query: 'isDarkerSystemColorsEnabled',
+  },
+  { eventName: 'highTextContrastChanged', query: 'isHighTextContrastEnabled' },
+] as const;
 
 export type Props = {
   children: React.ReactNode;
   theme?: ThemeProp;
-  settings?: Settings;
+  /**
+   * Color scheme used to pick between `lightTheme` and `darkTheme`.
+   * `system` follows the device settings. It can be changed from the app with `useColorScheme()`.
+   */
+  colorScheme?: ColorSchemeSetting;
+  /**
+   * Theme used for the light color scheme.
+   */
+  lightTheme?: ThemeProp;
+  /**
+   * Theme used for the dark color scheme.
+   */
+  darkTheme?: ThemeProp;
+  /**
+   * Theme used for the light color scheme while a high contrast accessibility setting is enabled.
+   * Falls back to `lightTheme` (or `theme`), built on top of `MD3HighContrastLightTheme`.
+   */
+  highContrastLightTheme?: ThemeProp;
+  /**
+   * Theme used for the dark color scheme while a high contrast accessibility setting is enabled.
+   * Falls back to `darkTheme` (or `theme`), built on top of `MD3HighContrastDarkTheme`.
+   */
+  highContrastDarkTheme?: ThemeProp;
+  settings?: Partial<Settings>;
 };
 
 const Provider = (props: Props) => {
   const isOnlyVersionInTheme =
     props.theme && Object.keys(props.theme).length === 1 && props.theme.version;
 
+  const isSchemeAware = Boolean(
+    !props.theme ||
+      isOnlyVersionInTheme ||
+      props.colorScheme ||
+      props.lightTheme ||
+      props.darkTheme ||
+      props.highContrastLightTheme ||
+      props.highContrastDarkTheme
+  );
+
   const colorSchemeName =
-    ((!props.theme || isOnlyVersionInTheme) && Appearance?.getColorScheme()) ||
-    'light';
+    (isSchemeAware && Appearance?.getColorScheme()) || 'light';
 
   const [reduceMotionEnabled, setReduceMotionEnabled] =
     React.useState<boolean>(false);
+  const [enabledHighContrastSettings, setEnabledHighContrastSettings] =
+    React.useState<Record<string, boolean>>({});
   const [colorScheme, setColorScheme] =
     React.useState<ColorSchemeName>(colorSchemeName);
+  const [colorSchemeSetting, setColorSchemeSetting] =
+    React.useState<ColorSchemeSetting>(props.colorScheme || 'system');
+
+  const previousColorSchemeSetting = React.useRef(props.colorScheme);
+
+  React.useEffect(() => {
+    if (previousColorSchemeSetting.current !== props.colorScheme) {
+      previousColorSchemeSetting.current = props.colorScheme;
+      setColorSchemeSetting(props.colorScheme || 'system');
+    }
+  }, [props.colorScheme]);
 
   const handleAppearanceChange = (
     preferences: Appearance.AppearancePreferences
@@ -56,15 +121,71 @@ const Provider = (props: Props) => {
     };
   }, [props.theme]);
 
+  React.useEffect(() => {
+    let highContrastSubscriptions: NativeEventSubscription[] = [];
+    // Initial values may resolve after the effect is cleaned up
+    let cancelled = false;
+
+    if (isSchemeAware) {
+      const accessibilityQueries = AccessibilityInfo as unknown as Record<
+        string,
+        AccessibilityQuery | undefined
+      >;
+
+      highContrastSubscriptions = highContrastSettings.map(
+        ({ eventName, query }) => {
+          const handleChange = (enabled: boolean) => {
+            if (cancelled) {
+              return;
+            }
+
+            setEnabledHighContrastSettings((settings) =>
+              Boolean(settings[eventName]) === enabled
+                ? settings
+                : { ...settings, [eventName]: enabled }
+            );
+          };
+
+          const checkInitialValue = async () => {
+            try {
+              const enabled = await accessibilityQueries[query]?.();
+
+              if (enabled !== undefined) {
+                handleChange(enabled);
+              }
+            } catch (e) {
+              // The setting stays disabled if it can't be read on the platform
+            }
+          };
+
+          checkInitialValue();
+
+          return addEventListener(
+            AccessibilityInfo,
+            eventName as AccessibilityChangeEventName,
+            handleChange
+          );
+        }
+      );
+    }
+    return () => {
+      cancelled = true;
+
+      highContrastSubscriptions.forEach((subscription) =>
+        subscription.remove()
+      );
+    };
+  }, [isSchemeAware]);
+
   React.useEffect(() => {
     let appearanceSubscription: NativeEventSubscription | undefined;
-    if (!props.theme || isOnlyVersionInTheme) {
+    if (isSchemeAware) {
       appearanceSubscription = Appearance?.addChangeListener(
         handleAppearanceChange
       ) as NativeEventSubscription | undefined;
     }
     return () => {
-      if (!props.theme || isOnlyVersionInTheme) {
+      if (isSchemeAware) {
         if (appearanceSubscription) {
           appearanceSubscription.remove();
         } else {
@@ -73,18 +194,42 @@ const Provider = (props: Props) => {
         }
       }
     };
-  }, [props.theme, isOnlyVersionInTheme]);
+  }, [isSchemeAware]);
+
+  const getColorScheme = () => {
+    if (isSchemeAware && colorSchemeSetting !== 'system') {
+      return colorSchemeSetting;
+    }
+
+    return colorScheme || 'light';
+  };
 
   const getTheme = () => {
-    const themeVersion = props.theme?.version || 3;
-    const scheme = colorScheme || 'light';
-    const defaultThemeBase = defaultThemesByVersion[themeVersion][scheme];
+    const scheme = getColorScheme();
+    const isHighContrastEnabled =
+      isSchemeAware && Object.values(enabledHighContrastSettings).some(Boolean);
+    const highContrastTheme = isHighContrastEnabled
+      ? scheme === 'dark'
+        ? props.highContrastDarkTheme
+        : props.highContrastLightTheme
+      : undefined;
+    const theme =
+      highContrastTheme ||
+      (scheme === 'dark' ? props.darkTheme : props.lightTheme) ||
+      props.theme;
+    const themeVersion = theme?.version || 3;
+    const isHighContrast = themeVersion === 3 && isHighContrastEnabled;
+    const defaultThemeBase = isHighContrast
+      ? highContrastThemes[scheme]
+      : defaultThemesByVersion[themeVersion][scheme];
 
     const extendedThemeBase = {
       ...defaultThemeBase,
-      ...props.theme,
+      ...theme,
       version: themeVersion,
       animation: {
+        ...defaultThemeBase.animation,
+        ...theme?.animation,
         scale: reduceMotionEnabled ? 0 : 1,
       },
     };
@@ -95,13 +240,28 @@ const Provider = (props: Props) => {
     };
   };
 
+  const colorSchemeContextValue = React.useMemo(
+    () => ({
+      colorScheme: colorSchemeSetting,
+      setColorScheme: setColorSchemeSetting,
+    }),
+    [colorSchemeSetting]
+  );
+
   const { children, settings } = props;
 
+  const settingsValue = React.useMemo(
+    () => ({ icon: MaterialCommunityIcon, ...settings }),
+    [settings]
+  );
+
   return (
     <PortalHost>
-      <SettingsProvider value={settings || { icon: MaterialCommunityIcon }}>
-        {/* @ts-expect-error check @callstack/react-theme-provider's children prop */}
-        <ThemeProvider theme={getTheme()}>{children}</ThemeProvider>
+      <SettingsProvider value={settingsValue}>
+        <ColorSchemeContext.Provider value={colorSchemeContextValue}>
+          {/* @ts-expect-error check @callstack/react-theme-provider's children prop */}
+          <ThemeProvider theme={getTheme()}>{children}</ThemeProvider>
+        </ColorSchemeContext.Provider>
       </SettingsProvider>
     </PortalHost>
   );
@@ -8,7 +8,10 @@ import {
   MD2DarkTheme,
   MD3LightTheme,
   MD3DarkTheme,
+  MD3HighContrastLightTheme,
+  MD3HighContrastDarkTheme,
 } from '../../styles/themes';
+import { useColorScheme } from '../colorScheme';
 import Provider from '../Provider';
 import { useTheme } from '../theming';
 
@@ -76,6 +79,43 @@ const createProvider = (theme) => {
 const ExtendedLightTheme = { ...MD3LightTheme, isV3: true };
 const ExtendedDarkTheme = { ...MD3DarkTheme, isV3: true };
 
+const getAccessibilityListener = (eventName) =>
+  AccessibilityInfo.addEventListener.mock.calls.find(
+    ([event]) => event === eventName
+  )[1];
+
+const CustomLightTheme = {
+  ...ExtendedLightTheme,
+  colors: { ...ExtendedLightTheme.colors, primary: 'tomato' },
+};
+const CustomDarkTheme = {
+  ...ExtendedDarkTheme,
+  colors: { ...ExtendedDarkTheme.colors, primary: 'orchid' },
+};
+
+const ColorSchemeToggle = ({ colorScheme }) => {
+  const { setColorScheme } = useColorScheme();
+
+  React.useEffect(() => {
+    setColorScheme(colorScheme);
+  }, [colorScheme, setColorScheme]);
+
+  return null;
+};
+
+const createSchemeAwareProvider = (props, colorScheme) => {
+  return (
+    <Provider
+      lightTheme={CustomLightTheme}
+      darkTheme={CustomDarkTheme}
+      {...props}
+    >
+      {colorScheme ? <ColorSchemeToggle colorScheme={colorScheme} /> : null}
+      <FakeChild />
+    </Provider>
+  );
+};
+
 describe('Provider', () => {
   beforeEach(() => {
     jest.resetModules();
@@ -125,6 +165,37 @@ describe('Provider', () => {
     );
   });
 
+  it('should keep motion tokens of the theme when reduce motion is enabled', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const durations = { short3: 50 };
+
+    const { getByTestId } = render(
+      <Provider
+        lightTheme={{
+          ...ExtendedLightTheme,
+          animation: { scale: 1, durations },
+        }}
+      >
+        <FakeChild />
+      </Provider>
+    );
+
+    act(() =>
+      getAccessibilityListener('reduceMotionChanged')({
+        reduceMotionEnabled: true,
+      })
+    );
+
+    expect(
+      getByTestId('provider-child-view').props.theme.animation
+    ).toStrictEqual({
+      scale: 0,
+      durations,
+      easings: MD3LightTheme.animation.easings,
+    });
+  });
+
   it('should set Appearance listeners, if there is no theme', async () => {
     mockAppearance();
     const { getByTestId } = render(createProvider(null));
@@ -208,4 +279,255 @@ describe('Provider', () => {
       );
     }
   );
+
+  it.each`
+    colorScheme | expectedTheme
+    ${'light'}  | ${CustomLightTheme}
+    ${'dark'}   | ${CustomDarkTheme}
+  `(
+    'uses theme matching $colorScheme color scheme prop',
+    async ({ colorScheme, expectedTheme }) => {
+      mockAppearance();
+      Appearance.getColorScheme.mockReturnValue('light');
+      const { getByTestId } = render(
+        createSchemeAwareProvider({ colorScheme })
+      );
+
+      expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+        expectedTheme
+      );
+    }
+  );
+
+  it('follows Appearance changes with custom themes for system color scheme', async () => {
+    mockAppearance();
+    Appearance.getColorScheme.mockReturnValue('light');
+    const { getByTestId } = render(
+      createSchemeAwareProvider({ colorScheme: 'system' })
+    );
+
+    expect(Appearance.addChangeListener).toHaveBeenCalled();
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomLightTheme
+    );
+
+    act(() => Appearance.__internalListeners[0]({ colorScheme: 'dark' }));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomDarkTheme
+    );
+  });
+
+  it('updates theme when color scheme prop changes', async () => {
+    mockAppearance();
+    const { getByTestId, rerender } = render(
+      createSchemeAwareProvider({ colorScheme: 'light' })
+    );
+
+    rerender(createSchemeAwareProvider({ colorScheme: 'dark' }));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomDarkTheme
+    );
+  });
+
+  it('uses default theme of the color scheme if its custom theme is missing', async () => {
+    mockAppearance();
+    const { getByTestId } = render(
+      createSchemeAwareProvider({ colorScheme: 'dark', darkTheme: undefined })
+    );
+
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      ExtendedDarkTheme
+    );
+  });
+
+  it('switches color scheme with useColorScheme', async () => {
+    mockAppearance();
+    Appearance.getColorScheme.mockReturnValue('light');
+    const { getByTestId, rerender } = render(
+      createSchemeAwareProvider({}, 'dark')
+    );
+
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomDarkTheme
+    );
+
+    rerender(createSchemeAwareProvider({}, 'system'));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomLightTheme
+    );
+  });
+
+  it('switches default themes with useColorScheme', async () => {
+    mockAppearance();
+    Appearance.getColorScheme.mockReturnValue('light');
+    const { getByTestId } = render(
+      <Provider>
+        <ColorSchemeToggle colorScheme="dark" />
+        <FakeChild />
+      </Provider>
+    );
+
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      ExtendedDarkTheme
+    );
+  });
+
+  it('provides current color scheme setting', async () => {
+    mockAppearance();
+    let setting;
+    const Consumer = () => {
+      setting = useColorScheme().colorScheme;
+      return null;
+    };
+
+    render(
+      <Provider colorScheme="dark">
+        <Consumer />
+      </Provider>
+    );
+
+    expect(setting).toBe('dark');
+  });
+
+  it('switches to high contrast theme when bold text is enabled', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const { getByTestId } = render(createProvider(null));
+
+    act(() => getAccessibilityListener('boldTextChanged')(true));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual({
+      ...MD3HighContrastLightTheme,
+      isV3: true,
+    });
+
+    act(() => getAccessibilityListener('boldTextChanged')(false));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      ExtendedLightTheme
+    );
+  });
+
+  it('switches to high contrast dark theme when colors are inverted', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const { getByTestId } = render(
+      <Provider colorScheme="dark">
+        <FakeChild />
+      </Provider>
+    );
+
+    act(() => getAccessibilityListener('invertColorsChanged')(true));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual({
+      ...MD3HighContrastDarkTheme,
+      isV3: true,
+    });
+  });
+
+  it('ignores accessibility settings which fail to be read', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    AccessibilityInfo.isBoldTextEnabled = jest.fn(() =>
+      Promise.reject(new Error('Not supported'))
+    );
+
+    try {
+      const { getByTestId } = render(createProvider(null));
+
+      await act(async () => {});
+
+      expect(AccessibilityInfo.isBoldTextEnabled).toHaveBeenCalled();
+      expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+        ExtendedLightTheme
+      );
+    } finally {
+      delete AccessibilityInfo.isBoldTextEnabled;
+    }
+  });
+
+  it('ignores initial accessibility settings resolved after cleanup', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+
+    const resolvers = [];
+    AccessibilityInfo.isInvertColorsEnabled = jest.fn(
+      () => new Promise((resolve) => resolvers.push(resolve))
+    );
+
+    try {
+      const { getByTestId, rerender } = render(createProvider(null));
+
+      // The listeners are removed while the theme is passed
+      rerender(createProvider(MD3LightTheme));
+      rerender(createProvider(null));
+
+      await act(async () => resolvers[0](true));
+
+      expect(resolvers).toHaveLength(2);
+      expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+        ExtendedLightTheme
+      );
+    } finally {
+      delete AccessibilityInfo.isInvertColorsEnabled;
+    }
+  });
+
+  it('keeps custom colors when high contrast is enabled', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const { getByTestId } = render(createSchemeAwareProvider({}));
+
+    act(() => getAccessibilityListener('boldTextChanged')(true));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomLightTheme
+    );
+  });
+
+  it('switches to custom high contrast themes when passed', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const CustomHighContrastDarkTheme = {
+      ...MD3HighContrastDarkTheme,
+      colors: { ...MD3HighContrastDarkTheme.colors, primary: 'white' },
+      isV3: true,
+    };
+    const { getByTestId } = render(
+      createSchemeAwareProvider(
+        { highContrastDarkTheme: CustomHighContrastDarkTheme },
+        'dark'
+      )
+    );
+
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomDarkTheme
+    );
+
+    act(() => getAccessibilityListener('highTextContrastChanged')(true));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual(
+      CustomHighContrastDarkTheme
+    );
+  });
+
+  it('builds partial custom themes on the high contrast themes', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    const { getByTestId } = render(
+      createSchemeAwareProvider({ lightTheme: { roundness: 8 } })
+    );
+
+    act(() => getAccessibilityListener('boldTextChanged')(true));
+    expect(getByTestId('provider-child-view').props.theme).toStrictEqual({
+      ...MD3HighContrastLightTheme,
+      roundness: 8,
+      isV3: true,
+    });
+  });
+
+  it('does not listen to high contrast settings with a fixed theme', async () => {
+    mockAppearance();
+    mockAccessibilityInfo();
+    render(createProvider(CustomLightTheme));
+
+    expect(
+      AccessibilityInfo.addEventListener.mock.calls.map(([event]) => event)
+    ).not.toContain('boldTextChanged');
+  });
 });
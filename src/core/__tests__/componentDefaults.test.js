@@ -0,0 +1,99 @@
+import * as React from 'react';
+import { StyleSheet } from 'react-native';
+
+import { render } from '@testing-library/react-native';
+
+import Button from '../../components/Button/Button';
+import Chip from '../../components/Chip/Chip';
+import TextInput from '../../components/TextInput/TextInput';
+import { MD3LightTheme } from '../../styles/themes';
+import { applyComponentDefaults } from '../componentDefaults';
+import Provider from '../Provider';
+
+const theme = {
+  ...MD3LightTheme,
+  components: {
+    Button: {
+      defaultProps: { mode: 'contained', uppercase: true },
+      styleOverrides: { labelStyle: { letterSpacing: 2 } },
+    },
+    TextInput: {
+      defaultProps: { mode: 'outlined', dense: true },
+    },
+    Chip: {
+      styleOverrides: { textStyle: { fontSize: 20 } },
+    },
+  },
+};
+
+describe('applyComponentDefaults', () => {
+  it('should return the same props without component defaults', () => {
+    const props = { mode: 'text', theme: MD3LightTheme };
+
+    expect(applyComponentDefaults('Button', props)).toBe(props);
+  });
+
+  it('should prefer passed props over default props', () => {
+    expect(
+      applyComponentDefaults('Button', {
+        mode: 'outlined',
+        compact: undefined,
+        theme: {
+          ...theme,
+          components: {
+            Button: { defaultProps: { mode: 'contained', compact: true } },
+          },
+        },
+      })
+    ).toMatchObject({ mode: 'outlined', compact: true });
+  });
+
+  it('should apply passed styles after style overrides', () => {
+    const { labelStyle } = applyComponentDefaults('Button', {
+      labelStyle: { letterSpacing: 4 },
+      theme,
+    });
+
+    expect(labelStyle).toEqual([{ letterSpacing: 2 }, { letterSpacing: 4 }]);
+  });
+});
+
+it('applies defaults of the theme to the components', () => {
+  const { getByText, getByTestId } = render(
+    <Provider theme={theme}>
+      <Button>Press me</Button>
+      <TextInput label="Name" testID="text-input" />
+      <Chip>Chip</Chip>
+    </Provider>
+  );
+
+  const labelStyle = StyleSheet.flatten(getByText('Press me').props.style);
+
+  expect(labelStyle).toMatchObject({
+    textTransform: 'uppercase',
+    letterSpacing: 2,
+    color: MD3LightTheme.colors.onPrimary,
+  });
+  expect(getByTestId('text-input-outline')).toBeTruthy();
+  expect(getByTestId('text-input').props.style).toEqual(
+    expect.arrayContaining([expect.objectContaining({ paddingTop: 0 })])
+  );
+  expect(getByText('Chip')).toHaveStyle({ fontSize: 20 });
+});
+
+it('lets passed props override defaults of the theme', () => {
+  const { getByText } = render(
+    <Provider theme={theme}>
+      <Button mode="text" uppercase={false}>
+        Press me
+      </Button>
+    </Provider>
+  );
+
+  expect(getByText('Press me')).toHaveStyle({
+    color: MD3LightTheme.colors.primary,
+  });
+  expect(getByText('Press me')).not.toHaveStyle({
+    textTransform: 'uppercase',
+  });
+});
@@ -0,0 +1,68 @@
+import * as React from 'react';
+import { I18nManager } from 'react-native';
+
+import { render } from '@testing-library/react-native';
+
+import Text from '../../components/Typography/Text';
+import { MD3LightTheme } from '../../styles/themes';
+import { DirectionProvider, getDirection } from '../direction';
+import PaperProvider from '../Provider';
+
+const mockRTL = () =>
+  jest
+    .spyOn(I18nManager, 'getConstants')
+    .mockReturnValue({ ...I18nManager.getConstants(), isRTL: true });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getDirection', () => {
+  it('should follow I18nManager if direction is not set', () => {
+    expect(getDirection(MD3LightTheme)).toBe('ltr');
+
+    mockRTL();
+
+    expect(getDirection(MD3LightTheme)).toBe('rtl');
+  });
+
+  it('should return the direction of the theme', () => {
+    mockRTL();
+
+    expect(getDirection({ ...MD3LightTheme, direction: 'ltr' })).toBe('ltr');
+  });
+});
+
+describe('DirectionProvider', () => {
+  it('should force the direction of the subtree', () => {
+    mockRTL();
+
+    const { getByTestId } = render(
+      <PaperProvider>
+        <Text testID="rtl-text">RTL</Text>
+        <DirectionProvider direction="ltr" testID="ltr-subtree">
+          <Text testID="ltr-text">+1 555 0100</Text>
+        </DirectionProvider>
+      </PaperProvider>
+    );
+
+    expect(getByTestId('rtl-text')).toHaveStyle({ writingDirection: 'rtl' });
+    expect(getByTestId('ltr-text')).toHaveStyle({ writingDirection: 'ltr' });
+    expect(getByTestId('ltr-subtree')).toHaveStyle({ direction: 'ltr' });
+  });
+
+  it('should keep the rest of the theme', () => {
+    const { getByTestId } = render(
+      <PaperProvider theme={{ colors: { onSurface: 'red' } }}>
+        <DirectionProvider direction="rtl">
+          <Text testID="text">Text</Text>
+        </DirectionProvider>
+      </PaperProvider>
+    );
+
+    expect(getByTestId('text')).toHaveStyle({
+      color: 'red',
+      writingDirection: 'rtl',
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import * as React from 'react';
+import { Text } from 'react-native';
+
+import { render } from '@testing-library/react-native';
+
+import IconButton from '../../components/IconButton/IconButton';
+import MaterialCommunityIcon from '../../components/MaterialCommunityIcon';
+import { resolveIcon } from '../icons';
+import PaperProvider from '../Provider';
+
+const BrandIcon = ({ name, color }) => (
+  <Text testID={`brand-${name}`} style={{ color }}>
+    {name}
+  </Text>
+);
+
+const brandIcons = ['logo', 'wordmark'];
+
+const settings = {
+  icon: MaterialCommunityIcon,
+  iconSets: {
+    brand: {
+      render: BrandIcon,
+      hasIcon: (name) => brandIcons.includes(name),
+    },
+    simple: BrandIcon,
+  },
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveIcon', () => {
+  it('should render names without a prefix with the default renderer', () => {
+    expect(resolveIcon(settings, 'home')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'home',
+    });
+  });
+
+  it('should render prefixed names with their icon set', () => {
+    expect(resolveIcon(settings, 'brand:logo')).toEqual({
+      render: BrandIcon,
+      name: 'logo',
+    });
+    expect(resolveIcon(settings, 'simple:anything')).toEqual({
+      render: BrandIcon,
+      name: 'anything',
+    });
+    expect(resolveIcon(settings, 'mdi:home')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'home',
+    });
+  });
+
+  it('should use the fallback for missing icons', () => {
+    const withFallback = { ...settings, iconFallback: 'mdi:help-circle' };
+
+    expect(resolveIcon(withFallback, 'brand:missing-logo')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'help-circle',
+    });
+    expect(resolveIcon(withFallback, 'unknown:logo')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'help-circle',
+    });
+    expect(resolveIcon(withFallback, 'not-an-mdi-icon')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'help-circle',
+    });
+  });
+
+  it('should render missing icons with their set without a fallback', () => {
+    expect(resolveIcon(settings, 'brand:missing-icon')).toEqual({
+      render: BrandIcon,
+      name: 'missing-icon',
+    });
+  });
+
+  it('should pass names with an unknown prefix to the default renderer without a fallback', () => {
+    const renderIcon = jest.fn();
+
+    expect(resolveIcon({ icon: renderIcon }, 'custom:icon')).toEqual({
+      render: renderIcon,
+      name: 'custom:icon',
+    });
+    expect(resolveIcon(settings, 'unknown:icon')).toEqual({
+      render: MaterialCommunityIcon,
+      name: 'unknown:icon',
+    });
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      'Icon "unknown:icon" doesn\'t exist in MaterialCommunityIcons.'
+    );
+  });
+
+  it('should warn once about unknown icons', () => {
+    const withFallback = { ...settings, iconFallback: 'mdi:help-circle' };
+
+    resolveIcon(withFallback, 'unknown:warned-icon');
+    resolveIcon(withFallback, 'unknown:warned-icon');
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      'Icon set "unknown" of the icon "unknown:warned-icon" isn\'t registered in the "iconSets" setting.'
+    );
+  });
+});
+
+it('renders prefixed icons in the components', () => {
+  const { getByTestId } = render(
+    <PaperProvider settings={{ iconSets: settings.iconSets }}>
+      <IconButton icon="brand:logo" iconColor="red" />
+    </PaperProvider>
+  );
+
+  expect(getByTestId('brand-logo')).toHaveStyle({ color: 'red' });
+});
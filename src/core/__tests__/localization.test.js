@@ -0,0 +1,83 @@
+import * as React from 'react';
+import { View } from 'react-native';
+
+import { render } from '@testing-library/react-native';
+
+import Chip from '../../components/Chip/Chip';
+import DataTable from '../../components/DataTable/DataTable';
+import Menu from '../../components/Menu/Menu';
+import Searchbar from '../../components/Searchbar';
+import { defaultStrings, formatString, getString } from '../localization';
+import PaperProvider from '../Provider';
+
+const strings = {
+  chipClose: 'Schließen',
+  dataTablePaginationPage: 'Seite {page} von {numberOfPages}',
+  menuOverlay: 'Menü schließen',
+  searchbarClear: 'Löschen',
+};
+
+describe('formatString', () => {
+  it('should replace the placeholders with the values', () => {
+    expect(formatString('Page {page} of {numberOfPages}', { page: 2 })).toBe(
+      'Page 2 of {numberOfPages}'
+    );
+    expect(formatString('{page} / {page}', { page: 1, numberOfPages: 3 })).toBe(
+      '1 / 1'
+    );
+  });
+});
+
+describe('getString', () => {
+  it('should fall back to the English strings', () => {
+    expect(getString(undefined, 'menuOverlay')).toBe(
+      defaultStrings.menuOverlay
+    );
+    expect(getString(strings, 'searchbarSearch')).toBe('search');
+    expect(getString(strings, 'searchbarClear')).toBe('Löschen');
+  });
+});
+
+describe('strings setting', () => {
+  it('should translate the built-in strings', () => {
+    const { getByLabelText } = render(
+      <PaperProvider settings={{ strings }}>
+        <Searchbar value="" />
+        <Chip onClose={() => {}}>Chip</Chip>
+        <DataTable.Pagination
+          page={1}
+          numberOfPages={3}
+          onPageChange={() => {}}
+        />
+      </PaperProvider>
+    );
+
+    expect(getByLabelText('Löschen')).toBeTruthy();
+    expect(getByLabelText('search')).toBeTruthy();
+    expect(getByLabelText('Schließen')).toBeTruthy();
+    expect(getByLabelText('Seite 2 von 3')).toBeTruthy();
+  });
+
+  it('should translate the strings of class components', () => {
+    const { getByLabelText } = render(
+      <PaperProvider settings={{ strings }}>
+        <Menu visible anchor={{ x: 0, y: 0 }} onDismiss={() => {}}>
+          <View />
+        </Menu>
+      </PaperProvider>
+    );
+
+    expect(getByLabelText('Menü schließen')).toBeTruthy();
+  });
+
+  it('should prefer the strings passed as props', () => {
+    const { getByLabelText, queryByLabelText } = render(
+      <PaperProvider settings={{ strings }}>
+        <Searchbar value="" clearAccessibilityLabel="Leeren" />
+      </PaperProvider>
+    );
+
+    expect(getByLabelText('Leeren')).toBeTruthy();
+    expect(queryByLabelText('Löschen')).toBeNull();
+  });
+});
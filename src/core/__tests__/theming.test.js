@@ -1,5 +1,12 @@
+import color from 'color';
+
 import { MD3DarkTheme, MD3LightTheme } from '../../styles/themes';
-import { adaptNavigationTheme } from '../theming';
+import {
+  adaptNavigationTheme,
+  createMD3Theme,
+  getDynamicThemeElevations,
+  themeFromAndroidColors,
+} from '../theming';
 
 const NavigationLightTheme = {
   dark: false,
@@ -199,3 +206,167 @@ describe('adaptNavigationTheme', () => {
     });
   });
 });
+
+describe('createMD3Theme', () => {
+  it('should define every color role of the default theme', () => {
+    const theme = createMD3Theme({ seedColor: '#006A6A' });
+
+    expect(Object.keys(theme.colors).sort()).toEqual(
+      Object.keys(MD3LightTheme.colors).sort()
+    );
+    expect(Object.keys(theme.colors.elevation)).toEqual(
+      Object.keys(MD3LightTheme.colors.elevation)
+    );
+    Object.values(theme.colors)
+      .filter((value) => typeof value === 'string')
+      .forEach((value) => expect(() => color(value)).not.toThrow());
+  });
+
+  it('should keep the hue of the seed color in the primary role', () => {
+    const seedColor = '#006A6A';
+    const theme = createMD3Theme({ seedColor });
+
+    const [, , seedHue] = color(seedColor).lch().array();
+    const [, , primaryHue] = color(theme.colors.primary).lch().array();
+
+    expect(Math.abs(seedHue - primaryHue)).toBeLessThan(5);
+  });
+
+  it('should return light theme by default', () => {
+    const theme = createMD3Theme({ seedColor: 'orange' });
+
+    expect(theme.dark).toBe(false);
+    expect(theme.version).toBe(3);
+    expect(theme.fonts).toBe(MD3LightTheme.fonts);
+    expect(color(theme.colors.background).isLight()).toBe(true);
+    expect(color(theme.colors.onBackground).isDark()).toBe(true);
+  });
+
+  it('should return dark theme', () => {
+    const theme = createMD3Theme({ seedColor: 'orange', dark: true });
+
+    expect(theme.dark).toBe(true);
+    expect(theme.mode).toBe(MD3DarkTheme.mode);
+    expect(color(theme.colors.background).isDark()).toBe(true);
+    expect(color(theme.colors.onBackground).isLight()).toBe(true);
+  });
+
+  it('should generate tones with increasing lightness', () => {
+    const { colors } = createMD3Theme({ seedColor: '#6750A4' });
+
+    const lightness = [
+      colors.onPrimaryContainer,
+      colors.primary,
+      colors.inversePrimary,
+      colors.primaryContainer,
+      colors.onPrimary,
+    ].map((value) => color(value).lab().l());
+
+    expect(lightness).toEqual([...lightness].sort((a, b) => a - b));
+  });
+
+  it('should use baseline error colors', () => {
+    const { colors } = createMD3Theme({ seedColor: 'green' });
+
+    expect(colors.error).toBe(MD3LightTheme.colors.error);
+    expect(colors.errorContainer).toBe(MD3LightTheme.colors.errorContainer);
+  });
+
+  it('should tint elevation levels with the primary color', () => {
+    const { colors } = createMD3Theme({ seedColor: 'green' });
+
+    expect(colors.elevation.level0).toBe('transparent');
+    expect(colors.elevation.level5).toBe(
+      color(colors.surface).mix(color(colors.primary), 0.14).rgb().string()
+    );
+  });
+});
+
+describe('themeFromAndroidColors', () => {
+  const toAndroidColor = (value) => {
+    const [r, g, b] = color(value).rgb().array();
+    // Android passes colors as signed 32-bit integers
+    return (0xff << 24) | (r << 16) | (g << 8) | b | 0;
+  };
+
+  const androidRoles = [
+    'primary',
+    'primaryContainer',
+    'secondary',
+    'secondaryContainer',
+    'tertiary',
+    'tertiaryContainer',
+    'surface',
+    'surfaceVariant',
+    'background',
+    'error',
+    'errorContainer',
+    'onPrimary',
+    'onPrimaryContainer',
+    'onSecondary',
+    'onSecondaryContainer',
+    'onTertiary',
+    'onTertiaryContainer',
+    'onSurface',
+    'onSurfaceVariant',
+    'onError',
+    'onErrorContainer',
+    'onBackground',
+    'outline',
+    'outlineVariant',
+    'inverseSurface',
+    'inverseOnSurface',
+    'inversePrimary',
+    'shadow',
+    'scrim',
+  ];
+
+  const getAndroidScheme = (theme) =>
+    Object.fromEntries(
+      androidRoles.map((role) => [role, toAndroidColor(theme.colors[role])])
+    );
+
+  it('should convert integer colors to color strings', () => {
+    const theme = themeFromAndroidColors(getAndroidScheme(MD3LightTheme));
+
+    androidRoles.forEach((role) => {
+      expect(theme.colors[role]).toBe(
+        color(MD3LightTheme.colors[role]).rgb().string()
+      );
+    });
+  });
+
+  it('should respect the alpha channel', () => {
+    const scheme = {
+      ...getAndroidScheme(MD3LightTheme),
+      scrim: 0x80000000 | 0,
+    };
+
+    expect(themeFromAndroidColors(scheme).colors.scrim).toBe(
+      'rgba(0, 0, 0, 0.5)'
+    );
+  });
+
+  it('should fill in the roles missing from the scheme', () => {
+    const theme = themeFromAndroidColors(getAndroidScheme(MD3LightTheme));
+
+    expect(Object.keys(theme.colors).sort()).toEqual(
+      Object.keys(MD3LightTheme.colors).sort()
+    );
+    expect(theme.colors.surfaceDisabled).toBe(
+      color(MD3LightTheme.colors.onSurface).alpha(0.12).rgb().string()
+    );
+    expect(theme.colors.onSurfaceDisabled).toBe(
+      color(MD3LightTheme.colors.onSurface).alpha(0.38).rgb().string()
+    );
+    expect(color(theme.colors.backdrop).alpha()).toBe(0.4);
+  });
+
+  it('should attach computed elevations', () => {
+    const scheme = getAndroidScheme(MD3DarkTheme);
+    const theme = themeFromAndroidColors(scheme, { dark: true });
+
+    expect(theme.dark).toBe(true);
+    expect(theme.colors.elevation).toEqual(getDynamicThemeElevations(scheme));
+  });
+});
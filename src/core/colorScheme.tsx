@@ -0,0 +1,21 @@
+import * as React from 'react';
+
+export type ColorSchemeSetting = 'light' | 'dark' | 'system';
+
+type ColorSchemeContextType = {
+  /**
+   * Color scheme chosen in the app. `system` follows the device settings.
+   */
+  colorScheme: ColorSchemeSetting;
+  /**
+   * Switches the color scheme of the closest `Provider`.
+   */
+  setColorScheme: (colorScheme: ColorSchemeSetting) => void;
+};
+
+export const ColorSchemeContext = React.createContext<ColorSchemeContextType>({
+  colorScheme: 'system',
+  setColorScheme: () => {},
+});
+
+export const useColorScheme = () => React.useContext(ColorSchemeContext);
@@ -0,0 +1,31 @@
+import type { InternalTheme, ThemeComponents } from '../types';
+
+/**
+ * Merges `defaultProps` and `styleOverrides` from `theme.components` with the props passed to the component.
+ * Passed props take precedence over the default ones, passed styles are applied after the overrides.
+ */
+export const applyComponentDefaults = <Props extends { theme: InternalTheme }>(
+  name: keyof ThemeComponents,
+  props: Props
+): Props => {
+  const componentDefaults = props.theme.components?.[name];
+
+  if (!componentDefaults) {
+    return props;
+  }
+
+  const { defaultProps, styleOverrides } = componentDefaults;
+  const mergedProps: Record<string, unknown> = { ...defaultProps };
+
+  Object.entries(props).forEach(([key, value]) => {
+    if (value !== undefined) {
+      mergedProps[key] = value;
+    }
+  });
+
+  Object.entries(styleOverrides || {}).forEach(([key, style]) => {
+    mergedProps[key] = mergedProps[key] ? [style, mergedProps[key]] : style;
+  });
+
+  return mergedProps as Props;
+};
@@ -0,0 +1,58 @@
+import * as React from 'react';
+import { I18nManager, View, ViewProps } from 'react-native';
+
+import type { InternalTheme, ThemeDirection } from '../types';
+import { ThemeProvider, useInternalTheme } from './theming';
+
+/**
+ * Returns the layout direction of the theme, following `I18nManager` when it isn't set.
+ */
+export const getDirection = (theme: InternalTheme): ThemeDirection =>
+  theme.direction ?? (I18nManager.getConstants().isRTL ? 'rtl' : 'ltr');
+
+export type DirectionProviderProps = ViewProps & {
+  /**
+   * Layout direction of the subtree.
+   */
+  direction: ThemeDirection;
+  children: React.ReactNode;
+};
+
+/**
+ * Forces the layout direction of the subtree, regardless of the direction of the app.
+ * Children are wrapped in a `View` with the `direction` style, which receives the rest of the props,
+ * and the components inside read the direction from the theme.
+ *
+ * ## Usage
+ * ```js
+ * import * as React from 'react';
+ * import { DirectionProvider, Text } from 'react-native-paper';
+ *
+ * const PhoneNumber = ({ number }) => (
+ *   <DirectionProvider direction="ltr">
+ *     <Text>{number}</Text>
+ *   </DirectionProvider>
+ * );
+ * ```
+ */
+export const DirectionProvider = ({
+  direction,
+  children,
+  style,
+  ...rest
+}: DirectionProviderProps) => {
+  const theme = useInternalTheme();
+  const directionTheme = React.useMemo(
+    () => ({ ...theme, direction }),
+    [theme, direction]
+  );
+
+  return (
+    // @ts-expect-error check @callstack/react-theme-provider's children prop
+    <ThemeProvider theme={directionTheme}>
+      <View style={[{ direction }, style]} {...rest}>
+        {children}
+      </View>
+    </ThemeProvider>
+  );
+};
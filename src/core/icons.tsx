@@ -0,0 +1,107 @@
+import MaterialCommunityIcon, {
+  hasMaterialCommunityIcon,
+} from '../components/MaterialCommunityIcon';
+import type { IconRenderer, IconSet, Settings } from './settings';
+
+const PREFIX_SEPARATOR = ':';
+
+const builtInIconSets: Record<string, IconSet> = {
+  mdi: { render: MaterialCommunityIcon, hasIcon: hasMaterialCommunityIcon },
+};
+
+// Icons are rendered often, so every unknown icon is reported only once
+const reportedIcons = new Set<string>();
+
+const warnOnce = (name: string, message: string) => {
+  if (__DEV__ && !reportedIcons.has(name)) {
+    reportedIcons.add(name);
+    console.warn(message);
+  }
+};
+
+type IconSettings = Pick<Settings, 'icon' | 'iconSets' | 'iconFallback'>;
+
+type ResolvedIcon = {
+  render: IconRenderer;
+  /**
+   * Name of the icon without the prefix.
+   */
+  name: string;
+};
+
+const lookupIcon = (
+  { icon, iconSets, iconFallback }: IconSettings,
+  name: string
+): Partial<ResolvedIcon> & { error?: string } => {
+  const separatorIndex = name.indexOf(PREFIX_SEPARATOR);
+  const prefix = name.slice(0, separatorIndex);
+  const iconSet =
+    separatorIndex === -1
+      ? undefined
+      : { ...builtInIconSets, ...iconSets }[prefix];
+
+  if (separatorIndex !== -1 && !iconSet && iconFallback) {
+    return {
+      name: name.slice(separatorIndex + 1),
+      error: `Icon set "${prefix}" of the icon "${name}" isn't registered in the "iconSets" setting.`,
+    };
+  }
+
+  if (!iconSet) {
+    // Without a fallback, names with an unknown prefix are passed as is,
+    // since custom renderers may use colons in their names.
+    // Custom renderers don't tell which icons they have.
+    const isMissing =
+      icon === MaterialCommunityIcon && !hasMaterialCommunityIcon(name);
+
+    return {
+      render: icon,
+      name,
+      error: isMissing
+        ? `Icon "${name}" doesn't exist in MaterialCommunityIcons.`
+        : undefined,
+    };
+  }
+
+  const glyph = name.slice(separatorIndex + 1);
+  const { render, hasIcon } =
+    typeof iconSet === 'function'
+      ? { render: iconSet, hasIcon: undefined }
+      : iconSet;
+
+  return {
+    render,
+    name: glyph,
+    error:
+      hasIcon && !hasIcon(glyph)
+        ? `Icon "${glyph}" doesn't exist in the icon set "${prefix}".`
+        : undefined,
+  };
+};
+
+/**
+ * Resolves the icon name, optionally prefixed with the key of an icon set, e.g. `brand:logo`.
+ * Unknown icons are reported in development and replaced with `iconFallback` if it's set.
+ * Without a fallback, icons missing in a known set are still passed to it,
+ * and names with an unknown prefix are passed to the `icon` renderer unchanged.
+ */
+export const resolveIcon = (
+  settings: IconSettings,
+  name: string
+): ResolvedIcon | null => {
+  const { render, name: glyph = name, error } = lookupIcon(settings, name);
+
+  if (error) {
+    warnOnce(name, error);
+
+    const fallback = settings.iconFallback
+      ? lookupIcon(settings, settings.iconFallback)
+      : undefined;
+
+    if (fallback?.render && fallback.name && !fallback.error) {
+      return { render: fallback.render, name: fallback.name };
+    }
+  }
+
+  return render ? { render, name: glyph } : null;
+};
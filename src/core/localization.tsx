@@ -0,0 +1,119 @@
+import * as React from 'react';
+
+import { SettingsContext } from './settings';
+
+/**
+ * Built-in strings of the components, mostly accessibility labels.
+ * Values in `{curly braces}` are replaced with the values passed by the component.
+ */
+export type Strings = {
+  /**
+   * Accessibility label of `Appbar.BackAction`.
+   */
+  appbarBackAction: string;
+  /**
+   * Accessibility label of the close icon of `Chip`.
+   */
+  chipClose: string;
+  /**
+   * Accessibility labels of the `DataTable.Pagination` buttons.
+   */
+  dataTablePaginationFirstPage: string;
+  dataTablePaginationPreviousPage: string;
+  dataTablePaginationNextPage: string;
+  dataTablePaginationLastPage: string;
+  /**
+   * Accessibility label of the `DataTable.Pagination` rows per page select.
+   */
+  dataTablePaginationOptionsSelect: string;
+  /**
+   * Accessibility label of `DataTable.Pagination` without `label`, receives `page` (starting with 1) and `numberOfPages`.
+   */
+  dataTablePaginationPage: string;
+  /**
+   * Accessibility labels of the header and row checkboxes of a selectable `DataTable`.
+   */
+  dataTableSelectAll: string;
+  dataTableSelectRow: string;
+  /**
+   * Accessibility labels of the button expanding and collapsing `DataTable.Row`.
+   */
+  dataTableExpandRow: string;
+  dataTableCollapseRow: string;
+  /**
+   * Accessibility labels of the buttons committing and cancelling an edited `DataTable` cell.
+   */
+  dataTableEditCommit: string;
+  dataTableEditCancel: string;
+  /**
+   * Error of an edited numeric `DataTable` cell which is empty or not a number.
+   */
+  dataTableEditInvalidNumber: string;
+  /**
+   * Accessibility label of the overlay closing `Menu`.
+   */
+  menuOverlay: string;
+  /**
+   * Accessibility label of the overlay closing `Modal`.
+   */
+  modalOverlay: string;
+  /**
+   * Accessibility labels of the `Searchbar` clear and search icons.
+   */
+  searchbarClear: string;
+  searchbarSearch: string;
+};
+
+export const defaultStrings: Strings = {
+  appbarBackAction: 'Back',
+  chipClose: 'Close',
+  dataTablePaginationFirstPage: 'page-first',
+  dataTablePaginationPreviousPage: 'chevron-left',
+  dataTablePaginationNextPage: 'chevron-right',
+  dataTablePaginationLastPage: 'page-last',
+  dataTablePaginationOptionsSelect: 'Options Select',
+  dataTablePaginationPage: 'Page {page} of {numberOfPages}',
+  dataTableSelectAll: 'Select all rows',
+  dataTableSelectRow: 'Select row',
+  dataTableExpandRow: 'Expand row',
+  dataTableCollapseRow: 'Collapse row',
+  dataTableEditCommit: 'Save',
+  dataTableEditCancel: 'Cancel',
+  dataTableEditInvalidNumber: 'Enter a number',
+  menuOverlay: 'Close menu',
+  modalOverlay: 'Close modal',
+  searchbarClear: 'clear',
+  searchbarSearch: 'search',
+};
+
+export type StringValues = Record<string, string | number>;
+
+/**
+ * Replaces `{name}` placeholders of the string with the values, unknown placeholders are kept.
+ */
+export const formatString = (value: string, values: StringValues = {}) =>
+  value.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+    name in values ? `${values[name]}` : placeholder
+  );
+
+/**
+ * Returns the string from the Provider `strings` setting, falling back to the English default.
+ */
+export const getString = (
+  strings: Partial<Strings> | undefined,
+  key: keyof Strings,
+  values?: StringValues
+) => formatString(strings?.[key] ?? defaultStrings[key], values);
+
+/**
+ * Returns a function looking up the built-in strings from the Provider settings.
+ */
+export const useStrings = () => {
+  const { strings } = React.useContext(SettingsContext);
+
+  return React.useCallback(
+    (key: keyof Strings, values?: StringValues) =>
+      getString(strings, key, values),
+    [strings]
+  );
+};
@@ -3,11 +3,53 @@ import * as React from 'react';
 import MaterialCommunityIcon, {
   IconProps,
 } from '../components/MaterialCommunityIcon';
+import type { Strings } from './localization';
+
+export type IconRenderer = ({
+  name,
+  color,
+  size,
+  direction,
+}: IconProps) => React.ReactNode;
+
+export type IconSet =
+  | IconRenderer
+  | {
+      render: IconRenderer;
+      /**
+       * Checks if the set has the icon, missing icons are replaced with `iconFallback`.
+       */
+      hasIcon?: (name: string) => boolean;
+    };
 
 export type Settings = {
-  icon: ({ name, color, size, direction }: IconProps) => React.ReactNode;
+  /**
+   * Renders the icon names without a prefix.
+   */
+  icon: IconRenderer;
+  /**
+   * Icon sets rendering the icon names prefixed with their key, e.g. `brand:logo` for the `brand` set.
+   * `mdi` is always available and renders `MaterialCommunityIcons`.
+   */
+  iconSets?: Record<string, IconSet>;
+  /**
+   * Icon name, prefixed or not, rendered instead of the icons missing in their set or with an unknown prefix.
+   */
+  iconFallback?: string;
+  /**
+   * Duration of the cross-fade between the old and the new colors when the theme changes.
+   * Theme changes are applied instantly by default.
+   */
+  themeTransitionDuration?: number;
+  /**
+   * Translations of the built-in strings of the components, e.g. accessibility labels.
+   * Missing strings fall back to English. Strings passed as props to the components take precedence.
+   */
+  strings?: Partial<Strings>;
 };
 
-export const { Provider, Consumer } = React.createContext<Settings>({
+export const SettingsContext = React.createContext<Settings>({
   icon: MaterialCommunityIcon,
 });
+
+export const { Provider, Consumer } = SettingsContext;
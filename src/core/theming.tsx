@@ -7,12 +7,19 @@ import {
   MD2DarkTheme,
   MD2LightTheme,
   MD3DarkTheme,
+  MD3HighContrastDarkTheme,
+  MD3HighContrastLightTheme,
   MD3LightTheme,
 } from '../styles/themes';
+import { createMD3Palette } from '../styles/themes/v3/palette';
+import { tokens } from '../styles/themes/v3/tokens';
 import type {
   InternalTheme,
   MD3Theme,
   MD3AndroidColors,
+  MD3Colors,
+  MD3ElevationColors,
+  MD3Palette,
   NavigationTheme,
 } from '../types';
 
@@ -47,6 +54,11 @@ export const defaultThemesByVersion = {
   },
 };
 
+export const highContrastThemes = {
+  light: MD3HighContrastLightTheme,
+  dark: MD3HighContrastDarkTheme,
+};
+
 export const getTheme = (isDark = false, isV3 = true) => {
   const themeVersion = isV3 ? 3 : 2;
   const scheme = isDark ? 'dark' : 'light';
@@ -145,7 +157,10 @@ export function adaptNavigationTheme(themes: any) {
   };
 }
 
-export const getDynamicThemeElevations = (scheme: MD3AndroidColors) => {
+const getElevations = (
+  surface: string | number,
+  primary: string | number
+): MD3ElevationColors => {
   const elevationValues = ['transparent', 0.05, 0.08, 0.11, 0.12, 0.14];
   return elevationValues.reduce((elevations, elevationValue, index) => {
     return {
@@ -153,10 +168,168 @@ export const getDynamicThemeElevations = (scheme: MD3AndroidColors) => {
       [`level${index}`]:
         index === 0
           ? elevationValue
-          : color(scheme.surface)
-              .mix(color(scheme.primary), elevationValue as number)
+          : color(surface)
+              .mix(color(primary), elevationValue as number)
               .rgb()
               .string(),
     };
-  }, {});
+  }, {} as MD3ElevationColors);
+};
+
+export const getDynamicThemeElevations = (scheme: MD3AndroidColors) =>
+  getElevations(scheme.surface, scheme.primary);
+
+const androidColorToString = (value: number) => {
+  // Android colors are signed 32-bit integers in ARGB order
+  const argb = value >>> 0;
+
+  return color
+    .rgb((argb >>> 16) & 0xff, (argb >>> 8) & 0xff, argb & 0xff)
+    .alpha(Math.round((((argb >>> 24) & 0xff) / 255) * 100) / 100)
+    .rgb()
+    .string();
+};
+
+/**
+ * Creates a complete MD3 theme from the integer color scheme provided by Android (e.g. dynamic colors).
+ * Roles missing from the Android scheme are derived from the existing ones.
+ */
+export const themeFromAndroidColors = (
+  scheme: MD3AndroidColors,
+  { dark = false }: { dark?: boolean } = {}
+): MD3Theme => {
+  const { opacity } = tokens.md.ref;
+  const baseTheme = dark ? MD3DarkTheme : MD3LightTheme;
+
+  const roles = Object.fromEntries(
+    Object.entries(scheme).map(([role, value]) => [
+      role,
+      androidColorToString(value),
+    ])
+  ) as { [key in keyof MD3AndroidColors]: string };
+
+  // Neutral variant tone 20 is not a part of the scheme,
+  // so it's derived from the neutral variant tone 30 used by the scheme
+  const [, chroma, hue] = color(
+    dark ? roles.outlineVariant : roles.onSurfaceVariant
+  )
+    .lch()
+    .array();
+
+  return {
+    ...baseTheme,
+    colors: {
+      ...roles,
+      surfaceDisabled: color(roles.onSurface)
+        .alpha(opacity.level2)
+        .rgb()
+        .string(),
+      onSurfaceDisabled: color(roles.onSurface)
+        .alpha(opacity.level4)
+        .rgb()
+        .string(),
+      backdrop: color.lch(20, chroma, hue).alpha(0.4).rgb().string(),
+      elevation: getElevations(roles.surface, roles.primary),
+    },
+  };
+};
+
+const getMD3Colors = (palette: MD3Palette, dark: boolean): MD3Colors => {
+  const { opacity } = tokens.md.ref;
+
+  const roles = dark
+    ? {
+        primary: palette.primary80,
+        primaryContainer: palette.primary30,
+        secondary: palette.secondary80,
+        secondaryContainer: palette.secondary30,
+        tertiary: palette.tertiary80,
+        tertiaryContainer: palette.tertiary30,
+        surface: palette.neutral10,
+        surfaceVariant: palette.neutralVariant30,
+        background: palette.neutral10,
+        error: palette.error80,
+        errorContainer: palette.error30,
+        onPrimary: palette.primary20,
+        onPrimaryContainer: palette.primary90,
+        onSecondary: palette.secondary20,
+        onSecondaryContainer: palette.secondary90,
+        onTertiary: palette.tertiary20,
+        onTertiaryContainer: palette.tertiary90,
+        onSurface: palette.neutral90,
+        onSurfaceVariant: palette.neutralVariant80,
+        onError: palette.error20,
+        onErrorContainer: palette.error80,
+        onBackground: palette.neutral90,
+        outline: palette.neutralVariant60,
+        outlineVariant: palette.neutralVariant30,
+        inverseSurface: palette.neutral90,
+        inverseOnSurface: palette.neutral20,
+        inversePrimary: palette.primary40,
+      }
+    : {
+        primary: palette.primary40,
+        primaryContainer: palette.primary90,
+        secondary: palette.secondary40,
+        secondaryContainer: palette.secondary90,
+        tertiary: palette.tertiary40,
+        tertiaryContainer: palette.tertiary90,
+        surface: palette.neutral99,
+        surfaceVariant: palette.neutralVariant90,
+        background: palette.neutral99,
+        error: palette.error40,
+        errorContainer: palette.error90,
+        onPrimary: palette.primary100,
+        onPrimaryContainer: palette.primary10,
+        onSecondary: palette.secondary100,
+        onSecondaryContainer: palette.secondary10,
+        onTertiary: palette.tertiary100,
+        onTertiaryContainer: palette.tertiary10,
+        onSurface: palette.neutral10,
+        onSurfaceVariant: palette.neutralVariant30,
+        onError: palette.error100,
+        onErrorContainer: palette.error10,
+        onBackground: palette.neutral10,
+        outline: palette.neutralVariant50,
+        outlineVariant: palette.neutralVariant80,
+        inverseSurface: palette.neutral20,
+        inverseOnSurface: palette.neutral95,
+        inversePrimary: palette.primary80,
+      };
+
+  return {
+    ...roles,
+    surfaceDisabled: color(roles.onSurface)
+      .alpha(opacity.level2)
+      .rgb()
+      .string(),
+    onSurfaceDisabled: color(roles.onSurface)
+      .alpha(opacity.level4)
+      .rgb()
+      .string(),
+    shadow: palette.neutral0,
+    scrim: palette.neutral0,
+    backdrop: color(palette.neutralVariant20).alpha(0.4).rgb().string(),
+    elevation: getElevations(roles.surface, roles.primary),
+  };
+};
+
+/**
+ * Creates a complete MD3 theme from a single seed color.
+ * Tonal palettes for all key colors are derived from the seed color and mapped
+ * onto the color roles of the light or dark scheme.
+ */
+export const createMD3Theme = ({
+  seedColor,
+  dark = false,
+}: {
+  seedColor: string;
+  dark?: boolean;
+}): MD3Theme => {
+  const baseTheme = dark ? MD3DarkTheme : MD3LightTheme;
+
+  return {
+    ...baseTheme,
+    colors: getMD3Colors(createMD3Palette(seedColor), dark),
+  };
 };
@@ -1,4 +1,9 @@
-export { MD3Colors } from './styles/themes/v3/tokens';
+export {
+  MD3Colors,
+  shape as MD3Shapes,
+  motion as MD3Motion,
+  elevation as MD3Shadows,
+} from './styles/themes/v3/tokens';
 
 export {
   useTheme,
@@ -6,14 +11,35 @@ export {
   ThemeProvider,
   DefaultTheme,
   adaptNavigationTheme,
+  createMD3Theme,
+  themeFromAndroidColors,
 } from './core/theming';
 
 export * from './styles/themes';
 
 export { default as Provider } from './core/Provider';
-export { default as shadow } from './styles/shadow';
+export { useColorScheme } from './core/colorScheme';
+export { DirectionProvider, getDirection } from './core/direction';
+export { defaultStrings, useStrings } from './core/localization';
+export {
+  default as shadow,
+  getShadowLevel,
+  getShadowLayerStyle,
+  getAndroidElevation,
+  getBoxShadowStyle,
+} from './styles/shadow';
 export { default as overlay } from './styles/overlay';
 export { default as configureFonts } from './styles/fonts';
+export { default as auditThemeContrast } from './styles/contrast';
+export { serializeTheme, parseTheme } from './styles/serialization';
+export { getAnimationDuration, getAnimationEasing } from './styles/motion';
+export { applyDensity, getDensity } from './styles/density';
+export {
+  exportDesignTokens,
+  exportCSSVariables,
+  exportAndroidColors,
+  exportIOSAssetCatalog,
+} from './styles/designTokens';
 
 import * as Avatar from './components/Avatar/Avatar';
 import * as Drawer from './components/Drawer/Drawer';
@@ -63,7 +89,7 @@ export {
   Subheading,
   Title,
 } from './components/Typography/v2';
-export { default as Text } from './components/Typography/Text';
+export { default as Text, createText } from './components/Typography/Text';
 
 // Types
 export type { Props as ActivityIndicatorProps } from './components/ActivityIndicator';
@@ -96,6 +122,11 @@ export type { Props as DataTableHeaderProps } from './components/DataTable/DataT
 export type { Props as DataTablePaginationProps } from './components/DataTable/DataTablePagination';
 export type { Props as DataTableRowProps } from './components/DataTable/DataTableRow';
 export type { Props as DataTableTitleProps } from './components/DataTable/DataTableTitle';
+export type {
+  DataTableColumn,
+  DataTableSortDirection,
+  DataTableSortItem,
+} from './components/DataTable/utils';
 export type { Props as DialogProps } from './components/Dialog/Dialog';
 export type { Props as DialogActionsProps } from './components/Dialog/DialogActions';
 export type { Props as DialogContentProps } from './components/Dialog/DialogContent';
@@ -148,5 +179,37 @@ export type { Props as TextProps } from './components/Typography/Text';
 export type { Props as SegmentedButtonsProps } from './components/SegmentedButtons/SegmentedButtons';
 export type { Props as ListImageProps } from './components/List/ListImage';
 export type { Props as TooltipProps } from './components/Tooltip/Tooltip';
+export type { DirectionProviderProps } from './core/direction';
+export type { Strings } from './core/localization';
+export type { IconRenderer, IconSet, Settings } from './core/settings';
+export type { ContrastAuditResult } from './styles/contrast';
+export type {
+  MD3FontFamilies,
+  FontWeightFamilies,
+  VariableFontFamily,
+} from './styles/fonts';
+export type {
+  ParseThemeResult,
+  ThemeValidationError,
+} from './styles/serialization';
 
-export type { MD2Theme, MD3Theme, ThemeBase, MD3Elevation } from './types';
+export type {
+  MD2Theme,
+  MD3Theme,
+  ThemeBase,
+  MD3Elevation,
+  MD3Palette,
+  ThemeComponents,
+  ComponentDefaults,
+  MD3AndroidColors,
+  MD3DurationToken,
+  MD3EasingToken,
+  MD3Easing,
+  MD3Density,
+  MD3ShadowLayer,
+  MD3ShadowLevel,
+  MD3SurfaceTint,
+  ThemeDirection,
+  VariantProp,
+  TypescaleVariant,
+} from './types';
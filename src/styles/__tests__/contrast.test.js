@@ -0,0 +1,160 @@
+import auditThemeContrast, { getContrastRatio } from '../contrast';
+import {
+  MD2DarkTheme,
+  MD2LightTheme,
+  MD3DarkTheme,
+  MD3HighContrastDarkTheme,
+  MD3HighContrastLightTheme,
+  MD3LightTheme,
+} from '../themes';
+
+const InaccessibleTheme = {
+  ...MD3LightTheme,
+  colors: {
+    ...MD3LightTheme.colors,
+    primary: 'rgb(255, 200, 0)',
+    surfaceVariant: 'rgb(120, 120, 120)',
+  },
+};
+
+describe('getContrastRatio', () => {
+  it('should return maximum ratio for black and white', () => {
+    expect(getContrastRatio('black', 'white')).toBe(21);
+    expect(getContrastRatio('white', 'black')).toBe(21);
+  });
+
+  it('should return minimum ratio for the same colors', () => {
+    expect(getContrastRatio('red', 'red')).toBe(1);
+  });
+
+  it('should blend translucent foreground with the background', () => {
+    expect(getContrastRatio('rgba(0, 0, 0, 0)', 'white')).toBe(1);
+    expect(getContrastRatio('rgba(0, 0, 0, 0.5)', 'white')).toBeLessThan(
+      getContrastRatio('black', 'white')
+    );
+  });
+});
+
+describe('auditThemeContrast', () => {
+  it.each([
+    ['MD3LightTheme', MD3LightTheme],
+    ['MD3DarkTheme', MD3DarkTheme],
+  ])('should pass AA for %s', (_, theme) => {
+    expect(auditThemeContrast(theme).passes).toBe(true);
+  });
+
+  it('should check MD2 color pairs', () => {
+    const { results } = auditThemeContrast(MD2LightTheme);
+
+    expect(results).toContainEqual(
+      expect.objectContaining({ foreground: 'text', background: 'background' })
+    );
+    expect(auditThemeContrast(MD2DarkTheme).results).toHaveLength(
+      results.length
+    );
+  });
+
+  it('should check MD2 onSurface color on the surface', () => {
+    const theme = {
+      ...MD2LightTheme,
+      colors: { ...MD2LightTheme.colors, onSurface: 'rgb(200, 200, 200)' },
+    };
+    const { results } = auditThemeContrast(theme);
+    const { theme: adjustedTheme, passes } = auditThemeContrast(theme, {
+      adjust: true,
+    });
+
+    expect(results).toContainEqual(
+      expect.objectContaining({
+        foreground: 'onSurface',
+        background: 'surface',
+        AA: false,
+      })
+    );
+    expect(passes).toBe(true);
+    expect(adjustedTheme.colors.surface).toBe(theme.colors.surface);
+    expect(adjustedTheme.colors.onSurface).not.toBe(theme.colors.onSurface);
+  });
+
+  it('should report ratio and conformance of every pair', () => {
+    const { results } = auditThemeContrast(MD3LightTheme);
+
+    expect(results).toContainEqual({
+      foreground: 'onPrimary',
+      background: 'primary',
+      ratio: expect.any(Number),
+      AA: true,
+      AAA: expect.any(Boolean),
+    });
+    results.forEach(({ ratio, AA, AAA }) => {
+      expect(ratio).toBeGreaterThanOrEqual(1);
+      expect(ratio).toBeLessThanOrEqual(21);
+      expect(AA).toBe(ratio >= 4.5);
+      expect(AAA).toBe(ratio >= 7);
+    });
+  });
+
+  it('should report failing pairs', () => {
+    const { results, passes } = auditThemeContrast(InaccessibleTheme);
+
+    expect(passes).toBe(false);
+    expect(
+      results
+        .filter(({ AA }) => !AA)
+        .map(({ foreground, background }) => [foreground, background])
+    ).toEqual([
+      ['onPrimary', 'primary'],
+      ['onSurfaceVariant', 'surfaceVariant'],
+    ]);
+  });
+
+  it('should not modify the theme without adjust option', () => {
+    expect(auditThemeContrast(InaccessibleTheme).theme).toBe(InaccessibleTheme);
+  });
+
+  it('should adjust failing tones', () => {
+    const { theme, passes } = auditThemeContrast(InaccessibleTheme, {
+      adjust: true,
+    });
+
+    expect(passes).toBe(true);
+    expect(theme.colors.primary).toBe(InaccessibleTheme.colors.primary);
+    expect(theme.colors.onPrimary).not.toBe(InaccessibleTheme.colors.onPrimary);
+    expect(theme.colors.onSurface).toBe(InaccessibleTheme.colors.onSurface);
+  });
+
+  it('should keep pairs sharing an adjusted color passing', () => {
+    const theme = {
+      ...MD2LightTheme,
+      colors: {
+        ...MD2LightTheme.colors,
+        background: 'rgb(0, 0, 0)',
+        surface: 'rgb(180, 180, 180)',
+        text: 'rgb(120, 120, 120)',
+      },
+    };
+    const { results, passes } = auditThemeContrast(theme, { adjust: true });
+
+    expect(passes).toBe(true);
+    results.forEach(({ AA }) => expect(AA).toBe(true));
+  });
+
+  it('should adjust failing tones to the requested level', () => {
+    const { results, passes } = auditThemeContrast(InaccessibleTheme, {
+      adjust: true,
+      level: 'AAA',
+    });
+
+    expect(passes).toBe(true);
+    results.forEach(({ AAA }) => expect(AAA).toBe(true));
+  });
+
+  it('should pass AAA level for high contrast themes', () => {
+    expect(
+      auditThemeContrast(MD3HighContrastLightTheme, { level: 'AAA' }).passes
+    ).toBe(true);
+    expect(
+      auditThemeContrast(MD3HighContrastDarkTheme, { level: 'AAA' }).passes
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,35 @@
+import { applyDensity, getDensity } from '../density';
+import { MD3LightTheme } from '../themes';
+
+describe('getDensity', () => {
+  it('should return 0 if density is not set', () => {
+    expect(getDensity({ theme: MD3LightTheme })).toBe(0);
+  });
+
+  it('should return the density from the theme', () => {
+    expect(getDensity({ theme: { ...MD3LightTheme, density: -2 } })).toBe(-2);
+  });
+
+  it('should prefer the density prop over the theme one', () => {
+    expect(
+      getDensity({ theme: { ...MD3LightTheme, density: -2 }, density: 0 })
+    ).toBe(0);
+  });
+});
+
+describe('applyDensity', () => {
+  it('should shrink the size by 4 for each density step', () => {
+    expect(applyDensity(48, 0)).toBe(48);
+    expect(applyDensity(48, -1)).toBe(44);
+    expect(applyDensity(48, -3)).toBe(36);
+  });
+
+  it('should use the custom step', () => {
+    expect(applyDensity(8, -2, { step: 2 })).toBe(4);
+  });
+
+  it('should not go below the minimum', () => {
+    expect(applyDensity(4, -3, { step: 2 })).toBe(0);
+    expect(applyDensity(12, -3, { min: 4 })).toBe(4);
+  });
+});
@@ -0,0 +1,215 @@
+import {
+  exportAndroidColors,
+  exportCSSVariables,
+  exportDesignTokens,
+  exportIOSAssetCatalog,
+} from '../designTokens';
+import { MD2LightTheme, MD3LightTheme } from '../themes';
+import { shape as MD3Shapes } from '../themes/v3/tokens';
+
+describe('exportDesignTokens', () => {
+  it('should export colors as color tokens', () => {
+    const { color } = exportDesignTokens(MD3LightTheme);
+
+    expect(color.primary).toEqual({ $type: 'color', $value: '#6750a4' });
+    expect(color.elevation.level0).toEqual({
+      $type: 'color',
+      $value: '#00000000',
+    });
+    expect(color.elevation.level1).toEqual({
+      $type: 'color',
+      $value: '#f7f3f9',
+    });
+    expect(color.backdrop).toEqual({ $type: 'color', $value: '#322f3766' });
+  });
+
+  it('should export fonts as typography tokens', () => {
+    const { typography, roundness } = exportDesignTokens(MD3LightTheme);
+
+    expect(typography.bodyLarge).toEqual({
+      $type: 'typography',
+      $value: {
+        fontFamily: MD3LightTheme.fonts.bodyLarge.fontFamily,
+        fontWeight: '400',
+        fontSize: '16px',
+        lineHeight: '24px',
+        letterSpacing: '0.15px',
+      },
+    });
+    expect(roundness).toEqual({ $type: 'dimension', $value: '4px' });
+  });
+
+  it('should export shapes, motion, elevation and density', () => {
+    const { shape, motion, elevation, density } = exportDesignTokens({
+      ...MD3LightTheme,
+      shapes: MD3Shapes,
+      animation: { ...MD3LightTheme.animation, durations: { short1: 40 } },
+      density: -1,
+    });
+
+    expect(shape.extraSmall).toEqual({ $type: 'dimension', $value: '4px' });
+    expect(shape.full).toEqual({ $type: 'dimension', $value: '9999px' });
+    expect(motion.duration.short1).toEqual({
+      $type: 'duration',
+      $value: '40ms',
+    });
+    expect(motion.duration.medium2).toEqual({
+      $type: 'duration',
+      $value: '300ms',
+    });
+    expect(motion.easing.standard).toEqual({
+      $type: 'cubicBezier',
+      $value: [0.2, 0, 0, 1],
+    });
+    expect(elevation.level1).toEqual({
+      $type: 'shadow',
+      $value: [
+        {
+          color: '#0000004d',
+          offsetX: '0px',
+          offsetY: '1px',
+          blur: '1px',
+          spread: '0px',
+        },
+        {
+          color: '#00000026',
+          offsetX: '0px',
+          offsetY: '1px',
+          blur: '3px',
+          spread: '0px',
+        },
+      ],
+    });
+    expect(density).toEqual({ $type: 'number', $value: -1 });
+  });
+
+  it('should export MD2 theme', () => {
+    const { color, typography, shape, elevation } =
+      exportDesignTokens(MD2LightTheme);
+
+    expect(color.accent).toEqual({ $type: 'color', $value: '#03dac4' });
+    expect(shape).toEqual({});
+    expect(elevation).toEqual({});
+    expect(Object.keys(typography)).toEqual([
+      'regular',
+      'medium',
+      'light',
+      'thin',
+    ]);
+  });
+});
+
+describe('exportCSSVariables', () => {
+  it('should export custom properties', () => {
+    const css = exportCSSVariables({ ...MD3LightTheme, shapes: MD3Shapes });
+
+    expect(css.startsWith(':root {\n')).toBe(true);
+    expect(css).toContain('  --md-sys-color-on-primary-container: #21005d;\n');
+    expect(css).toContain('  --md-sys-color-elevation-level2: #f3edf6;\n');
+    expect(css).toContain('  --md-sys-typescale-body-large-font-size: 16px;\n');
+    expect(css).toContain(
+      '  --md-sys-typescale-label-small-letter-spacing: 0.5px;\n'
+    );
+    expect(css).toContain('  --md-sys-motion-duration-short4: 200ms;\n');
+    expect(css).toContain(
+      '  --md-sys-motion-easing-standard-decelerate: cubic-bezier(0, 0, 0, 1);\n'
+    );
+    expect(css).toContain(
+      '  --md-sys-elevation-level1: 0px 1px 1px rgba(0, 0, 0, 0.3), 0px 1px 3px rgba(0, 0, 0, 0.15);\n'
+    );
+    expect(css).toContain('  --md-sys-density: 0;\n');
+    expect(css).toContain('  --md-sys-shape-corner-extra-large: 28px;\n');
+    expect(css).toContain('  --md-sys-shape-roundness: 4px;\n}\n');
+  });
+
+  it('should only export the shape scale set in the theme', () => {
+    const css = exportCSSVariables(MD3LightTheme);
+
+    expect(css).not.toContain('--md-sys-shape-corner');
+    expect(css).toContain('  --md-sys-shape-roundness: 4px;\n}\n');
+  });
+
+  it('should keep font stacks and quote font families with spaces', () => {
+    const withFontFamily = (fontFamily) => ({
+      ...MD3LightTheme,
+      fonts: {
+        bodyLarge: { ...MD3LightTheme.fonts.bodyLarge, fontFamily },
+      },
+    });
+
+    expect(
+      exportCSSVariables(
+        withFontFamily(
+          // Web typeface of the default theme
+          'Roboto, "Helvetica Neue", Helvetica, Arial, sans-serif'
+        )
+      )
+    ).toContain(
+      '  --md-sys-typescale-body-large-font-family: Roboto, "Helvetica Neue", Helvetica, Arial, sans-serif;\n'
+    );
+    expect(exportCSSVariables(withFontFamily('Open Sans'))).toContain(
+      '  --md-sys-typescale-body-large-font-family: "Open Sans";\n'
+    );
+    expect(exportCSSVariables(withFontFamily('sans-serif'))).toContain(
+      '  --md-sys-typescale-body-large-font-family: sans-serif;\n'
+    );
+  });
+
+  it('should use custom prefix and selector', () => {
+    const css = exportCSSVariables(MD3LightTheme, {
+      prefix: 'brand',
+      selector: '.light',
+    });
+
+    expect(css.startsWith('.light {\n')).toBe(true);
+    expect(css).toContain('  --brand-color-primary: #6750a4;\n');
+  });
+});
+
+describe('exportAndroidColors', () => {
+  it('should export colors.xml resource', () => {
+    const xml = exportAndroidColors(MD3LightTheme);
+
+    expect(
+      xml.startsWith('<?xml version="1.0" encoding="utf-8"?>\n<resources>\n')
+    ).toBe(true);
+    expect(xml).toContain(
+      '    <color name="md_theme_on_primary_container">#FF21005D</color>\n'
+    );
+    expect(xml).toContain(
+      '    <color name="md_theme_elevation_level0">#00000000</color>\n'
+    );
+    expect(xml).toContain(
+      '    <color name="md_theme_backdrop">#66322F37</color>\n'
+    );
+    expect(xml.endsWith('</resources>\n')).toBe(true);
+  });
+});
+
+describe('exportIOSAssetCatalog', () => {
+  it('should export a color set for every color', () => {
+    const files = exportIOSAssetCatalog(MD3LightTheme);
+
+    expect(files['Contents.json']).toEqual({
+      info: { author: 'xcode', version: 1 },
+    });
+    expect(files['elevationLevel3.colorset/Contents.json']).toBeDefined();
+    expect(files['primary.colorset/Contents.json']).toEqual({
+      colors: [
+        {
+          idiom: 'universal',
+          color: {
+            'color-space': 'srgb',
+            components: {
+              red: '0.404',
+              green: '0.314',
+              blue: '0.643',
+              alpha: '1.000',
+            },
+          },
+        },
+      ],
+      info: { author: 'xcode', version: 1 },
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import configureFonts, { fontConfig } from '../fonts';
+import configureFonts, { clampFontScale, fontConfig } from '../fonts';
 import { typescale } from '../themes/v3/tokens';
 
 const mockPlatform = (OS) => {
@@ -23,6 +23,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 64,
     fontSize: 57,
+    maxFontScale: 1.3,
   },
   displayMedium: {
     fontFamily: 'NotoSans',
@@ -30,6 +31,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 52,
     fontSize: 45,
+    maxFontScale: 1.3,
   },
   displaySmall: {
     fontFamily: 'NotoSans',
@@ -37,6 +39,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 44,
     fontSize: 36,
+    maxFontScale: 1.3,
   },
 
   headlineLarge: {
@@ -45,6 +48,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 40,
     fontSize: 32,
+    maxFontScale: 1.5,
   },
   headlineMedium: {
     fontFamily: 'NotoSans',
@@ -52,6 +56,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 36,
     fontSize: 28,
+    maxFontScale: 1.5,
   },
   headlineSmall: {
     fontFamily: 'NotoSans',
@@ -59,6 +64,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 32,
     fontSize: 24,
+    maxFontScale: 1.5,
   },
 
   titleLarge: {
@@ -67,6 +73,7 @@ const customFontV3 = {
     fontWeight: '400',
     lineHeight: 28,
     fontSize: 22,
+    maxFontScale: 1.5,
   },
   titleMedium: {
     fontFamily: 'NotoSans',
@@ -74,6 +81,7 @@ const customFontV3 = {
     fontWeight: '500',
     lineHeight: 24,
     fontSize: 16,
+    maxFontScale: 2,
   },
   titleSmall: {
     fontFamily: 'NotoSans',
@@ -81,6 +89,7 @@ const customFontV3 = {
     letterSpacing: 0,
     lineHeight: 20,
     fontSize: 14,
+    maxFontScale: 2,
   },
 
   labelLarge: {
@@ -228,6 +237,7 @@ describe('configureFonts', () => {
         fontWeight: '400',
         lineHeight: 36,
         fontSize: 30,
+        maxFontScale: 1.5,
       },
     });
   });
@@ -257,3 +267,83 @@ describe('configureFonts', () => {
     });
   });
 });
+
+describe('clampFontScale', () => {
+  it('returns the font scale within the limits of the variant', () => {
+    expect(clampFontScale({ maxFontScale: 1.3 }, 1.2)).toBe(1.2);
+    expect(clampFontScale({ maxFontScale: 1.3 }, 2)).toBe(1.3);
+    expect(clampFontScale({ minFontScale: 1 }, 0.85)).toBe(1);
+  });
+
+  it('returns the font scale for variant without limits', () => {
+    expect(clampFontScale(typescale.bodyLarge, 3.5)).toBe(3.5);
+  });
+});
+
+describe('configureFonts with fontFamilies', () => {
+  const getConfigureFonts = (OS) => {
+    let configure;
+
+    jest.isolateModules(() => {
+      const { Platform } = require('react-native');
+
+      Platform.OS = OS;
+      Platform.select = (objs) => (OS in objs ? objs[OS] : objs.default);
+      configure = require('../fonts').default;
+    });
+
+    return configure;
+  };
+
+  const fontFamilies = {
+    android: {
+      400: 'Inter-Regular',
+      500: 'Inter-Medium',
+      700: 'Inter-Bold',
+    },
+    web: {
+      fontFamily: 'Inter var',
+      variable: true,
+    },
+  };
+
+  it('resolves family file for the weight of every variant on Android', () => {
+    const fonts = getConfigureFonts('android')({ fontFamilies });
+
+    expect(fonts.bodyLarge).toMatchObject({
+      fontFamily: 'Inter-Regular',
+      fontWeight: 'normal',
+    });
+    expect(fonts.titleMedium).toMatchObject({
+      fontFamily: 'Inter-Medium',
+      fontWeight: 'normal',
+    });
+    expect(fonts.default.fontFamily).toBe('Inter-Regular');
+  });
+
+  it('uses the closest available weight', () => {
+    const fonts = getConfigureFonts('android')({
+      config: { titleLarge: { fontWeight: '800' } },
+      fontFamilies,
+    });
+
+    expect(fonts.titleLarge.fontFamily).toBe('Inter-Bold');
+  });
+
+  it('sets font variation settings for variable fonts on web', () => {
+    const fonts = getConfigureFonts('web')({ fontFamilies });
+
+    expect(fonts.titleMedium).toMatchObject({
+      fontFamily: 'Inter var',
+      fontWeight: '500',
+      fontVariationSettings: "'wght' 500",
+    });
+    expect(fonts.bodyLarge.fontVariationSettings).toBe("'wght' 400");
+  });
+
+  it('keeps the fonts on platforms without families', () => {
+    expect(getConfigureFonts('ios')({ fontFamilies })).toEqual(
+      getConfigureFonts('ios')()
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { Easing } from 'react-native';
+
+import { getAnimationDuration, getAnimationEasing } from '../motion';
+import { MD2LightTheme, MD3LightTheme } from '../themes';
+
+describe('getAnimationDuration', () => {
+  it('should return the duration of the token', () => {
+    expect(getAnimationDuration(MD3LightTheme, 'short4')).toBe(200);
+    expect(getAnimationDuration(MD3LightTheme, 'extraLong4')).toBe(1000);
+  });
+
+  it('should multiply the duration by the animation scale', () => {
+    const theme = {
+      ...MD3LightTheme,
+      animation: { ...MD3LightTheme.animation, scale: 0.5 },
+    };
+
+    expect(getAnimationDuration(theme, 'medium1')).toBe(125);
+  });
+
+  it('should use the duration from the theme', () => {
+    const theme = {
+      ...MD3LightTheme,
+      animation: { scale: 1, durations: { short3: 120 } },
+    };
+
+    expect(getAnimationDuration(theme, 'short3')).toBe(120);
+    expect(getAnimationDuration(theme, 'short4')).toBe(200);
+  });
+
+  it('should fall back to default durations for theme without tokens', () => {
+    expect(getAnimationDuration(MD2LightTheme, 'short3')).toBe(150);
+  });
+});
+
+describe('getAnimationEasing', () => {
+  beforeEach(() => {
+    jest.spyOn(Easing, 'bezier');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create the easing from the control points of the token', () => {
+    const theme = {
+      ...MD3LightTheme,
+      animation: { scale: 1, easings: { emphasized: [0.1, 0.2, 0.3, 0.4] } },
+    };
+
+    getAnimationEasing(theme, 'emphasized');
+
+    expect(Easing.bezier).toHaveBeenCalledWith(0.1, 0.2, 0.3, 0.4);
+  });
+
+  it('should return the same function for the same curve', () => {
+    expect(getAnimationEasing(MD3LightTheme, 'legacy')).toBe(
+      getAnimationEasing(MD2LightTheme, 'legacy')
+    );
+    expect(getAnimationEasing(MD3LightTheme, 'legacy')).not.toBe(
+      getAnimationEasing(MD3LightTheme, 'standardAccelerate')
+    );
+  });
+});
@@ -0,0 +1,241 @@
+import { parseTheme, serializeTheme } from '../serialization';
+import { MD2DarkTheme, MD3DarkTheme, MD3LightTheme } from '../themes';
+
+describe('serializeTheme', () => {
+  it('should restore the same theme with parseTheme', () => {
+    [MD3LightTheme, MD3DarkTheme, MD2DarkTheme].forEach((theme) => {
+      const { valid, theme: parsed } = parseTheme(serializeTheme(theme));
+
+      expect(valid).toBe(true);
+      expect(parsed).toEqual(theme);
+    });
+  });
+});
+
+describe('parseTheme', () => {
+  it('should fill missing optional values from the default theme', () => {
+    const { theme } = parseTheme({
+      version: 3,
+      dark: true,
+      colors: MD3DarkTheme.colors,
+    });
+
+    expect(theme).toEqual(MD3DarkTheme);
+  });
+
+  it('should accept theme extended with custom properties', () => {
+    const { theme } = parseTheme({
+      ...MD3LightTheme,
+      colors: { ...MD3LightTheme.colors, brand: '#123456' },
+      spacing: 8,
+    });
+
+    expect(theme.colors.brand).toBe('#123456');
+    expect(theme.spacing).toBe(8);
+  });
+
+  it('should return error for invalid JSON', () => {
+    const { valid, theme, errors } = parseTheme('{ "version": 3');
+
+    expect(valid).toBe(false);
+    expect(theme).toBeUndefined();
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ path: '', code: 'invalid-json' });
+  });
+
+  it('should return error for invalid version', () => {
+    expect(parseTheme({ ...MD3LightTheme, version: 4 }).errors).toEqual([
+      {
+        path: 'version',
+        code: 'invalid-value',
+        message: 'Expected "version" to be 2 or 3, got 4.',
+      },
+    ]);
+    expect(parseTheme({ colors: {} }).errors[0]).toMatchObject({
+      path: 'version',
+      code: 'missing-key',
+    });
+  });
+
+  it('should return errors for missing and invalid colors', () => {
+    const { colors } = MD3LightTheme;
+    const { valid, errors } = parseTheme({
+      ...MD3LightTheme,
+      colors: {
+        ...colors,
+        primary: undefined,
+        surface: '#ff00zz',
+        onSurface: 12,
+        elevation: { ...colors.elevation, level3: 'blu' },
+      },
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      {
+        path: 'colors.primary',
+        code: 'missing-key',
+        message: 'Required value "colors.primary" is missing.',
+      },
+      {
+        path: 'colors.surface',
+        code: 'invalid-color',
+        message: '"#ff00zz" is not a valid color for "colors.surface".',
+      },
+      {
+        path: 'colors.onSurface',
+        code: 'invalid-type',
+        message: 'Expected "colors.onSurface" to be string, got number.',
+      },
+      {
+        path: 'colors.elevation.level3',
+        code: 'invalid-color',
+        message: '"blu" is not a valid color for "colors.elevation.level3".',
+      },
+    ]);
+  });
+
+  it('should check color roles of MD2 theme', () => {
+    const { errors } = parseTheme({
+      version: 2,
+      colors: { ...MD2DarkTheme.colors, accent: undefined },
+    });
+
+    expect(errors.map(({ path }) => path)).toEqual(['colors.accent']);
+  });
+
+  it('should return errors for invalid typescale entries', () => {
+    const { errors } = parseTheme({
+      ...MD3LightTheme,
+      fonts: {
+        ...MD3LightTheme.fonts,
+        titleLarge: { ...MD3LightTheme.fonts.titleLarge, fontSize: '22px' },
+        bodySmall: { ...MD3LightTheme.fonts.bodySmall, fontWeight: 'heavy' },
+        labelLarge: undefined,
+      },
+    });
+
+    expect(errors.map(({ path, code }) => [path, code])).toEqual([
+      ['fonts.titleLarge.fontSize', 'invalid-type'],
+      ['fonts.labelLarge', 'missing-key'],
+      ['fonts.bodySmall.fontWeight', 'invalid-value'],
+    ]);
+  });
+
+  it('should return errors for invalid base values', () => {
+    const { errors } = parseTheme({
+      ...MD3LightTheme,
+      dark: 'yes',
+      mode: 'auto',
+      roundness: null,
+      density: -4,
+      direction: 'auto',
+      elevation: { surfaceTint: 'flat', shadowColor: 'shadow' },
+      animation: {},
+    });
+
+    expect(errors.map(({ path }) => path)).toEqual([
+      'dark',
+      'mode',
+      'roundness',
+      'density',
+      'direction',
+      'elevation.surfaceTint',
+      'elevation.shadowColor',
+      'animation.scale',
+    ]);
+  });
+
+  it('should return errors for invalid shapes and motion tokens', () => {
+    const { valid, errors } = parseTheme({
+      ...MD3LightTheme,
+      shapes: { small: '8px', medium: 12, huge: 40 },
+      animation: {
+        scale: 1,
+        durations: { short1: 50, short4: null, slow: 500 },
+        easings: { standard: [0.2, 0, 0, 1], linear: [0, 0, 1], bouncy: [] },
+      },
+    });
+
+    expect(valid).toBe(false);
+    expect(errors.map(({ path, code }) => [path, code])).toEqual([
+      ['shapes.huge', 'invalid-value'],
+      ['shapes.small', 'invalid-type'],
+      ['animation.durations.slow', 'invalid-value'],
+      ['animation.durations.short4', 'invalid-type'],
+      ['animation.easings.bouncy', 'invalid-value'],
+      ['animation.easings.linear', 'invalid-value'],
+    ]);
+  });
+
+  it('should return errors for invalid elevation levels', () => {
+    const { errors } = parseTheme({
+      ...MD3LightTheme,
+      elevation: {
+        levels: {
+          1: { ...MD3LightTheme.elevation.levels[1], androidElevation: '3' },
+          2: {
+            ...MD3LightTheme.elevation.levels[2],
+            key: { opacity: 0.3, radius: 2, offset: { width: 0 } },
+          },
+          6: MD3LightTheme.elevation.levels[5],
+        },
+      },
+    });
+
+    expect(errors.map(({ path, code }) => [path, code])).toEqual([
+      ['elevation.levels.6', 'invalid-value'],
+      ['elevation.levels.1.androidElevation', 'invalid-type'],
+      ['elevation.levels.2.key.offset.height', 'missing-key'],
+    ]);
+  });
+
+  it('should return errors for invalid components', () => {
+    const { errors } = parseTheme({
+      ...MD3LightTheme,
+      components: {
+        Button: { defaultProps: { mode: 'outlined' }, styleOverrides: [] },
+        Chip: 'outlined',
+        FAB: { defaultProps: { size: 'small' }, variants: {} },
+        Slider: { defaultProps: {} },
+      },
+    });
+
+    expect(errors.map(({ path, code }) => [path, code])).toEqual([
+      ['components.Slider', 'invalid-value'],
+      ['components.Button.styleOverrides', 'invalid-type'],
+      ['components.Chip', 'invalid-type'],
+      ['components.FAB.variants', 'invalid-value'],
+    ]);
+  });
+
+  it('should accept valid optional sections', () => {
+    const { valid } = parseTheme({
+      ...MD3LightTheme,
+      shapes: { medium: 4 },
+      animation: {
+        scale: 1,
+        durations: { short4: 150 },
+        easings: { standard: [0.4, 0, 0.2, 1] },
+      },
+      components: {
+        Button: {
+          defaultProps: { mode: 'outlined' },
+          styleOverrides: { style: { margin: 4 } },
+        },
+      },
+    });
+
+    expect(valid).toBe(true);
+  });
+
+  it('should return error if theme is not an object', () => {
+    expect(parseTheme('[]').errors).toEqual([
+      {
+        path: '',
+        code: 'invalid-type',
+        message: 'Expected an object, got array.',
+      },
+    ]);
+  });
+});
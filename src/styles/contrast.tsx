@@ -0,0 +1,212 @@
+import color from 'color';
+
+import type { InternalTheme, MD2Colors, MD3Colors } from '../types';
+
+type ContrastLevel = 'AA' | 'AAA';
+
+export type ContrastAuditResult = {
+  /**
+   * Name of the color role used for the content, e.g. `onPrimary`.
+   */
+  foreground: string;
+  /**
+   * Name of the color role used for the container, e.g. `primary`.
+   */
+  background: string;
+  /**
+   * Contrast ratio between the colors, from 1 to 21.
+   */
+  ratio: number;
+  AA: boolean;
+  AAA: boolean;
+};
+
+type StringColorRoles<T> = {
+  [K in keyof T]: T[K] extends string ? K : never;
+}[keyof T];
+
+const MD3ContrastPairs: [StringColorRoles<MD3Colors>, keyof MD3Colors][] = [
+  ['onPrimary', 'primary'],
+  ['onPrimaryContainer', 'primaryContainer'],
+  ['onSecondary', 'secondary'],
+  ['onSecondaryContainer', 'secondaryContainer'],
+  ['onTertiary', 'tertiary'],
+  ['onTertiaryContainer', 'tertiaryContainer'],
+  ['onError', 'error'],
+  ['onErrorContainer', 'errorContainer'],
+  ['onBackground', 'background'],
+  ['onSurface', 'surface'],
+  ['onSurfaceVariant', 'surfaceVariant'],
+  ['inverseOnSurface', 'inverseSurface'],
+  ['inversePrimary', 'inverseSurface'],
+];
+
+const MD2ContrastPairs: [keyof MD2Colors, keyof MD2Colors][] = [
+  ['text', 'background'],
+  ['text', 'surface'],
+  ['placeholder', 'background'],
+  ['onSurface', 'surface'],
+];
+
+const minimumRatios: Record<ContrastLevel, number> = {
+  AA: 4.5,
+  AAA: 7,
+};
+
+/**
+ * Calculates the WCAG contrast ratio of the foreground color displayed on the background color.
+ * Translucent foreground colors are blended with the background first.
+ */
+export const getContrastRatio = (foreground: string, background: string) => {
+  const backgroundColor = color(background).alpha(1);
+  const foregroundColor = color(foreground);
+
+  const blended = backgroundColor.mix(
+    foregroundColor.alpha(1),
+    foregroundColor.alpha()
+  );
+
+  return blended.contrast(backgroundColor);
+};
+
+/**
+ * Changes the tone of the `role` color until every one of the `pairs` reaches the minimum ratio.
+ * Returns `undefined` if no tone meets the ratio.
+ */
+const adjustTone = (
+  colors: Record<string, any>,
+  role: string,
+  other: string,
+  pairs: [string, string][],
+  minimumRatio: number
+) => {
+  const targetColor = color(colors[role]);
+  const [lightness, chroma, hue] = targetColor.lch().array();
+  const isOtherLighter =
+    color(colors[other]).alpha(1).luminosity() >
+    targetColor.alpha(1).luminosity();
+
+  // Move the tone away from the other color first, then try the other direction
+  for (const step of isOtherLighter ? [-1, 1] : [1, -1]) {
+    for (let tone = lightness; tone >= 0 && tone <= 100; tone += step) {
+      const adjusted = color
+        .lch(tone, chroma, hue)
+        .alpha(targetColor.alpha())
+        .rgb()
+        .string();
+      const getColor = (name: string) =>
+        name === role ? adjusted : colors[name];
+
+      if (
+        pairs.every(
+          ([foreground, background]) =>
+            getContrastRatio(getColor(foreground), getColor(background)) >=
+            minimumRatio
+        )
+      ) {
+        return adjusted;
+      }
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Changes the foreground or the background tone of a pair which doesn't reach the minimum ratio.
+ * Tones which keep every other pair using the color passing are preferred.
+ * Returns whether a color was changed.
+ */
+const adjustPair = (
+  colors: Record<string, any>,
+  [foreground, background]: [string, string],
+  pairs: [string, string][],
+  minimumRatio: number
+) => {
+  if (
+    getContrastRatio(colors[foreground], colors[background]) >= minimumRatio
+  ) {
+    return false;
+  }
+
+  const getRelatedPairs = (role: string) =>
+    pairs.filter((pair) => pair.includes(role));
+
+  // When no foreground tone is sufficient, the background has to be changed
+  const candidates: [string, string, [string, string][]][] = [
+    [foreground, background, getRelatedPairs(foreground)],
+    [background, foreground, getRelatedPairs(background)],
+    [foreground, background, [[foreground, background]]],
+    [background, foreground, [[foreground, background]]],
+  ];
+
+  for (const [role, other, pairsToMeet] of candidates) {
+    const adjusted = adjustTone(colors, role, other, pairsToMeet, minimumRatio);
+
+    if (adjusted) {
+      colors[role] = adjusted;
+
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Checks the contrast of every foreground and background color role pair of the theme
+ * against WCAG AA and AAA requirements for normal text.
+ *
+ * With `adjust` enabled, tones of the foreground colors which don't meet the requested `level`
+ * are changed until they do. If no foreground tone is sufficient, the background tone is changed instead.
+ * As a color can be shared by several pairs, the pairs are checked again after every change.
+ * The results then describe the adjusted theme.
+ */
+export default function auditThemeContrast<T extends InternalTheme>(
+  theme: T,
+  {
+    level = 'AA',
+    adjust = false,
+  }: {
+    level?: ContrastLevel;
+    adjust?: boolean;
+  } = {}
+): { results: ContrastAuditResult[]; passes: boolean; theme: T } {
+  const pairs: [string, string][] = theme.isV3
+    ? MD3ContrastPairs
+    : MD2ContrastPairs;
+  const colors: Record<string, any> = { ...theme.colors };
+
+  if (adjust) {
+    const minimumRatio = minimumRatios[level];
+
+    // Adjusting a pair can break another one sharing its color, so repeat until nothing changes
+    for (let pass = 0; pass < pairs.length; pass++) {
+      const changed = pairs.filter((pair) =>
+        adjustPair(colors, pair, pairs, minimumRatio)
+      );
+
+      if (!changed.length) {
+        break;
+      }
+    }
+  }
+
+  const results = pairs.map(([foreground, background]) => {
+    const ratio = getContrastRatio(colors[foreground], colors[background]);
+
+    return {
+      foreground,
+      background,
+      ratio: Math.round(ratio * 100) / 100,
+      AA: ratio >= minimumRatios.AA,
+      AAA: ratio >= minimumRatios.AAA,
+    };
+  });
+
+  return {
+    results,
+    passes: results.every((result) => result[level]),
+    theme: adjust ? { ...theme, colors } : theme,
+  };
+}
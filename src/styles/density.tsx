@@ -0,0 +1,25 @@
+import type { InternalTheme, MD3Density } from '../types';
+
+// Height removed from a component for each density step
+const DENSITY_STEP = 4;
+
+/**
+ * Returns the density of the component, preferring the `density` prop over the theme one.
+ */
+export const getDensity = ({
+  theme,
+  density,
+}: {
+  theme: InternalTheme;
+  density?: MD3Density;
+}): MD3Density => density ?? theme.density ?? 0;
+
+/**
+ * Shrinks the size by `4` pixels for each density step, without going below `min`.
+ * Vertical paddings are applied on both sides, so they use a `step` of `2`.
+ */
+export const applyDensity = (
+  size: number,
+  density: MD3Density,
+  { step = DENSITY_STEP, min = 0 }: { step?: number; min?: number } = {}
+) => Math.max(size + density * step, min);
@@ -0,0 +1,356 @@
+import color from 'color';
+
+import type { InternalTheme, MD3Elevation } from '../types';
+import { elevation, motion } from './themes/v3/systemTokens';
+
+// Only `color`, types and system tokens are imported, so the exports can run in Node without React Native.
+
+type ColorEntry = {
+  /**
+   * Path of the color in `theme.colors`, e.g. `['elevation', 'level1']`.
+   */
+  path: string[];
+  value: ReturnType<typeof color>;
+};
+
+type FontEntry = {
+  name: string;
+  properties: Record<string, string | number>;
+};
+
+const getColorEntries = (
+  colors: Record<string, unknown>,
+  parentPath: string[] = []
+): ColorEntry[] =>
+  Object.entries(colors).reduce<ColorEntry[]>((entries, [key, value]) => {
+    const path = [...parentPath, key];
+
+    if (typeof value === 'string') {
+      return [...entries, { path, value: color(value) }];
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      return [
+        ...entries,
+        ...getColorEntries(value as Record<string, unknown>, path),
+      ];
+    }
+
+    return entries;
+  }, []);
+
+// Font scale limits are applied by `Text` and have no design token equivalent
+const fontScaleKeys = ['minFontScale', 'maxFontScale'];
+
+const getFontEntries = (fonts: InternalTheme['fonts']): FontEntry[] =>
+  Object.entries(fonts).map(([name, font]) => ({
+    name,
+    properties: Object.entries(font).reduce(
+      (properties, [key, value]) =>
+        value === undefined || fontScaleKeys.includes(key)
+          ? properties
+          : { ...properties, [key]: value },
+      {} as Record<string, string | number>
+    ),
+  }));
+
+const elevationLevels: MD3Elevation[] = [0, 1, 2, 3, 4, 5];
+
+type ShadowLayer = {
+  color: ReturnType<typeof color>;
+  offsetX: number;
+  offsetY: number;
+  blur: number;
+};
+
+// Unlike the colors, motion tokens missing in the theme fall back to the MD3 defaults in the components
+const getDurationEntries = (theme: InternalTheme) =>
+  Object.entries({ ...motion.durations, ...theme.animation.durations });
+
+const getEasingEntries = (theme: InternalTheme) =>
+  Object.entries({ ...motion.easings, ...theme.animation.easings });
+
+const getShapeEntries = (theme: InternalTheme) =>
+  Object.entries(theme.shapes ?? {}).filter(
+    (entry): entry is [string, number] => entry[1] !== undefined
+  );
+
+/**
+ * Returns the key and ambient shadow layers of every elevation level, like `Surface` draws them on web.
+ * MD2 themes use a different shadow, so they have no elevation tokens.
+ */
+const getElevationEntries = (
+  theme: InternalTheme
+): [string, ShadowLayer[]][] => {
+  if (!theme.isV3) {
+    return [];
+  }
+
+  const shadowColor = color(
+    theme.elevation?.shadowColor ?? elevation.shadowColor
+  );
+
+  return elevationLevels.map((level) => {
+    const { ambient, key } =
+      theme.elevation?.levels?.[level] ?? elevation.levels[level];
+
+    return [
+      `level${level}`,
+      [key, ambient].map(({ opacity, offset, radius }) => ({
+        color: shadowColor.alpha(opacity),
+        offsetX: offset.width,
+        offsetY: offset.height,
+        blur: radius,
+      })),
+    ];
+  });
+};
+
+const toHex = (value: ReturnType<typeof color>) => {
+  const hex = value.hex().toLowerCase();
+  const alpha = Math.round(value.alpha() * 255);
+
+  return alpha === 255 ? hex : `${hex}${alpha.toString(16).padStart(2, '0')}`;
+};
+
+const toKebabCase = (value: string) =>
+  value.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+const toSnakeCase = (value: string) =>
+  value.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+const toCamelCase = (path: string[]) =>
+  path
+    .map((part, index) =>
+      index === 0 ? part : `${part.charAt(0).toUpperCase()}${part.slice(1)}`
+    )
+    .join('');
+
+const dimensionKeys = ['fontSize', 'lineHeight', 'letterSpacing'];
+
+const toCSSValue = (key: string, value: string | number) => {
+  if (dimensionKeys.includes(key)) {
+    return `${value}px`;
+  }
+
+  // Font stacks are already valid CSS, only single family names with spaces need quotes
+  const isUnquotedFamily =
+    key === 'fontFamily' && !/[,"']/.test(`${value}`) && /\s/.test(`${value}`);
+
+  return isUnquotedFamily ? `"${value}"` : `${value}`;
+};
+
+/**
+ * Exports colors, fonts, shapes, motion, elevation, density and roundness of the theme in the
+ * [Design Tokens Community Group](https://design-tokens.github.io/community-group/format/) JSON format.
+ */
+export const exportDesignTokens = (theme: InternalTheme) => {
+  const colorTokens = getColorEntries(theme.colors).reduce(
+    (tokens, { path, value }) => {
+      let group = tokens;
+
+      path.slice(0, -1).forEach((key) => {
+        group[key] = group[key] || {};
+        group = group[key];
+      });
+      group[path[path.length - 1]] = { $type: 'color', $value: toHex(value) };
+
+      return tokens;
+    },
+    {} as Record<string, any>
+  );
+
+  const typographyTokens = getFontEntries(theme.fonts).reduce(
+    (tokens, { name, properties }) => ({
+      ...tokens,
+      [name]: {
+        $type: 'typography',
+        $value: Object.entries(properties).reduce(
+          (value, [key, property]) => ({
+            ...value,
+            [key]: dimensionKeys.includes(key) ? `${property}px` : property,
+          }),
+          {}
+        ),
+      },
+    }),
+    {}
+  );
+
+  const toTokens = <V,>(
+    entries: [string, V][],
+    toToken: (value: V) => { $type: string; $value: unknown }
+  ) =>
+    entries.reduce(
+      (tokens, [name, value]) => ({ ...tokens, [name]: toToken(value) }),
+      {} as Record<string, { $type: string; $value: unknown }>
+    );
+
+  return {
+    color: colorTokens,
+    typography: typographyTokens,
+    shape: toTokens(getShapeEntries(theme), (value) => ({
+      $type: 'dimension',
+      $value: `${value}px`,
+    })),
+    motion: {
+      duration: toTokens(getDurationEntries(theme), (value) => ({
+        $type: 'duration',
+        $value: `${value}ms`,
+      })),
+      easing: toTokens(getEasingEntries(theme), (value) => ({
+        $type: 'cubicBezier',
+        $value: value,
+      })),
+    },
+    elevation: toTokens(getElevationEntries(theme), (layers) => ({
+      $type: 'shadow',
+      $value: layers.map((layer) => ({
+        color: toHex(layer.color),
+        offsetX: `${layer.offsetX}px`,
+        offsetY: `${layer.offsetY}px`,
+        blur: `${layer.blur}px`,
+        spread: '0px',
+      })),
+    })),
+    density: { $type: 'number', $value: theme.density ?? 0 },
+    roundness: { $type: 'dimension', $value: `${theme.roundness}px` },
+  };
+};
+
+/**
+ * Exports colors, fonts, shapes, motion, elevation, density and roundness of the theme as CSS custom properties,
+ * e.g. `--md-sys-color-on-primary` or `--md-sys-typescale-body-large-font-size`.
+ */
+export const exportCSSVariables = (
+  theme: InternalTheme,
+  {
+    prefix = 'md-sys',
+    selector = ':root',
+  }: {
+    prefix?: string;
+    selector?: string;
+  } = {}
+) => {
+  const colorVariables = getColorEntries(theme.colors).map(
+    ({ path, value }) =>
+      `--${prefix}-color-${path.map(toKebabCase).join('-')}: ${toHex(value)};`
+  );
+
+  const fontVariables = getFontEntries(theme.fonts).flatMap(
+    ({ name, properties }) =>
+      Object.entries(properties).map(
+        ([key, value]) =>
+          `--${prefix}-typescale-${toKebabCase(name)}-${toKebabCase(
+            key
+          )}: ${toCSSValue(key, value)};`
+      )
+  );
+
+  const motionVariables = [
+    ...getDurationEntries(theme).map(
+      ([name, value]) =>
+        `--${prefix}-motion-duration-${toKebabCase(name)}: ${value}ms;`
+    ),
+    ...getEasingEntries(theme).map(
+      ([name, value]) =>
+        `--${prefix}-motion-easing-${toKebabCase(
+          name
+        )}: cubic-bezier(${value.join(', ')});`
+    ),
+  ];
+
+  const elevationVariables = getElevationEntries(theme).map(
+    ([name, layers]) =>
+      `--${prefix}-elevation-${toKebabCase(name)}: ${layers
+        .map(
+          (layer) =>
+            `${layer.offsetX}px ${layer.offsetY}px ${layer.blur}px ${layer.color
+              .rgb()
+              .string()}`
+        )
+        .join(', ')};`
+  );
+
+  const shapeVariables = getShapeEntries(theme).map(
+    ([name, value]) =>
+      `--${prefix}-shape-corner-${toKebabCase(name)}: ${value}px;`
+  );
+
+  const variables = [
+    ...colorVariables,
+    ...fontVariables,
+    ...motionVariables,
+    ...elevationVariables,
+    `--${prefix}-density: ${theme.density ?? 0};`,
+    ...shapeVariables,
+    `--${prefix}-shape-roundness: ${theme.roundness}px;`,
+  ];
+
+  return `${selector} {\n${variables
+    .map((variable) => `  ${variable}`)
+    .join('\n')}\n}\n`;
+};
+
+/**
+ * Exports colors of the theme as an Android `colors.xml` resource file,
+ * e.g. `<color name="md_theme_on_primary">#FFFFFFFF</color>`.
+ */
+export const exportAndroidColors = (
+  theme: InternalTheme,
+  { prefix = 'md_theme' }: { prefix?: string } = {}
+) => {
+  const colors = getColorEntries(theme.colors).map(({ path, value }) => {
+    const name = [prefix, ...path.map(toSnakeCase)].join('_');
+    const alpha = Math.round(value.alpha() * 255)
+      .toString(16)
+      .padStart(2, '0');
+    const hex = `#${alpha}${value.hex().slice(1)}`.toUpperCase();
+
+    return `    <color name="${name}">${hex}</color>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>\n<resources>\n${colors.join(
+    '\n'
+  )}\n</resources>\n`;
+};
+
+/**
+ * Exports colors of the theme as an iOS asset catalog, with one color set per color.
+ * Returns the content of every `Contents.json` file, keyed by its path inside the `.xcassets` folder,
+ * e.g. `onPrimary.colorset/Contents.json`.
+ */
+export const exportIOSAssetCatalog = (theme: InternalTheme) => {
+  const info = { author: 'xcode', version: 1 };
+
+  return getColorEntries(theme.colors).reduce(
+    (files, { path, value }) => {
+      const [red, green, blue] = value
+        .rgb()
+        .array()
+        .map((component) => (component / 255).toFixed(3));
+
+      return {
+        ...files,
+        [`${toCamelCase(path)}.colorset/Contents.json`]: {
+          colors: [
+            {
+              idiom: 'universal',
+              color: {
+                'color-space': 'srgb',
+                components: {
+                  red,
+                  green,
+                  blue,
+                  alpha: value.alpha().toFixed(3),
+                },
+              },
+            },
+          ],
+          info,
+        },
+      };
+    },
+    { 'Contents.json': { info } } as Record<string, object>
+  );
+};
@@ -1,6 +1,12 @@
 import { Platform, PlatformOSType } from 'react-native';
 
-import type { Fonts, MD3Type, MD3Typescale, MD3TypescaleKey } from '../types';
+import type {
+  Font,
+  Fonts,
+  MD3Type,
+  MD3Typescale,
+  MD3TypescaleKey,
+} from '../types';
 import { typescale } from './themes/v3/tokens';
 
 export const fontConfig = {
@@ -73,6 +79,99 @@ type MD3FontsConfig =
     }
   | Partial<MD3Type>;
 
+type FontWeightNumber =
+  | '100'
+  | '200'
+  | '300'
+  | '400'
+  | '500'
+  | '600'
+  | '700'
+  | '800'
+  | '900';
+
+/**
+ * Font family files by their weight, e.g. `{ '400': 'Inter-Regular', '700': 'Inter-Bold' }`.
+ */
+export type FontWeightFamilies = Partial<Record<FontWeightNumber, string>>;
+
+/**
+ * Single family of a variable font, with the weight set through `fontVariationSettings`.
+ */
+export type VariableFontFamily = {
+  fontFamily: string;
+  variable: true;
+};
+
+export type MD3FontFamilies = {
+  web?: FontWeightFamilies | VariableFontFamily;
+} & {
+  [platform in Exclude<PlatformOSType, 'web'> | 'default']?: FontWeightFamilies;
+};
+
+const getNumericFontWeight = (fontWeight: Font['fontWeight']) => {
+  if (fontWeight === 'bold') {
+    return 700;
+  }
+
+  return fontWeight === undefined || fontWeight === 'normal'
+    ? 400
+    : Number(fontWeight);
+};
+
+function resolveFontFamily<T extends Partial<MD3Type>>(
+  font: T,
+  families: FontWeightFamilies | VariableFontFamily
+): T {
+  const weight = getNumericFontWeight(font.fontWeight);
+
+  if ('variable' in families) {
+    return {
+      ...font,
+      fontFamily: families.fontFamily,
+      fontVariationSettings: `'wght' ${weight}`,
+    };
+  }
+
+  const weights = Object.keys(families).map(Number);
+
+  if (!weights.length) {
+    return font;
+  }
+
+  const closestWeight = weights.reduce((closest, current) =>
+    Math.abs(current - weight) < Math.abs(closest - weight) ? current : closest
+  );
+
+  return {
+    ...font,
+    fontFamily: families[`${closestWeight}` as FontWeightNumber],
+    // Android doesn't pick the weight of custom font families,
+    // but it would synthesize bold text on top of the bold file
+    ...(Platform.OS === 'android' && { fontWeight: 'normal' }),
+  };
+}
+
+function applyFontFamilies<T extends { [key: string]: Partial<MD3Type> }>(
+  fonts: T,
+  fontFamilies: MD3FontFamilies
+): T {
+  const families = Platform.select<FontWeightFamilies | VariableFontFamily>(
+    fontFamilies
+  );
+
+  if (!families) {
+    return fonts;
+  }
+
+  return Object.fromEntries(
+    Object.entries(fonts).map(([variantName, variantProperties]) => [
+      variantName,
+      resolveFontFamily(variantProperties, families),
+    ])
+  ) as T;
+}
+
 function configureV2Fonts(config: MD2FontsConfig): Fonts {
   const fonts = Platform.select({ ...fontConfig, ...config }) as Fonts;
   return fonts;
@@ -99,6 +198,7 @@ function configureV3Fonts(
   }
 
   return Object.assign(
+    {},
     typescale,
     ...Object.entries(config).map(([variantName, variantProperties]) => ({
       [variantName]: {
@@ -109,6 +209,14 @@ function configureV3Fonts(
   );
 }
 
+/**
+ * Clamps the font scale to the `minFontScale` and `maxFontScale` of the typescale variant.
+ */
+export const clampFontScale = (
+  { minFontScale = 0, maxFontScale = Infinity }: Partial<MD3Type>,
+  fontScale: number
+) => Math.min(Math.max(fontScale, minFontScale), maxFontScale);
+
 // eslint-disable-next-line no-redeclare
 export default function configureFonts(params: { isV3: false }): Fonts;
 // eslint-disable-next-line no-redeclare
@@ -119,24 +227,29 @@ export default function configureFonts(params: {
 // eslint-disable-next-line no-redeclare
 export default function configureFonts(params?: {
   config?: Partial<MD3Type>;
+  fontFamilies?: MD3FontFamilies;
   isV3?: true;
 }): MD3Typescale;
 // eslint-disable-next-line no-redeclare
 export default function configureFonts(params?: {
   config?: Partial<Record<MD3TypescaleKey, Partial<MD3Type>>>;
+  fontFamilies?: MD3FontFamilies;
   isV3?: true;
 }): MD3Typescale;
 // eslint-disable-next-line no-redeclare
-export default function configureFonts(params: {
-  config: Record<string, MD3Type>;
+export default function configureFonts<T extends string>(params: {
+  config: Record<T, MD3Type>;
+  fontFamilies?: MD3FontFamilies;
   isV3?: true;
-}): MD3Typescale & { [key: string]: MD3Type };
+}): MD3Typescale & Record<T, MD3Type>;
 // eslint-disable-next-line no-redeclare
 export default function configureFonts(params?: any) {
-  const { isV3 = true, config } = params || {};
+  const { isV3 = true, config, fontFamilies } = params || {};
 
   if (isV3) {
-    return configureV3Fonts(config);
+    const fonts = configureV3Fonts(config);
+
+    return fontFamilies ? applyFontFamilies(fonts, fontFamilies) : fonts;
   }
   return configureV2Fonts(config);
 }
@@ -0,0 +1,37 @@
+import { Easing, EasingFunction } from 'react-native';
+
+import type { InternalTheme, MD3DurationToken, MD3EasingToken } from '../types';
+import { motion } from './themes/v3/tokens';
+
+/**
+ * Returns the duration of the motion token from the theme, multiplied by `animation.scale`.
+ * Tokens missing in the theme fall back to the MD3 defaults.
+ */
+export const getAnimationDuration = (
+  theme: InternalTheme,
+  token: MD3DurationToken
+) =>
+  (theme.animation.durations?.[token] ?? motion.durations[token]) *
+  theme.animation.scale;
+
+// Same curves return the same function, so the easing can be used in hook dependencies
+const easingCache = new Map<string, EasingFunction>();
+
+/**
+ * Returns the easing function of the motion token from the theme.
+ * Tokens missing in the theme fall back to the MD3 defaults.
+ */
+export const getAnimationEasing = (
+  theme: InternalTheme,
+  token: MD3EasingToken
+) => {
+  const [x1, y1, x2, y2] =
+    theme.animation.easings?.[token] ?? motion.easings[token];
+  const key = `${x1},${y1},${x2},${y2}`;
+
+  if (!easingCache.has(key)) {
+    easingCache.set(key, Easing.bezier(x1, y1, x2, y2));
+  }
+
+  return easingCache.get(key) as EasingFunction;
+};
@@ -0,0 +1,494 @@
+import color from 'color';
+
+import { InternalTheme, MD3TypescaleKey, ThemeComponents } from '../types';
+import {
+  MD2DarkTheme,
+  MD2LightTheme,
+  MD3DarkTheme,
+  MD3LightTheme,
+} from './themes';
+import { elevation, motion, shape } from './themes/v3/tokens';
+
+export type ThemeValidationError = {
+  /**
+   * Path of the invalid value in the theme, e.g. `colors.primary`. Empty for the whole theme.
+   */
+  path: string;
+  code:
+    | 'invalid-json'
+    | 'invalid-type'
+    | 'missing-key'
+    | 'invalid-color'
+    | 'invalid-value';
+  message: string;
+};
+
+export type ParseThemeResult =
+  | { valid: true; theme: InternalTheme; errors: [] }
+  | { valid: false; theme: undefined; errors: ThemeValidationError[] };
+
+const baseThemes = {
+  2: { light: MD2LightTheme, dark: MD2DarkTheme },
+  3: { light: MD3LightTheme, dark: MD3DarkTheme },
+};
+
+const fontWeights = [
+  'normal',
+  'bold',
+  '100',
+  '200',
+  '300',
+  '400',
+  '500',
+  '600',
+  '700',
+  '800',
+  '900',
+];
+
+// Typed as a record, so a component added to `ThemeComponents` has to be listed here
+const themeComponents: Record<keyof ThemeComponents, true> = {
+  Appbar: true,
+  AppbarHeader: true,
+  Button: true,
+  Card: true,
+  Chip: true,
+  Dialog: true,
+  FAB: true,
+  Snackbar: true,
+  TextInput: true,
+};
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isColor = (value: string) => {
+  try {
+    color(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const getTypeName = (value: unknown) =>
+  Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+/**
+ * Serializes the theme to a JSON string, which can be restored with `parseTheme`.
+ */
+export const serializeTheme = (theme: InternalTheme) =>
+  JSON.stringify(theme, null, 2);
+
+/**
+ * Parses and validates a theme from a JSON string or an already parsed object.
+ *
+ * All color roles and font entries required by the theme `version` have to be present and valid.
+ * Missing `dark`, `mode`, `roundness`, `fonts` and `animation` values are taken from the default theme.
+ * Optional `shapes`, `animation`, `elevation` and `components` sections are checked too, unknown keys in them are reported.
+ * Instead of returning a broken theme, all problems found in the input are returned as `errors`.
+ */
+export const parseTheme = (input: string | object): ParseThemeResult => {
+  const errors: ThemeValidationError[] = [];
+  const addError = (
+    path: string,
+    code: ThemeValidationError['code'],
+    message: string
+  ) => errors.push({ path, code, message });
+
+  let value: unknown = input;
+
+  if (typeof input === 'string') {
+    try {
+      value = JSON.parse(input);
+    } catch (e) {
+      return {
+        valid: false,
+        theme: undefined,
+        errors: [
+          {
+            path: '',
+            code: 'invalid-json',
+            message: `Theme is not a valid JSON: ${(e as Error).message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  if (!isObject(value)) {
+    addError(
+      '',
+      'invalid-type',
+      `Expected an object, got ${getTypeName(value)}.`
+    );
+    return { valid: false, theme: undefined, errors };
+  }
+
+  const checkType = (path: string, actual: unknown, expected: string) => {
+    if (actual === undefined) {
+      addError(path, 'missing-key', `Required value "${path}" is missing.`);
+      return false;
+    }
+
+    if (getTypeName(actual) !== expected) {
+      addError(
+        path,
+        'invalid-type',
+        `Expected "${path}" to be ${expected}, got ${getTypeName(actual)}.`
+      );
+      return false;
+    }
+
+    return true;
+  };
+
+  const checkColors = (
+    path: string,
+    colors: Record<string, unknown>,
+    expected: Record<string, unknown>
+  ) => {
+    Object.keys(expected).forEach((key) => {
+      const keyPath = `${path}.${key}`;
+
+      if (isObject(expected[key])) {
+        if (checkType(keyPath, colors[key], 'object')) {
+          checkColors(
+            keyPath,
+            colors[key] as Record<string, unknown>,
+            expected[key] as Record<string, unknown>
+          );
+        }
+      } else if (
+        checkType(keyPath, colors[key], 'string') &&
+        !isColor(colors[key] as string)
+      ) {
+        addError(
+          keyPath,
+          'invalid-color',
+          `"${colors[key]}" is not a valid color for "${keyPath}".`
+        );
+      }
+    });
+  };
+
+  const checkFont = (
+    path: string,
+    font: Record<string, unknown>,
+    numericKeys: string[]
+  ) => {
+    checkType(`${path}.fontFamily`, font.fontFamily, 'string');
+
+    if (
+      font.fontWeight !== undefined &&
+      !fontWeights.includes(font.fontWeight as string)
+    ) {
+      addError(
+        `${path}.fontWeight`,
+        'invalid-value',
+        `Expected "${path}.fontWeight" to be one of ${fontWeights.join(
+          ', '
+        )}, got ${JSON.stringify(font.fontWeight)}.`
+      );
+    }
+
+    numericKeys.forEach((key) =>
+      checkType(`${path}.${key}`, font[key], 'number')
+    );
+
+    ['minFontScale', 'maxFontScale'].forEach((key) => {
+      if (font[key] !== undefined) {
+        checkType(`${path}.${key}`, font[key], 'number');
+      }
+    });
+  };
+
+  // Checks that the object has only the known keys and returns them
+  const checkKeys = (
+    path: string,
+    object: Record<string, unknown>,
+    expected: object
+  ) =>
+    Object.keys(object).filter((key) => {
+      if (key in expected) {
+        return true;
+      }
+
+      addError(
+        `${path}.${key}`,
+        'invalid-value',
+        `Unknown key "${key}" in "${path}", expected one of ${Object.keys(
+          expected
+        ).join(', ')}.`
+      );
+      return false;
+    });
+
+  const checkNumbers = (
+    path: string,
+    object: Record<string, unknown>,
+    expected: object
+  ) =>
+    checkKeys(path, object, expected).forEach((key) =>
+      checkType(`${path}.${key}`, object[key], 'number')
+    );
+
+  const checkShadowLevel = (path: string, level: Record<string, unknown>) => {
+    ['ambient', 'key'].forEach((layerKey) => {
+      const layerPath = `${path}.${layerKey}`;
+
+      if (checkType(layerPath, level[layerKey], 'object')) {
+        const layer = level[layerKey] as Record<string, unknown>;
+
+        checkType(`${layerPath}.opacity`, layer.opacity, 'number');
+        checkType(`${layerPath}.radius`, layer.radius, 'number');
+
+        if (checkType(`${layerPath}.offset`, layer.offset, 'object')) {
+          const offset = layer.offset as Record<string, unknown>;
+
+          checkType(`${layerPath}.offset.width`, offset.width, 'number');
+          checkType(`${layerPath}.offset.height`, offset.height, 'number');
+        }
+      }
+    });
+
+    checkType(`${path}.androidElevation`, level.androidElevation, 'number');
+  };
+
+  const { version } = value;
+
+  if (version !== 2 && version !== 3) {
+    addError(
+      'version',
+      version === undefined ? 'missing-key' : 'invalid-value',
+      `Expected "version" to be 2 or 3, got ${JSON.stringify(version)}.`
+    );
+    return { valid: false, theme: undefined, errors };
+  }
+
+  if (value.dark !== undefined) {
+    checkType('dark', value.dark, 'boolean');
+  }
+
+  if (
+    value.mode !== undefined &&
+    value.mode !== 'adaptive' &&
+    value.mode !== 'exact'
+  ) {
+    addError(
+      'mode',
+      'invalid-value',
+      `Expected "mode" to be adaptive or exact, got ${JSON.stringify(
+        value.mode
+      )}.`
+    );
+  }
+
+  if (value.roundness !== undefined) {
+    checkType('roundness', value.roundness, 'number');
+  }
+
+  if (
+    value.shapes !== undefined &&
+    checkType('shapes', value.shapes, 'object')
+  ) {
+    checkNumbers('shapes', value.shapes as Record<string, unknown>, shape);
+  }
+
+  if (
+    value.density !== undefined &&
+    ![0, -1, -2, -3].includes(value.density as number)
+  ) {
+    addError(
+      'density',
+      'invalid-value',
+      `Expected "density" to be 0, -1, -2 or -3, got ${JSON.stringify(
+        value.density
+      )}.`
+    );
+  }
+
+  if (
+    value.direction !== undefined &&
+    value.direction !== 'ltr' &&
+    value.direction !== 'rtl'
+  ) {
+    addError(
+      'direction',
+      'invalid-value',
+      `Expected "direction" to be ltr or rtl, got ${JSON.stringify(
+        value.direction
+      )}.`
+    );
+  }
+
+  if (
+    value.elevation !== undefined &&
+    checkType('elevation', value.elevation, 'object')
+  ) {
+    const { surfaceTint, shadowColor, levels } = value.elevation as Record<
+      string,
+      unknown
+    >;
+
+    if (
+      surfaceTint !== undefined &&
+      surfaceTint !== 'tint' &&
+      surfaceTint !== 'shadow'
+    ) {
+      addError(
+        'elevation.surfaceTint',
+        'invalid-value',
+        `Expected "elevation.surfaceTint" to be tint or shadow, got ${JSON.stringify(
+          surfaceTint
+        )}.`
+      );
+    }
+
+    if (
+      shadowColor !== undefined &&
+      checkType('elevation.shadowColor', shadowColor, 'string') &&
+      !isColor(shadowColor as string)
+    ) {
+      addError(
+        'elevation.shadowColor',
+        'invalid-color',
+        `"${shadowColor}" is not a valid color for "elevation.shadowColor".`
+      );
+    }
+
+    if (
+      levels !== undefined &&
+      checkType('elevation.levels', levels, 'object')
+    ) {
+      const levelsObject = levels as Record<string, unknown>;
+
+      checkKeys('elevation.levels', levelsObject, elevation.levels).forEach(
+        (key) => {
+          const path = `elevation.levels.${key}`;
+
+          if (checkType(path, levelsObject[key], 'object')) {
+            checkShadowLevel(
+              path,
+              levelsObject[key] as Record<string, unknown>
+            );
+          }
+        }
+      );
+    }
+  }
+
+  if (
+    value.animation !== undefined &&
+    checkType('animation', value.animation, 'object')
+  ) {
+    const { scale, durations, easings } = value.animation as Record<
+      string,
+      unknown
+    >;
+
+    checkType('animation.scale', scale, 'number');
+
+    if (
+      durations !== undefined &&
+      checkType('animation.durations', durations, 'object')
+    ) {
+      checkNumbers(
+        'animation.durations',
+        durations as Record<string, unknown>,
+        motion.durations
+      );
+    }
+
+    if (
+      easings !== undefined &&
+      checkType('animation.easings', easings, 'object')
+    ) {
+      const easingsObject = easings as Record<string, unknown>;
+
+      checkKeys('animation.easings', easingsObject, motion.easings).forEach(
+        (key) => {
+          const easing = easingsObject[key];
+
+          if (
+            !Array.isArray(easing) ||
+            easing.length !== 4 ||
+            easing.some((point) => typeof point !== 'number')
+          ) {
+            addError(
+              `animation.easings.${key}`,
+              'invalid-value',
+              `Expected "animation.easings.${key}" to be an array of 4 numbers, got ${JSON.stringify(
+                easing
+              )}.`
+            );
+          }
+        }
+      );
+    }
+  }
+
+  if (
+    value.components !== undefined &&
+    checkType('components', value.components, 'object')
+  ) {
+    const components = value.components as Record<string, unknown>;
+
+    checkKeys('components', components, themeComponents).forEach((name) => {
+      const path = `components.${name}`;
+
+      if (checkType(path, components[name], 'object')) {
+        const componentDefaults = components[name] as Record<string, unknown>;
+
+        checkKeys(path, componentDefaults, {
+          defaultProps: true,
+          styleOverrides: true,
+        }).forEach((key) =>
+          checkType(`${path}.${key}`, componentDefaults[key], 'object')
+        );
+      }
+    });
+  }
+
+  const baseTheme = baseThemes[version][value.dark === true ? 'dark' : 'light'];
+
+  if (checkType('colors', value.colors, 'object')) {
+    checkColors(
+      'colors',
+      value.colors as Record<string, unknown>,
+      baseTheme.colors
+    );
+  }
+
+  if (value.fonts !== undefined && checkType('fonts', value.fonts, 'object')) {
+    const fonts = value.fonts as Record<string, unknown>;
+
+    Object.keys(baseTheme.fonts).forEach((key) => {
+      const path = `fonts.${key}`;
+
+      if (checkType(path, fonts[key], 'object')) {
+        checkFont(
+          path,
+          fonts[key] as Record<string, unknown>,
+          version === 3 && key in MD3TypescaleKey
+            ? ['fontSize', 'lineHeight', 'letterSpacing']
+            : []
+        );
+      }
+    });
+  }
+
+  if (errors.length) {
+    return { valid: false, theme: undefined, errors };
+  }
+
+  return {
+    valid: true,
+    theme: {
+      ...baseTheme,
+      ...value,
+      isV3: version === 3,
+    } as InternalTheme,
+    errors: [],
+  };
+};
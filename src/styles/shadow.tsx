@@ -1,18 +1,31 @@
-import { Animated } from 'react-native';
+import { Animated, ViewStyle } from 'react-native';
 
+import color from 'color';
+
+import type { InternalTheme, MD3Elevation } from '../types';
 import * as MD2Colors from './themes/v2/colors';
-import { MD3Colors } from './themes/v3/tokens';
+import { MD3LightTheme } from './themes/v3/LightTheme';
+import { elevation as elevationTokens } from './themes/v3/tokens';
 
 const SHADOW_COLOR = MD2Colors.black;
 const SHADOW_OPACITY = 0.24;
-const MD3_SHADOW_OPACITY = 0.3;
-const MD3_SHADOW_COLOR = MD3Colors.primary0;
 
+/**
+ * Returns the shadow style for the elevation. With `isV3`, it's the `ambient` layer
+ * of the elevation level from the `theme`.
+ */
 export default function shadow(
   elevation: number | Animated.Value = 0,
-  isV3 = false
+  isV3 = false,
+  theme: InternalTheme = MD3LightTheme
 ) {
-  return isV3 ? v3Shadow(elevation) : v2Shadow(elevation);
+  return isV3
+    ? getShadowLayerStyle(
+        theme,
+        elevation as MD3Elevation | Animated.Value,
+        'ambient'
+      )
+    : v2Shadow(elevation);
 }
 
 function v2Shadow(elevation: number | Animated.Value = 0) {
@@ -70,40 +83,102 @@ function v2Shadow(elevation: number | Animated.Value = 0) {
   }
 }
 
-function v3Shadow(elevation: number | Animated.Value = 0) {
-  const inputRange = [0, 1, 2, 3, 4, 5];
-  const shadowHeight = [0, 1, 2, 4, 6, 8];
-  const shadowRadius = [0, 3, 6, 8, 10, 12];
+const elevationLevels = [0, 1, 2, 3, 4, 5] as MD3Elevation[];
+
+/**
+ * Returns the shadow of the elevation level from the theme.
+ * Levels missing in the theme fall back to the MD3 defaults.
+ */
+export const getShadowLevel = (theme: InternalTheme, level: MD3Elevation) =>
+  theme.elevation?.levels?.[level] ?? elevationTokens.levels[level];
+
+export const getSurfaceTint = (theme: InternalTheme) =>
+  theme.elevation?.surfaceTint ?? elevationTokens.surfaceTint;
+
+const getShadowColor = (theme: InternalTheme) =>
+  theme.elevation?.shadowColor ?? elevationTokens.shadowColor;
+
+const interpolateLevels = <T extends number | string>(
+  value: Animated.Value,
+  getOutput: (level: MD3Elevation) => T
+) =>
+  value.interpolate({
+    inputRange: elevationLevels,
+    outputRange: elevationLevels.map(getOutput) as number[] | string[],
+  });
+
+/**
+ * Returns the iOS shadow style of the `ambient` or `key` layer for the elevation level.
+ */
+export const getShadowLayerStyle = (
+  theme: InternalTheme,
+  level: MD3Elevation | Animated.Value,
+  layer: 'ambient' | 'key'
+) => {
+  const shadowColor = getShadowColor(theme);
+
+  if (level instanceof Animated.Value) {
+    const getLayer = (level: MD3Elevation) =>
+      getShadowLevel(theme, level)[layer];
 
-  if (elevation instanceof Animated.Value) {
-    return {
-      shadowColor: MD3_SHADOW_COLOR,
-      shadowOffset: {
-        width: new Animated.Value(0),
-        height: elevation.interpolate({
-          inputRange,
-          outputRange: shadowHeight,
-        }),
-      },
-      shadowOpacity: elevation.interpolate({
-        inputRange: [0, 1],
-        outputRange: [0, MD3_SHADOW_OPACITY],
-        extrapolate: 'clamp',
-      }),
-      shadowRadius: elevation.interpolate({
-        inputRange,
-        outputRange: shadowRadius,
-      }),
-    };
-  } else {
     return {
-      shadowColor: MD3_SHADOW_COLOR,
-      shadowOpacity: elevation ? MD3_SHADOW_OPACITY : 0,
+      shadowColor,
+      shadowOpacity: interpolateLevels(level, (l) => getLayer(l).opacity),
       shadowOffset: {
-        width: 0,
-        height: shadowHeight[elevation],
+        width: interpolateLevels(level, (l) => getLayer(l).offset.width),
+        height: interpolateLevels(level, (l) => getLayer(l).offset.height),
       },
-      shadowRadius: shadowRadius[elevation],
+      shadowRadius: interpolateLevels(level, (l) => getLayer(l).radius),
     };
   }
-}
+
+  const { opacity, offset, radius } = getShadowLevel(theme, level)[layer];
+
+  return {
+    shadowColor,
+    shadowOpacity: opacity,
+    shadowOffset: offset,
+    shadowRadius: radius,
+  };
+};
+
+/**
+ * Returns the Android `elevation` for the elevation level.
+ */
+export const getAndroidElevation = (
+  theme: InternalTheme,
+  level: MD3Elevation | Animated.Value
+) =>
+  level instanceof Animated.Value
+    ? interpolateLevels(level, (l) => getShadowLevel(theme, l).androidElevation)
+    : getShadowLevel(theme, level).androidElevation;
+
+/**
+ * Returns the web `box-shadow` with both layers of the elevation level.
+ * Every level has the same format, so animated levels can be interpolated.
+ */
+export const getBoxShadowStyle = (
+  theme: InternalTheme,
+  level: MD3Elevation | Animated.Value
+) => {
+  const [red, green, blue] = color(getShadowColor(theme)).rgb().array();
+
+  const toBoxShadow = (l: MD3Elevation) => {
+    const { ambient, key } = getShadowLevel(theme, l);
+
+    return [key, ambient]
+      .map(
+        ({ opacity, offset, radius }) =>
+          `${offset.width}px ${offset.height}px ${radius}px rgba(${red}, ${green}, ${blue}, ${opacity})`
+      )
+      .join(', ');
+  };
+
+  // `boxShadow` is supported by React Native Web, but missing in the React Native types
+  return {
+    boxShadow:
+      level instanceof Animated.Value
+        ? interpolateLevels(level, toBoxShadow)
+        : toBoxShadow(level),
+  } as Animated.WithAnimatedValue<ViewStyle>;
+};
@@ -1,4 +1,6 @@
 export { MD3LightTheme } from './v3/LightTheme';
 export { MD3DarkTheme } from './v3/DarkTheme';
+export { MD3HighContrastLightTheme } from './v3/HighContrastLightTheme';
+export { MD3HighContrastDarkTheme } from './v3/HighContrastDarkTheme';
 export { MD2LightTheme } from './v2/LightTheme';
 export { MD2DarkTheme } from './v2/DarkTheme';
@@ -0,0 +1,62 @@
+import color from 'color';
+
+import type { MD3Theme } from '../../../types';
+import { MD3DarkTheme } from './DarkTheme';
+import { MD3Colors, tokens } from './tokens';
+
+const { palette, opacity } = tokens.md.ref;
+
+export const MD3HighContrastDarkTheme: MD3Theme = {
+  ...MD3DarkTheme,
+  colors: {
+    primary: palette.primary90,
+    primaryContainer: palette.primary80,
+    secondary: palette.secondary90,
+    secondaryContainer: palette.secondary80,
+    tertiary: palette.tertiary90,
+    tertiaryContainer: palette.tertiary80,
+    surface: palette.neutral10,
+    surfaceVariant: palette.neutralVariant30,
+    surfaceDisabled: color(palette.neutral100)
+      .alpha(opacity.level2)
+      .rgb()
+      .string(),
+    background: palette.neutral10,
+    error: palette.error90,
+    errorContainer: palette.error80,
+    onPrimary: palette.primary10,
+    onPrimaryContainer: palette.primary10,
+    onSecondary: palette.secondary10,
+    onSecondaryContainer: palette.secondary10,
+    onTertiary: palette.tertiary10,
+    onTertiaryContainer: palette.tertiary10,
+    onSurface: palette.neutral100,
+    onSurfaceVariant: palette.neutralVariant95,
+    onSurfaceDisabled: color(palette.neutral100)
+      .alpha(opacity.level4)
+      .rgb()
+      .string(),
+    onError: palette.error10,
+    onErrorContainer: palette.error10,
+    onBackground: palette.neutral100,
+    outline: palette.neutralVariant80,
+    outlineVariant: palette.neutralVariant60,
+    inverseSurface: palette.neutral90,
+    inverseOnSurface: palette.neutral0,
+    inversePrimary: palette.primary20,
+    shadow: palette.neutral0,
+    scrim: palette.neutral0,
+    backdrop: color(MD3Colors.neutralVariant20).alpha(0.4).rgb().string(),
+    elevation: {
+      level0: 'transparent',
+      // Note: Color values with transparency cause RN to transfer shadows to children nodes
+      // instead of View component in Surface. Providing solid background fixes the issue.
+      // Opaque color values generated with `palette.neutral10` used as background
+      level1: 'rgb(38, 37, 42)', // palette.primary90, alpha 0.05
+      level2: 'rgb(45, 43, 49)', // palette.primary90, alpha 0.08
+      level3: 'rgb(51, 48, 56)', // palette.primary90, alpha 0.11
+      level4: 'rgb(53, 50, 58)', // palette.primary90, alpha 0.12
+      level5: 'rgb(57, 54, 62)', // palette.primary90, alpha 0.14
+    },
+  },
+};
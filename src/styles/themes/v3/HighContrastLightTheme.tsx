@@ -0,0 +1,62 @@
+import color from 'color';
+
+import type { MD3Theme } from '../../../types';
+import { MD3LightTheme } from './LightTheme';
+import { MD3Colors, tokens } from './tokens';
+
+const { palette, opacity } = tokens.md.ref;
+
+export const MD3HighContrastLightTheme: MD3Theme = {
+  ...MD3LightTheme,
+  colors: {
+    primary: palette.primary20,
+    primaryContainer: palette.primary30,
+    secondary: palette.secondary20,
+    secondaryContainer: palette.secondary30,
+    tertiary: palette.tertiary20,
+    tertiaryContainer: palette.tertiary30,
+    surface: palette.neutral99,
+    surfaceVariant: palette.neutralVariant90,
+    surfaceDisabled: color(palette.neutral0)
+      .alpha(opacity.level2)
+      .rgb()
+      .string(),
+    background: palette.neutral99,
+    error: palette.error20,
+    errorContainer: palette.error30,
+    onPrimary: palette.primary100,
+    onPrimaryContainer: palette.primary100,
+    onSecondary: palette.secondary100,
+    onSecondaryContainer: palette.secondary100,
+    onTertiary: palette.tertiary100,
+    onTertiaryContainer: palette.tertiary100,
+    onSurface: palette.neutral0,
+    onSurfaceVariant: palette.neutralVariant10,
+    onSurfaceDisabled: color(palette.neutral0)
+      .alpha(opacity.level4)
+      .rgb()
+      .string(),
+    onError: palette.error100,
+    onErrorContainer: palette.error100,
+    onBackground: palette.neutral0,
+    outline: palette.neutralVariant30,
+    outlineVariant: palette.neutralVariant50,
+    inverseSurface: palette.neutral10,
+    inverseOnSurface: palette.neutral100,
+    inversePrimary: palette.primary90,
+    shadow: palette.neutral0,
+    scrim: palette.neutral0,
+    backdrop: color(MD3Colors.neutralVariant20).alpha(0.4).rgb().string(),
+    elevation: {
+      level0: 'transparent',
+      // Note: Color values with transparency cause RN to transfer shadows to children nodes
+      // instead of View component in Surface. Providing solid background fixes the issue.
+      // Opaque color values generated with `palette.neutral99` used as background
+      level1: 'rgb(245, 240, 247)', // palette.primary20, alpha 0.05
+      level2: 'rgb(239, 233, 243)', // palette.primary20, alpha 0.08
+      level3: 'rgb(233, 227, 239)', // palette.primary20, alpha 0.11
+      level4: 'rgb(231, 225, 237)', // palette.primary20, alpha 0.12
+      level5: 'rgb(227, 220, 234)', // palette.primary20, alpha 0.14
+    },
+  },
+};
@@ -2,7 +2,7 @@ import color from 'color';
 
 import type { MD3Theme } from '../../../types';
 import configureFonts from '../../fonts';
-import { MD3Colors, tokens } from './tokens';
+import { elevation, MD3Colors, motion, tokens } from './tokens';
 
 const { palette, opacity } = tokens.md.ref;
 
@@ -65,5 +65,8 @@ export const MD3LightTheme: MD3Theme = {
   fonts: configureFonts(),
   animation: {
     scale: 1.0,
+    durations: motion.durations,
+    easings: motion.easings,
   },
+  elevation,
 };
@@ -0,0 +1,107 @@
+import color from 'color';
+
+import type { MD3Palette, MD3PaletteKey, MD3PaletteTone } from '../../../types';
+import { MD3Colors } from './tokens';
+
+export const tones: MD3PaletteTone[] = [
+  0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100,
+];
+
+// Hue rotation and chroma of every key color relative to the seed color,
+// as described in https://m3.material.io/styles/color/the-color-system/key-colors-tones
+const keyColors: {
+  [key in Exclude<MD3PaletteKey, 'error'>]: {
+    hueShift: number;
+    chroma: (seedChroma: number) => number;
+  };
+} = {
+  primary: { hueShift: 0, chroma: (seedChroma) => Math.max(seedChroma, 48) },
+  secondary: { hueShift: 0, chroma: () => 16 },
+  tertiary: { hueShift: 60, chroma: () => 24 },
+  neutral: { hueShift: 0, chroma: () => 4 },
+  neutralVariant: { hueShift: 0, chroma: () => 8 },
+};
+
+const isInGamut = (tone: number, chroma: number, hue: number) => {
+  const [l, a, b] = color.lch(tone, chroma, hue).lab().array();
+  const [expectedL, expectedA, expectedB] = color
+    .lch(tone, chroma, hue)
+    .rgb()
+    .lab()
+    .array();
+
+  return (
+    Math.abs(l - expectedL) < 0.5 &&
+    Math.abs(a - expectedA) < 0.5 &&
+    Math.abs(b - expectedB) < 0.5
+  );
+};
+
+/**
+ * Finds the color with the given tone (CIELAB lightness) and hue that has the
+ * highest chroma not exceeding `chroma` and still fits in the sRGB gamut.
+ */
+const getToneColor = (tone: number, chroma: number, hue: number) => {
+  if (tone === 0 || tone === 100) {
+    return color.lch(tone, 0, 0).rgb().string();
+  }
+
+  let low = 0;
+  let high = chroma;
+
+  if (!isInGamut(tone, high, hue)) {
+    while (high - low > 0.1) {
+      const middle = (low + high) / 2;
+
+      if (isInGamut(tone, middle, hue)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    high = low;
+  }
+
+  return color.lch(tone, high, hue).rgb().string();
+};
+
+export const createTonalPalette = (hue: number, chroma: number) =>
+  tones.reduce(
+    (palette, tone) => ({
+      ...palette,
+      [tone]: getToneColor(tone, chroma, hue),
+    }),
+    {} as { [tone in MD3PaletteTone]: string }
+  );
+
+/**
+ * Generates the primary, secondary, tertiary, neutral and neutral variant
+ * tonal palettes from a single seed color.
+ * Error palette is not derived from the seed color and always matches the baseline one.
+ */
+export const createMD3Palette = (seedColor: string): MD3Palette => {
+  const [, seedChroma, seedHue] = color(seedColor).lch().array();
+
+  const palette = Object.entries(keyColors).reduce(
+    (palette, [key, { hueShift, chroma }]) => {
+      const tonalPalette = createTonalPalette(
+        (seedHue + hueShift) % 360,
+        chroma(seedChroma)
+      );
+
+      return tones.reduce(
+        (acc, tone) => ({ ...acc, [`${key}${tone}`]: tonalPalette[tone] }),
+        palette
+      );
+    },
+    {} as Partial<MD3Palette>
+  );
+
+  return tones.reduce(
+    (acc, tone) => ({
+      ...acc,
+      [`error${tone}`]: MD3Colors[`error${tone}` as keyof typeof MD3Colors],
+    }),
+    palette
+  ) as MD3Palette;
+};
@@ -0,0 +1,86 @@
+import type {
+  MD3Easing,
+  MD3EasingToken,
+  MD3Elevation,
+  MD3ShadowLevel,
+  MD3SurfaceTint,
+} from '../../../types';
+
+// System tokens without platform specific values, so they can be read in Node without React Native
+
+export const shape = {
+  none: 0,
+  extraSmall: 4,
+  small: 8,
+  medium: 12,
+  large: 16,
+  extraLarge: 28,
+  // Large enough to render a pill or a circle for any component height
+  full: 9999,
+};
+
+// From https://m3.material.io/styles/motion/easing-and-duration/tokens-specs
+export const motion = {
+  durations: {
+    short1: 50,
+    short2: 100,
+    short3: 150,
+    short4: 200,
+    medium1: 250,
+    medium2: 300,
+    medium3: 350,
+    medium4: 400,
+    long1: 450,
+    long2: 500,
+    long3: 550,
+    long4: 600,
+    extraLong1: 700,
+    extraLong2: 800,
+    extraLong3: 900,
+    extraLong4: 1000,
+  },
+  // Control points of the cubic bezier curves
+  easings: {
+    standard: [0.2, 0, 0, 1],
+    standardAccelerate: [0.3, 0, 1, 1],
+    standardDecelerate: [0, 0, 0, 1],
+    // Emphasized easing is a path, approximated with a single curve
+    emphasized: [0.2, 0, 0, 1],
+    emphasizedAccelerate: [0.3, 0, 0.8, 0.15],
+    emphasizedDecelerate: [0.05, 0.7, 0.1, 1],
+    legacy: [0.4, 0, 0.2, 1],
+    linear: [0, 0, 1, 1],
+  } as { [key in MD3EasingToken]: MD3Easing },
+};
+
+const shadowLevel = (
+  ambient: [number, number],
+  key: [number, number],
+  androidElevation: number
+) => ({
+  ambient: {
+    opacity: androidElevation ? 0.15 : 0,
+    radius: ambient[1],
+    offset: { width: 0, height: ambient[0] },
+  },
+  key: {
+    opacity: androidElevation ? 0.3 : 0,
+    radius: key[1],
+    offset: { width: 0, height: key[0] },
+  },
+  androidElevation,
+});
+
+// Shadows are drawn with two layers on iOS and web, the ambient one is wide and the key one is tight
+export const elevation = {
+  surfaceTint: 'tint' as MD3SurfaceTint,
+  shadowColor: '#000',
+  levels: {
+    0: shadowLevel([0, 0], [0, 0], 0),
+    1: shadowLevel([1, 3], [1, 1], 3),
+    2: shadowLevel([2, 6], [1, 2], 6),
+    3: shadowLevel([4, 8], [1, 3], 9),
+    4: shadowLevel([6, 10], [2, 3], 12),
+    5: shadowLevel([8, 12], [4, 4], 15),
+  } as Record<MD3Elevation, MD3ShadowLevel>,
+};
@@ -1,6 +1,7 @@
 import { Platform } from 'react-native';
 
 import type { Font } from '../../../types';
+import { elevation, motion, shape } from './systemTokens';
 
 const ref = {
   palette: {
@@ -120,51 +121,63 @@ const mediumType = {
   fontWeight: ref.typeface.weightMedium,
 };
 
+// Display, headline and title sizes are capped, so they don't get clipped with the largest
+// accessibility font sizes, while label and body text keeps growing.
+// Smaller titles are capped higher, as they fit more lines.
 export const typescale = {
   displayLarge: {
     ...regularType,
+    maxFontScale: 1.3,
     lineHeight: 64,
     fontSize: 57,
   },
   displayMedium: {
     ...regularType,
+    maxFontScale: 1.3,
     lineHeight: 52,
     fontSize: 45,
   },
   displaySmall: {
     ...regularType,
+    maxFontScale: 1.3,
     lineHeight: 44,
     fontSize: 36,
   },
 
   headlineLarge: {
     ...regularType,
+    maxFontScale: 1.5,
     lineHeight: 40,
     fontSize: 32,
   },
   headlineMedium: {
     ...regularType,
+    maxFontScale: 1.5,
     lineHeight: 36,
     fontSize: 28,
   },
   headlineSmall: {
     ...regularType,
+    maxFontScale: 1.5,
     lineHeight: 32,
     fontSize: 24,
   },
 
   titleLarge: {
     ...regularType,
+    maxFontScale: 1.5,
     lineHeight: 28,
     fontSize: 22,
   },
   titleMedium: {
     ...mediumType,
+    maxFontScale: 2,
     lineHeight: 24,
     fontSize: 16,
   },
   titleSmall: {
     ...mediumType,
+    maxFontScale: 2,
     letterSpacing: 0.1,
     lineHeight: 20,
     fontSize: 14,
@@ -223,8 +236,13 @@ export const tokens = {
     ref,
     sys: {
       typescale,
+      shape,
+      motion,
+      elevation,
     },
   },
 };
 
 export const MD3Colors = ref.palette;
+
+export { elevation, motion, shape };
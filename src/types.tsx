@@ -2,6 +2,16 @@ import type * as React from 'react';
 
 import type { $DeepPartial } from '@callstack/react-theme-provider';
 
+import type { Props as AppbarProps } from './components/Appbar/Appbar';
+import type { Props as AppbarHeaderProps } from './components/Appbar/AppbarHeader';
+import type { Props as ButtonProps } from './components/Button/Button';
+import type { Props as CardProps } from './components/Card/Card';
+import type { Props as ChipProps } from './components/Chip/Chip';
+import type { Props as DialogProps } from './components/Dialog/Dialog';
+import type { Props as FABProps } from './components/FAB/FAB';
+import type { Props as SnackbarProps } from './components/Snackbar';
+import type { Props as TextInputProps } from './components/TextInput/TextInput';
+
 export type Font = {
   fontFamily: string;
   fontWeight?:
@@ -110,17 +120,172 @@ export type MD3AndroidColors = {
   scrim: number;
 };
 
-export type MD3Palette = {};
+export type MD3PaletteKey =
+  | 'primary'
+  | 'secondary'
+  | 'tertiary'
+  | 'neutral'
+  | 'neutralVariant'
+  | 'error';
+
+export type MD3PaletteTone =
+  | 0
+  | 10
+  | 20
+  | 30
+  | 40
+  | 50
+  | 60
+  | 70
+  | 80
+  | 90
+  | 95
+  | 99
+  | 100;
+
+export type MD3Palette = {
+  [key in `${MD3PaletteKey}${MD3PaletteTone}`]: string;
+};
 
 export type ThemeProp = $DeepPartial<InternalTheme>;
 
+export type ComponentDefaults<Props, StyleKey extends keyof Props> = {
+  /**
+   * Props used when they're not passed to the component.
+   */
+  defaultProps?: Partial<Omit<Props, 'theme' | 'children' | 'ref'>>;
+  /**
+   * Styles applied before the styles passed to the component.
+   */
+  styleOverrides?: Partial<Pick<Props, StyleKey>>;
+};
+
+export type ThemeComponents = {
+  Appbar?: ComponentDefaults<AppbarProps, 'style'>;
+  AppbarHeader?: ComponentDefaults<AppbarHeaderProps, 'style'>;
+  Button?: ComponentDefaults<
+    ButtonProps,
+    'style' | 'contentStyle' | 'labelStyle'
+  >;
+  Card?: ComponentDefaults<CardProps, 'style'>;
+  Chip?: ComponentDefaults<ChipProps, 'style' | 'textStyle'>;
+  Dialog?: ComponentDefaults<DialogProps, 'style'>;
+  FAB?: ComponentDefaults<FABProps, 'style'>;
+  Snackbar?: ComponentDefaults<SnackbarProps, 'style' | 'wrapperStyle'>;
+  TextInput?: ComponentDefaults<
+    TextInputProps,
+    'style' | 'outlineStyle' | 'underlineStyle'
+  >;
+};
+
+export type MD3Shapes = {
+  none: number;
+  extraSmall: number;
+  small: number;
+  medium: number;
+  large: number;
+  extraLarge: number;
+  full: number;
+};
+
+export type MD3DurationToken =
+  | 'short1'
+  | 'short2'
+  | 'short3'
+  | 'short4'
+  | 'medium1'
+  | 'medium2'
+  | 'medium3'
+  | 'medium4'
+  | 'long1'
+  | 'long2'
+  | 'long3'
+  | 'long4'
+  | 'extraLong1'
+  | 'extraLong2'
+  | 'extraLong3'
+  | 'extraLong4';
+
+export type MD3EasingToken =
+  | 'standard'
+  | 'standardAccelerate'
+  | 'standardDecelerate'
+  | 'emphasized'
+  | 'emphasizedAccelerate'
+  | 'emphasizedDecelerate'
+  | 'legacy'
+  | 'linear';
+
+/**
+ * Control points `[x1, y1, x2, y2]` of a cubic bezier easing curve.
+ */
+export type MD3Easing = [number, number, number, number];
+
+export type ThemeDirection = 'ltr' | 'rtl';
+
+/**
+ * Density scale of the components. Each step below `0` removes `4` pixels from their height.
+ */
+export type MD3Density = 0 | -1 | -2 | -3;
+
+export type MD3ShadowLayer = {
+  opacity: number;
+  radius: number;
+  offset: { width: number; height: number };
+};
+
+/**
+ * Shadow of an elevation level. The `ambient` and `key` layers are drawn on iOS and web,
+ * `androidElevation` is used as the `elevation` style on Android.
+ */
+export type MD3ShadowLevel = {
+  ambient: MD3ShadowLayer;
+  key: MD3ShadowLayer;
+  androidElevation: number;
+};
+
+/**
+ * How elevated surfaces are distinguished: `tint` changes their background to the `colors.elevation` level,
+ * `shadow` keeps the `surface` color and relies on shadows only.
+ */
+export type MD3SurfaceTint = 'tint' | 'shadow';
+
 export type ThemeBase = {
   dark: boolean;
   mode?: Mode;
   roundness: number;
+  /**
+   * Corner radiuses of the shape scale. Components use `roundness` for the missing levels.
+   */
+  shapes?: Partial<MD3Shapes>;
   animation: {
     scale: number;
+    /**
+     * Durations of the animations in milliseconds, before applying `scale`.
+     */
+    durations?: Partial<Record<MD3DurationToken, number>>;
+    easings?: Partial<Record<MD3EasingToken, MD3Easing>>;
+  };
+  /**
+   * Density of the components, can be overridden with the `density` prop of each component.
+   */
+  density?: MD3Density;
+  /**
+   * Layout direction of the components. Follows `I18nManager` when it isn't set.
+   */
+  direction?: ThemeDirection;
+  /**
+   * Shadows of the elevation levels used by `Surface`. Missing values fall back to the MD3 defaults.
+   */
+  elevation?: {
+    surfaceTint?: MD3SurfaceTint;
+    shadowColor?: string;
+    levels?: Partial<Record<MD3Elevation, MD3ShadowLevel>>;
   };
+  /**
+   * Default props and style overrides of the components.
+   */
+  components?: ThemeComponents;
 };
 
 export type MD3Theme = ThemeBase & {
@@ -168,8 +333,35 @@ export type MD3Type = {
   fontWeight: Font['fontWeight'];
   lineHeight: number;
   fontSize: number;
+  /**
+   * Weight axis of a variable font, e.g. `'wght' 500`. Set by `configureFonts` for variable fonts on web.
+   */
+  fontVariationSettings?: string;
+  /**
+   * Lowest font scale applied to the variant, regardless of the system font size.
+   */
+  minFontScale?: number;
+  /**
+   * Highest font scale applied to the variant, regardless of the system font size.
+   */
+  maxFontScale?: number;
 };
 
+/**
+ * Typescale variants accepted by `Text`, the MD3 ones and the custom variants `T`.
+ */
+export type VariantProp<T> =
+  | (T extends string ? (string extends T ? never : T) : never)
+  | keyof typeof MD3TypescaleKey;
+
+/**
+ * Variants declared in the `fonts` of the theme.
+ */
+export type TypescaleVariant<Theme extends { fonts: object }> = Exclude<
+  keyof Theme['fonts'],
+  'default' | number | symbol
+>;
+
 export type MD3Typescale =
   | {
       [key in MD3TypescaleKey]: MD3Type;
@@ -0,0 +1,82 @@
+import * as React from 'react';
+import { Animated } from 'react-native';
+
+import { SettingsContext } from '../core/settings';
+import { useInternalTheme } from '../core/theming';
+import useAnimatedValue from './useAnimatedValue';
+
+type Transition = {
+  from: string;
+  to: string;
+};
+
+/**
+ * Cross-fades the color when it changes as a result of a theme change,
+ * if `themeTransitionDuration` is set in the Provider settings.
+ * Otherwise the color is returned untouched, so the result only has to be rendered
+ * in an animated component when it's not a string.
+ */
+export default function useThemeTransitionColor<
+  T extends string | null | undefined
+>(color: T): T | Animated.AnimatedInterpolation<string> {
+  const theme = useInternalTheme();
+  // Provider creates a new theme object on every render,
+  // so the colors decide whether the theme has actually changed
+  const { colors } = theme;
+  const { themeTransitionDuration = 0 } = React.useContext(SettingsContext);
+  const duration = themeTransitionDuration * theme.animation.scale;
+
+  const progress = useAnimatedValue(1);
+  const previous = React.useRef({ color, colors });
+  const [transition, setTransition] = React.useState<Transition | null>(null);
+
+  // Layout effects run before the new theme is painted, so the transition starts from the old color
+  React.useLayoutEffect(() => {
+    const { color: previousColor, colors: previousColors } = previous.current;
+
+    previous.current = { color, colors };
+
+    if (
+      previousColors !== colors &&
+      duration > 0 &&
+      typeof previousColor === 'string' &&
+      typeof color === 'string' &&
+      previousColor !== color
+    ) {
+      setTransition({ from: previousColor, to: color });
+    }
+  }, [color, colors, duration]);
+
+  React.useLayoutEffect(() => {
+    if (!transition) {
+      return;
+    }
+
+    progress.setValue(0);
+
+    // Colors can't be animated by the native driver
+    const animation = Animated.timing(progress, {
+      toValue: 1,
+      duration,
+      useNativeDriver: false,
+    });
+
+    animation.start(({ finished }) => {
+      if (finished) {
+        setTransition((current) => (current === transition ? null : current));
+      }
+    });
+
+    return () => animation.stop();
+  }, [transition, duration, progress]);
+
+  // Colors changed by props are applied instantly
+  if (!transition || transition.to !== color) {
+    return color;
+  }
+
+  return progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: [transition.from, transition.to],
+  });
+}